@@ -0,0 +1,355 @@
+/**
+ * lib/catalog.js - Validation for the site's data files
+ * - projects.json: id (positive integer, unique), title, description and tags
+ *   (array of strings) are required; fullDescription, image/github/demo (URLs),
+ *   notebook (URL of a .ipynb file), date (ISO date) and status are optional,
+ *   and so are the detail-view fields: gallery ([{ src, alt, caption }] or
+ *   image URLs), caseStudy ({ problem, approach, results } as Markdown plus
+ *   stack, a list of technologies) and metrics ([{ value, label, detail }]
+ *   callouts)
+ * - blogs.json: id, title, content and date are required; status, tags,
+ *   category and cover are filled in for older posts
+ * - skills.json: id (lowercase slug, unique), name and level (0-100) are
+ *   required; category, years and projects (project ids) are optional
+ * - Projects and posts may carry translations: { ne: { title, ... } } with
+ *   text for the fields in TRANSLATABLE_FIELDS; English is the base language
+ * - Entries are repaired where the intent is obvious, otherwise rejected, and
+ *   every decision is reported as { level, where, message }
+ *
+ * Shared by script.js and the Node tools. Exposed as the global `Catalog` in
+ * the browser and via module.exports in Node.
+ */
+const Catalog = (() => {
+  const PROJECT_STATUSES = ["planned", "in-progress", "completed", "archived"]
+  const PROJECT_URL_FIELDS = ["image", "github", "demo", "notebook"]
+  const CASE_STUDY_SECTIONS = ["problem", "approach", "results"]
+  const TRANSLATABLE_FIELDS = {
+    project: ["title", "description", "fullDescription"],
+    blog: ["title", "content"],
+  }
+
+  function validateProjects(data) {
+    const issues = []
+    if (!Array.isArray(data)) {
+      issues.push({ level: "error", where: "projects.json", message: "Catalog must be a JSON array of projects." })
+      return { projects: [], issues }
+    }
+
+    const seenIds = new Set()
+    const projects = []
+    data.forEach((raw, i) => {
+      const label = raw && typeof raw.title === "string" && raw.title.trim() ? `"${raw.title.trim()}"` : ""
+      const where = `Entry ${i + 1}${label ? ` ${label}` : ""}`
+      const report = (level, message) => issues.push({ level, where, message })
+
+      const project = validateProject(raw, report)
+      if (!project) return
+      if (seenIds.has(project.id)) {
+        report("error", `Duplicate id ${project.id} — entry skipped.`)
+        return
+      }
+      seenIds.add(project.id)
+      projects.push(project)
+    })
+    return { projects, issues }
+  }
+
+  function validateProject(raw, report) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      report("error", "Entry is not an object — skipped.")
+      return null
+    }
+    const project = { ...raw }
+
+    const id = typeof raw.id === "string" && /^\d+$/.test(raw.id.trim()) ? Number(raw.id.trim()) : raw.id
+    if (!Number.isInteger(id) || id <= 0) {
+      report("error", `Missing or invalid id (${JSON.stringify(raw.id)}) — entry skipped.`)
+      return null
+    }
+    if (id !== raw.id) report("warning", `id "${raw.id}" converted to the number ${id}.`)
+    project.id = id
+
+    if (typeof raw.title !== "string" || !raw.title.trim()) {
+      report("error", "Missing title — entry skipped.")
+      return null
+    }
+    project.title = raw.title.trim()
+
+    const hasFull = typeof raw.fullDescription === "string" && raw.fullDescription.trim()
+    if (typeof raw.description !== "string" || !raw.description.trim()) {
+      if (!hasFull) {
+        report("error", "Missing description — entry skipped.")
+        return null
+      }
+      project.description = raw.fullDescription.trim()
+      report("warning", "Missing description — using fullDescription instead.")
+    } else {
+      project.description = raw.description.trim()
+    }
+    if (raw.fullDescription !== undefined && !hasFull) {
+      delete project.fullDescription
+      report("warning", "fullDescription is not a non-empty string — removed.")
+    }
+
+    if (Array.isArray(raw.tags)) {
+      const tags = raw.tags.filter((t) => typeof t === "string" && t.trim()).map((t) => t.trim())
+      if (tags.length !== raw.tags.length) report("warning", "Dropped empty or non-text tags.")
+      project.tags = [...new Set(tags)]
+    } else if (typeof raw.tags === "string") {
+      project.tags = [...new Set(raw.tags.split(",").map((t) => t.trim()).filter(Boolean))]
+      report("warning", "tags was a string — split on commas into an array.")
+    } else {
+      project.tags = []
+      report("warning", "Missing tags — defaulted to an empty list.")
+    }
+
+    PROJECT_URL_FIELDS.forEach((field) => {
+      if (raw[field] === undefined || raw[field] === "") {
+        delete project[field]
+        return
+      }
+      if (!isSafeUrl(raw[field], field === "image")) {
+        delete project[field]
+        report("warning", `${field} ${JSON.stringify(raw[field])} is not a usable URL — removed.`)
+      }
+    })
+
+    if (raw.date !== undefined) {
+      if (typeof raw.date !== "string" || !/^\d{4}-\d{2}(-\d{2})?/.test(raw.date) || isNaN(new Date(raw.date))) {
+        delete project.date
+        report("warning", `date ${JSON.stringify(raw.date)} is not an ISO date (YYYY-MM-DD) — removed.`)
+      }
+    }
+
+    if (raw.status !== undefined && !PROJECT_STATUSES.includes(raw.status)) {
+      delete project.status
+      report("warning", `status ${JSON.stringify(raw.status)} is not one of ${PROJECT_STATUSES.join(", ")} — removed.`)
+    }
+
+    validateGallery(project, report)
+    validateCaseStudy(project, report)
+    validateMetrics(project, report)
+    validateTranslations(project, TRANSLATABLE_FIELDS.project, report)
+
+    return project
+  }
+
+  function validateGallery(project, report) {
+    if (project.gallery === undefined) return
+    const raw = project.gallery
+    delete project.gallery
+    if (!Array.isArray(raw)) {
+      report("warning", "gallery is not a list of images — removed.")
+      return
+    }
+    const gallery = []
+    raw.forEach((item, i) => {
+      const shot = typeof item === "string" ? { src: item } : item
+      if (!shot || typeof shot !== "object" || !isSafeUrl(shot.src, true)) {
+        report("warning", `gallery[${i}] has no usable image URL — removed.`)
+        return
+      }
+      const out = { src: shot.src.trim() }
+      ;["alt", "caption"].forEach((field) => {
+        if (typeof shot[field] === "string" && shot[field].trim()) out[field] = shot[field].trim()
+      })
+      gallery.push(out)
+    })
+    if (gallery.length) project.gallery = gallery
+  }
+
+  function validateCaseStudy(project, report) {
+    if (project.caseStudy === undefined) return
+    const raw = project.caseStudy
+    delete project.caseStudy
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      report("warning", "caseStudy is not an object — removed.")
+      return
+    }
+    const study = {}
+    Object.entries(raw).forEach(([field, value]) => {
+      if (CASE_STUDY_SECTIONS.includes(field)) {
+        if (typeof value === "string" && value.trim()) study[field] = value.trim()
+        else report("warning", `caseStudy.${field} is not non-empty text — removed.`)
+      } else if (field === "stack") {
+        const list = typeof value === "string" ? value.split(",") : Array.isArray(value) ? value : []
+        const stack = [...new Set(list.filter((s) => typeof s === "string" && s.trim()).map((s) => s.trim()))]
+        if (stack.length) study.stack = stack
+        else report("warning", "caseStudy.stack is not a list of technologies — removed.")
+      } else {
+        report("warning", `caseStudy.${field} is not one of ${[...CASE_STUDY_SECTIONS, "stack"].join(", ")} — removed.`)
+      }
+    })
+    if (Object.keys(study).length) project.caseStudy = study
+  }
+
+  function validateMetrics(project, report) {
+    if (project.metrics === undefined) return
+    const raw = project.metrics
+    delete project.metrics
+    if (!Array.isArray(raw)) {
+      report("warning", "metrics is not a list — removed.")
+      return
+    }
+    const metrics = []
+    raw.forEach((m, i) => {
+      const value = m && (typeof m.value === "number" ? String(m.value) : m.value)
+      if (typeof value !== "string" || !value.trim() || typeof m.label !== "string" || !m.label.trim()) {
+        report("warning", `metrics[${i}] needs a value and a label — removed.`)
+        return
+      }
+      const out = { value: value.trim(), label: m.label.trim() }
+      if (typeof m.detail === "string" && m.detail.trim()) out.detail = m.detail.trim()
+      metrics.push(out)
+    })
+    if (metrics.length) project.metrics = metrics
+  }
+
+  // Keeps { lang: { field: text } } for known fields; anything else is dropped with a warning
+  function validateTranslations(item, fields, report) {
+    if (item.translations === undefined) return
+    const raw = item.translations
+    delete item.translations
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      report("warning", "translations is not an object — removed.")
+      return
+    }
+    const kept = {}
+    Object.entries(raw).forEach(([lang, values]) => {
+      if (!/^[a-z]{2,3}$/.test(lang) || !values || typeof values !== "object" || Array.isArray(values)) {
+        report("warning", `translations.${lang} is not a language code with an object of fields — removed.`)
+        return
+      }
+      const text = {}
+      Object.entries(values).forEach(([field, value]) => {
+        if (fields.includes(field) && typeof value === "string" && value.trim()) text[field] = value.trim()
+        else report("warning", `translations.${lang}.${field} is not translatable text (${fields.join(", ")}) — removed.`)
+      })
+      if (Object.keys(text).length) kept[lang] = text
+    })
+    if (Object.keys(kept).length) item.translations = kept
+  }
+
+  function isSafeUrl(value, allowDataImage) {
+    if (typeof value !== "string") return false
+    // Browsers drop control characters and whitespace when parsing a URL, so
+    // "java\tscript:" is still a scheme (as in safeUrl() in lib/markdown.js)
+    const v = value.replace(/[\u0000-\u001f\u007f\s]+/g, "")
+    if (!v || v === "#") return false
+    // Quotes, angle brackets and backslashes could end the attribute the URL
+    // is written into, data: images included
+    if (/["<>\\]/.test(v)) return false
+    if (allowDataImage && /^data:image\//i.test(v)) return true
+    // Relative paths (e.g. resources/shot.png) resolve against the site itself
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(v)) return true
+    try {
+      const url = new URL(v)
+      return url.protocol === "http:" || url.protocol === "https:"
+    } catch {
+      return false
+    }
+  }
+
+  // Older posts predate status/tags/cover
+  function normalizeBlog(blog) {
+    return {
+      ...blog,
+      status: blog.status === "draft" ? "draft" : "published",
+      tags: Array.isArray(blog.tags) ? blog.tags : [],
+      category: typeof blog.category === "string" && blog.category.trim() ? blog.category.trim() : "General",
+      cover: typeof blog.cover === "string" ? blog.cover : "",
+    }
+  }
+
+  function validateBlogs(data) {
+    const issues = []
+    if (!Array.isArray(data)) {
+      issues.push({ level: "error", where: "blogs.json", message: "Posts file must be a JSON array." })
+      return { blogs: [], issues }
+    }
+    const seen = new Set()
+    const blogs = []
+    data.forEach((raw, i) => {
+      const label = raw && typeof raw.title === "string" && raw.title.trim() ? ` "${raw.title.trim()}"` : ""
+      const report = (level, message) => issues.push({ level, where: `Post ${i + 1}${label}`, message })
+
+      if (!raw || typeof raw !== "object" || Array.isArray(raw)) return report("error", "Entry is not an object — skipped.")
+      if (!Number.isInteger(raw.id) || raw.id <= 0) return report("error", "Missing or invalid id — skipped.")
+      if (seen.has(raw.id)) return report("error", `Duplicate id ${raw.id} — skipped.`)
+      if (typeof raw.title !== "string" || !raw.title.trim()) return report("error", "Missing title — skipped.")
+      if (typeof raw.content !== "string") return report("error", "Missing content — skipped.")
+      if (typeof raw.date !== "string" || isNaN(new Date(raw.date))) return report("error", "Missing or invalid date — skipped.")
+
+      const blog = normalizeBlog({ ...raw, title: raw.title.trim() })
+      if (blog.cover && !isSafeUrl(blog.cover, true)) {
+        report("warning", `cover ${JSON.stringify(blog.cover)} is not a usable URL — removed.`)
+        blog.cover = ""
+      }
+      if (!Number.isInteger(blog.likes) || blog.likes < 0) blog.likes = 0
+      validateTranslations(blog, TRANSLATABLE_FIELDS.blog, report)
+      seen.add(blog.id)
+      blogs.push(blog)
+    })
+    return { blogs, issues }
+  }
+
+  function validateSkills(data) {
+    const issues = []
+    if (!Array.isArray(data)) {
+      issues.push({ level: "error", where: "skills.json", message: "Skills file must be a JSON array." })
+      return { skills: [], issues }
+    }
+    const seen = new Set()
+    const skills = []
+    data.forEach((raw, i) => {
+      const label = raw && typeof raw.name === "string" && raw.name.trim() ? ` "${raw.name.trim()}"` : ""
+      const report = (level, message) => issues.push({ level, where: `Skill ${i + 1}${label}`, message })
+
+      if (!raw || typeof raw !== "object" || Array.isArray(raw)) return report("error", "Entry is not an object — skipped.")
+      if (typeof raw.id !== "string" || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(raw.id)) {
+        return report("error", `id ${JSON.stringify(raw.id)} must be a lowercase slug like "node-js" — skipped.`)
+      }
+      if (seen.has(raw.id)) return report("error", `Duplicate id "${raw.id}" — skipped.`)
+      if (typeof raw.name !== "string" || !raw.name.trim()) return report("error", "Missing name — skipped.")
+      if (typeof raw.level !== "number" || !(raw.level >= 0 && raw.level <= 100)) {
+        return report("error", `level ${JSON.stringify(raw.level)} must be a number from 0 to 100 — skipped.`)
+      }
+
+      const skill = {
+        ...raw,
+        name: raw.name.trim(),
+        level: Math.round(raw.level),
+        category: typeof raw.category === "string" && raw.category.trim() ? raw.category.trim() : "Other",
+        years: 0,
+        projects: [],
+      }
+      if (raw.years !== undefined) {
+        if (typeof raw.years === "number" && raw.years >= 0) skill.years = raw.years
+        else report("warning", `years ${JSON.stringify(raw.years)} is not a positive number — defaulted to 0.`)
+      }
+      if (raw.projects !== undefined) {
+        const ids = Array.isArray(raw.projects) ? raw.projects.filter((id) => Number.isInteger(id) && id > 0) : []
+        if (!Array.isArray(raw.projects) || ids.length !== raw.projects.length) report("warning", "Dropped project ids that are not positive integers.")
+        skill.projects = [...new Set(ids)]
+      }
+      seen.add(skill.id)
+      skills.push(skill)
+    })
+    return { skills, issues }
+  }
+
+  return {
+    PROJECT_STATUSES,
+    PROJECT_URL_FIELDS,
+    CASE_STUDY_SECTIONS,
+    TRANSLATABLE_FIELDS,
+    validateProjects,
+    validateProject,
+    validateBlogs,
+    normalizeBlog,
+    validateSkills,
+    isSafeUrl,
+  }
+})()
+
+if (typeof module !== "undefined" && module.exports) module.exports = Catalog
@@ -0,0 +1,211 @@
+/**
+ * lib/feeds.js - RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents for OffTopic posts
+ * - Input: the blog objects used by renderBlogs() ({ id, title, content, date, ... })
+ *   and the site details from site.json
+ * - Only published posts are included, newest first
+ * - Post bodies are rendered with Markdown.render(); relative links and images
+ *   are made absolute so they work inside feed readers
+ * - Permalinks are the static blog/<id>/ pages written by tools/prerender.js
+ *
+ * Exposed as the global `Feeds` in the browser and via module.exports in Node.
+ */
+const Feeds = (() => {
+  const Md = typeof Markdown !== "undefined" ? Markdown : require("./markdown.js")
+
+  const FILES = { rss: "feed.xml", atom: "atom.xml", json: "feed.json" }
+  const DEFAULT_LIMIT = 20
+
+  // XML 1.0 forbids most control characters even when escaped
+  function xmlEscape(str) {
+    return String(str == null ? "" : str)
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;")
+  }
+
+  function siteUrl(site) {
+    return String(site.url || "").replace(/\/?$/, "/")
+  }
+
+  function feedUrl(site, kind) {
+    return new URL(FILES[kind], siteUrl(site)).href
+  }
+
+  function permalink(site, post) {
+    return `${siteUrl(site)}blog/${post.id}/`
+  }
+
+  function isoDate(value) {
+    const d = new Date(value)
+    return isNaN(d) ? null : d.toISOString()
+  }
+
+  function feedPosts(posts, limit) {
+    return (posts || [])
+      .filter((p) => p && p.status !== "draft" && p.id != null && p.title && isoDate(p.date))
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .slice(0, limit || DEFAULT_LIMIT)
+  }
+
+  // Rendered Markdown with relative src/href resolved against the site
+  function contentHtml(site, post) {
+    const base = siteUrl(site)
+    return Md.render(post.content || "").replace(/\b(src|href)="([^"]*)"/g, (whole, attr, url) => {
+      if (/^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith("#")) return whole
+      try {
+        return `${attr}="${new URL(url.replace(/&amp;/g, "&"), base).href.replace(/&/g, "&amp;")}"`
+      } catch {
+        return whole
+      }
+    })
+  }
+
+  function summary(post) {
+    const text = Md.toPlainText(post.content || "")
+    if (text.length <= 280) return text
+    const cut = text.slice(0, 280)
+    return cut.slice(0, cut.lastIndexOf(" ") > 200 ? cut.lastIndexOf(" ") : 280).replace(/[\s.,;:]+$/, "") + "…"
+  }
+
+  function categories(post) {
+    return [...new Set([post.category, ...(post.tags || [])].filter(Boolean))]
+  }
+
+  function coverUrl(site, post) {
+    if (!post.cover || /^data:/i.test(post.cover)) return null
+    try {
+      return new URL(post.cover, siteUrl(site)).href
+    } catch {
+      return null
+    }
+  }
+
+  function feedTitle(site) {
+    return (site.blog && site.blog.title) || site.title || "Blog"
+  }
+
+  function feedDescription(site) {
+    return (site.blog && site.blog.description) || site.description || ""
+  }
+
+  /* ---------- RSS 2.0 ---------- */
+
+  function rss(posts, site, opts = {}) {
+    const items = feedPosts(posts, opts.limit)
+    const latest = items.length ? items[0].updated || items[0].date : Date.now()
+    const body = items
+      .map((p) => {
+        const link = permalink(site, p)
+        return [
+          "    <item>",
+          `      <title>${xmlEscape(p.title)}</title>`,
+          `      <link>${xmlEscape(link)}</link>`,
+          `      <guid isPermaLink="true">${xmlEscape(link)}</guid>`,
+          `      <pubDate>${new Date(p.date).toUTCString()}</pubDate>`,
+          ...categories(p).map((c) => `      <category>${xmlEscape(c)}</category>`),
+          `      <description>${xmlEscape(summary(p))}</description>`,
+          `      <content:encoded>${xmlEscape(contentHtml(site, p))}</content:encoded>`,
+          "    </item>",
+        ].join("\n")
+      })
+      .join("\n")
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${xmlEscape(feedTitle(site))}</title>
+    <link>${xmlEscape(siteUrl(site))}</link>
+    <description>${xmlEscape(feedDescription(site))}</description>
+    <language>${xmlEscape(site.language || "en")}</language>
+    <lastBuildDate>${new Date(latest).toUTCString()}</lastBuildDate>
+    <atom:link href="${xmlEscape(feedUrl(site, "rss"))}" rel="self" type="application/rss+xml"/>
+${body}
+  </channel>
+</rss>
+`
+  }
+
+  /* ---------- Atom 1.0 ---------- */
+
+  function atom(posts, site, opts = {}) {
+    const items = feedPosts(posts, opts.limit)
+    const updated = items.length ? isoDate(items[0].updated || items[0].date) : new Date().toISOString()
+    const entries = items
+      .map((p) => {
+        const link = permalink(site, p)
+        return [
+          "  <entry>",
+          `    <title>${xmlEscape(p.title)}</title>`,
+          `    <link rel="alternate" type="text/html" href="${xmlEscape(link)}"/>`,
+          `    <id>${xmlEscape(link)}</id>`,
+          `    <published>${isoDate(p.date)}</published>`,
+          `    <updated>${isoDate(p.updated || p.date) || isoDate(p.date)}</updated>`,
+          ...categories(p).map((c) => `    <category term="${xmlEscape(c)}"/>`),
+          `    <summary>${xmlEscape(summary(p))}</summary>`,
+          `    <content type="html">${xmlEscape(contentHtml(site, p))}</content>`,
+          "  </entry>",
+        ].join("\n")
+      })
+      .join("\n")
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${xmlEscape(site.language || "en")}">
+  <title>${xmlEscape(feedTitle(site))}</title>
+  <subtitle>${xmlEscape(feedDescription(site))}</subtitle>
+  <link rel="alternate" type="text/html" href="${xmlEscape(siteUrl(site))}"/>
+  <link rel="self" type="application/atom+xml" href="${xmlEscape(feedUrl(site, "atom"))}"/>
+  <id>${xmlEscape(siteUrl(site))}</id>
+  <updated>${updated}</updated>
+  <author><name>${xmlEscape(site.author || site.title || "")}</name></author>
+${entries}
+</feed>
+`
+  }
+
+  /* ---------- JSON Feed 1.1 ---------- */
+
+  function jsonFeed(posts, site, opts = {}) {
+    const feed = {
+      version: "https://jsonfeed.org/version/1.1",
+      title: feedTitle(site),
+      home_page_url: siteUrl(site),
+      feed_url: feedUrl(site, "json"),
+      description: feedDescription(site),
+      language: site.language || "en",
+      authors: site.author || site.title ? [{ name: site.author || site.title }] : undefined,
+      items: feedPosts(posts, opts.limit).map((p) => {
+        const item = {
+          id: permalink(site, p),
+          url: permalink(site, p),
+          title: p.title,
+          content_html: contentHtml(site, p),
+          summary: summary(p),
+          date_published: isoDate(p.date),
+        }
+        if (p.updated && isoDate(p.updated)) item.date_modified = isoDate(p.updated)
+        const image = coverUrl(site, p)
+        if (image) item.image = image
+        const tags = categories(p)
+        if (tags.length) item.tags = tags
+        return item
+      }),
+    }
+    return JSON.stringify(feed, null, 2) + "\n"
+  }
+
+  // { "feed.xml": ..., "atom.xml": ..., "feed.json": ... }
+  function all(posts, site, opts) {
+    return {
+      [FILES.rss]: rss(posts, site, opts),
+      [FILES.atom]: atom(posts, site, opts),
+      [FILES.json]: jsonFeed(posts, site, opts),
+    }
+  }
+
+  return { rss, atom, jsonFeed, all, permalink, FILES }
+})()
+
+if (typeof module !== "undefined" && module.exports) module.exports = Feeds
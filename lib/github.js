@@ -0,0 +1,63 @@
+/**
+ * lib/github.js - Repository details for projects that link to GitHub
+ * - parseRepoUrl() turns a project's github URL into an "owner/repo" key
+ *   (lowercased, as GitHub names are case-insensitive); profile links, other
+ *   hosts and malformed URLs give null
+ * - repoApiUrl() builds GET /repos/:owner/:repo against a configurable API
+ *   base, so tools/github-fixtures.js can stand in for api.github.com
+ * - summarize() keeps what the cards show: stars, primary language, last push
+ *   (GitHub's pushed_at: any push to any branch, not necessarily a new commit
+ *   on the default branch) and the first few topics
+ * - rateLimitedUntil() reads a 403/429 response's rate-limit headers and
+ *   returns when it is worth asking again (0 when it wasn't rate limiting)
+ *
+ * Exposed as the global `GitHub` in the browser and via module.exports in Node.
+ */
+const GitHub = (() => {
+  const MAX_TOPICS = 5
+  const NAME = /^[A-Za-z0-9_.-]+$/
+
+  function parseRepoUrl(url) {
+    let parsed
+    try {
+      parsed = new URL(String(url || ""))
+    } catch {
+      return null
+    }
+    if (!/^(www\.)?github\.com$/i.test(parsed.hostname)) return null
+    const [owner, repo] = parsed.pathname.split("/").filter(Boolean)
+    const name = (repo || "").replace(/\.git$/i, "")
+    if (!owner || !NAME.test(owner) || !name || !NAME.test(name)) return null
+    return `${owner}/${name}`.toLowerCase()
+  }
+
+  function repoApiUrl(base, key) {
+    return `${String(base).replace(/\/+$/, "")}/repos/${key}`
+  }
+
+  function summarize(data) {
+    return {
+      stars: Number.isFinite(data.stargazers_count) ? data.stargazers_count : 0,
+      language: typeof data.language === "string" ? data.language : "",
+      pushedAt: typeof data.pushed_at === "string" ? data.pushed_at : "",
+      topics: Array.isArray(data.topics) ? data.topics.filter((t) => typeof t === "string").slice(0, MAX_TOPICS) : [],
+    }
+  }
+
+  // headers: a fetch Headers object (anything with get(name))
+  function rateLimitedUntil(status, headers, now = Date.now()) {
+    if (status !== 403 && status !== 429) return 0
+    const retryAfter = Number(headers.get("retry-after"))
+    if (retryAfter > 0) return now + retryAfter * 1000
+    if (headers.get("x-ratelimit-remaining") === "0") {
+      const reset = Number(headers.get("x-ratelimit-reset"))
+      return reset > 0 ? reset * 1000 : now + 60 * 60 * 1000
+    }
+    // A 403 without rate-limit headers is a real refusal (e.g. a blocked repo)
+    return status === 429 ? now + 60 * 1000 : 0
+  }
+
+  return { MAX_TOPICS, parseRepoUrl, repoApiUrl, summarize, rateLimitedUntil }
+})()
+
+if (typeof module !== "undefined" && module.exports) module.exports = GitHub
@@ -0,0 +1,82 @@
+/**
+ * lib/i18n.js - Message catalogs, plurals and locale-aware formatting
+ * - create(lang, messages, fallback) returns a translator whose t(key, params)
+ *   looks a dotted key up in the language's catalog (locales/<lang>.json),
+ *   then in the English one, and finally returns the key itself
+ * - Messages use {name} placeholders; a message may instead be an object of
+ *   Intl.PluralRules categories ({ one, other }) picked by params.count
+ * - Numbers in params are formatted for the locale, so Nepali gets
+ *   Devanagari digits; date() and number() use the same locale
+ * - localize(item, lang) lays an item's translations[lang] fields over the
+ *   English ones (see TRANSLATABLE_FIELDS in lib/catalog.js)
+ *
+ * Exposed as the global `I18n` in the browser and via module.exports in Node.
+ */
+const I18n = (() => {
+  const LANGUAGES = {
+    en: { name: "English", locale: "en-US" },
+    ne: { name: "नेपाली", locale: "ne-NP" },
+  }
+  const DEFAULT_LANGUAGE = "en"
+
+  function lookup(messages, key) {
+    return key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), messages)
+  }
+
+  // First supported language among preferences like navigator.languages ("ne-NP" matches "ne")
+  function match(preferred) {
+    for (const tag of [].concat(preferred || [])) {
+      const lang = String(tag || "").toLowerCase().split(/[-_]/)[0]
+      if (LANGUAGES[lang]) return lang
+    }
+    return DEFAULT_LANGUAGE
+  }
+
+  function localize(item, lang) {
+    const translated = item && item.translations && item.translations[lang]
+    if (!translated || lang === DEFAULT_LANGUAGE) return item
+    const out = { ...item }
+    Object.entries(translated).forEach(([field, value]) => {
+      if (typeof value === "string" && value.trim()) out[field] = value
+    })
+    return out
+  }
+
+  function create(lang, messages = {}, fallback = {}) {
+    const code = LANGUAGES[lang] ? lang : DEFAULT_LANGUAGE
+    const locale = LANGUAGES[code].locale
+    const plurals = new Intl.PluralRules(locale)
+
+    function number(value, options) {
+      return new Intl.NumberFormat(locale, options).format(value)
+    }
+
+    function date(value, options = { year: "numeric", month: "short", day: "numeric" }) {
+      const d = new Date(value)
+      return isNaN(d) ? "" : d.toLocaleDateString(locale, options)
+    }
+
+    function has(key) {
+      return lookup(messages, key) !== undefined || lookup(fallback, key) !== undefined
+    }
+
+    function t(key, params = {}) {
+      let message = lookup(messages, key)
+      if (message === undefined) message = lookup(fallback, key)
+      if (message && typeof message === "object") {
+        message = message[plurals.select(Number(params.count) || 0)] ?? message.other
+      }
+      if (typeof message !== "string") return key
+      return message.replace(/\{(\w+)\}/g, (whole, name) => {
+        if (!(name in params)) return whole
+        return typeof params[name] === "number" ? number(params[name]) : String(params[name])
+      })
+    }
+
+    return { lang: code, locale, t, has, number, date, localize: (item) => localize(item, code) }
+  }
+
+  return { LANGUAGES, DEFAULT_LANGUAGE, match, localize, create }
+})()
+
+if (typeof module !== "undefined" && module.exports) module.exports = I18n
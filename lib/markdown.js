@@ -0,0 +1,438 @@
+/**
+ * lib/markdown.js - Small sanitizing Markdown renderer for OffTopic posts
+ * - Blocks: headings, paragraphs, fenced code, blockquotes, nested lists, rules
+ * - Inline: code, links, images, autolinks, bold, italic, strikethrough, hard breaks
+ * - Raw HTML is never passed through; every bit of text is escaped and only
+ *   http(s)/mailto/relative URLs survive (plus data:image for images)
+ * - Fenced code is syntax highlighted with a tiny tokenizer (tok-* classes)
+ * - renderLite() is the reader-comment subset: paragraphs and inline
+ *   formatting only, no images, and links marked nofollow/ugc
+ *
+ * Exposed as the global `Markdown` in the browser and via module.exports in Node.
+ */
+const Markdown = (() => {
+  const FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/
+  const HEADING_RE = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/
+  const HR_RE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/
+  const QUOTE_RE = /^ {0,3}>\s?/
+  const LIST_RE = /^( *)([-*+]|\d{1,9}[.)])(?: +|$)/
+  // URL inside (...) allowing one level of balanced parentheses, plus an optional "title"
+  const TARGET = String.raw`\(\s*<?((?:[^()\s>]|\([^()\s]*\))*)>?(?:\s+"([^"]*)")?\s*\)`
+  const IMAGE_RE = new RegExp(String.raw`!\[([^\]]*)\]` + TARGET, "g")
+  const LINK_RE = new RegExp(String.raw`\[((?:[^\[\]]|\[[^\]]*\])*)\]` + TARGET, "g")
+
+  function escapeHtml(str) {
+    return String(str == null ? "" : str)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;")
+  }
+
+  function safeUrl(url, isImage) {
+    const u = String(url || "").replace(/[\u0000-\u001f\u007f\s]+/g, "")
+    if (!u) return null
+    if (isImage && /^data:image\/(png|jpe?g|gif|webp|svg\+xml)[;,]/i.test(u)) return u
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(u)) return u
+    if (/^https?:/i.test(u) || (!isImage && /^mailto:/i.test(u))) return u
+    return null
+  }
+
+  /* ---------- Block level ---------- */
+
+  function isBlockStart(line) {
+    return FENCE_RE.test(line) || HEADING_RE.test(line) || HR_RE.test(line) || QUOTE_RE.test(line) || LIST_RE.test(line)
+  }
+
+  function indentOf(line) {
+    return line.match(/^ */)[0].length
+  }
+
+  function closesFence(line, marker) {
+    const m = line.match(/^ {0,3}(`+|~+)\s*$/)
+    return !!m && m[1][0] === marker[0] && m[1].length >= marker.length
+  }
+
+  function renderBlocks(lines, opts, tight) {
+    const out = []
+    let i = 0
+    while (i < lines.length) {
+      const line = lines[i]
+      if (!line.trim()) {
+        i++
+        continue
+      }
+
+      const fence = line.match(FENCE_RE)
+      if (fence) {
+        const marker = fence[1]
+        const lang = fence[2].toLowerCase()
+        const code = []
+        i++
+        while (i < lines.length && !closesFence(lines[i], marker)) {
+          code.push(lines[i])
+          i++
+        }
+        i++ // closing fence (or EOF)
+        const langAttr = lang ? ` class="language-${escapeHtml(lang)}" data-lang="${escapeHtml(lang)}"` : ""
+        out.push(`<pre class="code-block"><code${langAttr}>${highlight(code.join("\n"), lang)}</code></pre>`)
+        continue
+      }
+
+      const heading = line.match(HEADING_RE)
+      if (heading) {
+        const level = Math.min(6, heading[1].length + (opts.headingOffset || 0))
+        out.push(`<h${level}>${renderInline(heading[2])}</h${level}>`)
+        i++
+        continue
+      }
+
+      if (HR_RE.test(line)) {
+        out.push("<hr>")
+        i++
+        continue
+      }
+
+      if (QUOTE_RE.test(line)) {
+        const quoted = []
+        while (i < lines.length && lines[i].trim() && (QUOTE_RE.test(lines[i]) || !isBlockStart(lines[i]))) {
+          quoted.push(lines[i].replace(QUOTE_RE, ""))
+          i++
+        }
+        out.push(`<blockquote>${renderBlocks(quoted, opts, false)}</blockquote>`)
+        continue
+      }
+
+      if (LIST_RE.test(line)) {
+        const { html, next } = renderList(lines, i, opts)
+        out.push(html)
+        i = next
+        continue
+      }
+
+      const para = []
+      while (i < lines.length && lines[i].trim() && (para.length === 0 || !isBlockStart(lines[i]))) {
+        para.push(lines[i])
+        i++
+      }
+      const text = renderInline(para.map((l) => l.replace(/^ +/, "")).join("\n"))
+      out.push(tight ? text : `<p>${text}</p>`)
+    }
+    return out.join(tight ? "\n" : "")
+  }
+
+  function renderList(lines, start, opts) {
+    const first = lines[start].match(LIST_RE)
+    const indent = first[1].length
+    const ordered = /\d/.test(first[2])
+    const items = []
+    let current = null
+    let contentCol = 0
+    let loose = false
+    let i = start
+
+    while (i < lines.length) {
+      const line = lines[i]
+      const m = line.match(LIST_RE)
+      if (m && m[1].length <= indent + 1 && /\d/.test(m[2]) === ordered) {
+        contentCol = m[0].length
+        current = [line.slice(m[0].length)]
+        items.push(current)
+        i++
+        continue
+      }
+      if (!line.trim()) {
+        let j = i + 1
+        while (j < lines.length && !lines[j].trim()) j++
+        const nextLine = lines[j]
+        const nm = nextLine && nextLine.match(LIST_RE)
+        const sibling = !!nm && nm[1].length <= indent + 1 && /\d/.test(nm[2]) === ordered
+        if (nextLine !== undefined && (indentOf(nextLine) >= contentCol || sibling)) {
+          loose = true
+          current.push("")
+          i++
+          continue
+        }
+        break
+      }
+      if (indentOf(line) >= contentCol) {
+        current.push(line.slice(Math.min(contentCol, indentOf(line))))
+      } else if (!isBlockStart(line) && current[current.length - 1].trim()) {
+        current.push(line.trim()) // lazy continuation of the item's paragraph
+      } else {
+        break
+      }
+      i++
+    }
+
+    const tag = ordered ? "ol" : "ul"
+    const startNum = ordered ? parseInt(first[2], 10) : 1
+    const startAttr = ordered && startNum !== 1 ? ` start="${startNum}"` : ""
+    const body = items.map((item) => `<li>${renderBlocks(item, opts, !loose)}</li>`).join("")
+    return { html: `<${tag}${startAttr}>${body}</${tag}>`, next: i }
+  }
+
+  /* ---------- Inline level ---------- */
+
+  // Finished fragments (code, links, ...) are parked in `slots` behind \u0000n\u0000
+  // markers so later passes can't touch them; nested calls share the same slots.
+  // `lite` drops images and marks links as user-generated.
+  function renderInline(text, noLinks, sharedSlots, lite) {
+    const slots = sharedSlots || []
+    const hold = (html) => `\u0000${slots.push(html) - 1}\u0000`
+    let src = sharedSlots ? String(text) : String(text).replace(/\u0000/g, "")
+
+    // Hard line breaks: two trailing spaces or a trailing backslash
+    src = src.replace(/(?: {2,}|\\)\n/g, () => hold("<br>"))
+    // Backslash escapes
+    src = src.replace(/\\([\\`*_{}\[\]()#+\-.!~>|])/g, (_, ch) => hold(escapeHtml(ch)))
+    // Code spans
+    src = src.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`))
+    // Images
+    src = src.replace(IMAGE_RE, (whole, alt, url, title) => {
+      if (lite) return hold(escapeHtml(alt))
+      const safe = safeUrl(url, true)
+      if (!safe) return hold(escapeHtml(alt))
+      const titleAttr = title ? ` title="${escapeHtml(title)}"` : ""
+      return hold(`<img src="${escapeHtml(safe)}" alt="${escapeHtml(alt)}"${titleAttr} loading="lazy">`)
+    })
+    if (!noLinks) {
+      // Links
+      src = src.replace(LINK_RE, (whole, label, url, title) => {
+        const inner = renderInline(label, true, slots, lite)
+        const safe = safeUrl(url, false)
+        if (!safe) return hold(inner)
+        return hold(linkHtml(safe, inner, title, lite))
+      })
+      // Autolinks: <https://...> and bare URLs
+      src = src.replace(/<((?:https?:\/\/|mailto:)[^\s>]+)>/gi, (_, url) =>
+        hold(linkHtml(url, escapeHtml(url.replace(/^mailto:/i, "")), "", lite)),
+      )
+      src = src.replace(/\bhttps?:\/\/[^\s<]*[^\s<.,:;"')\]!?]/gi, (url) => hold(linkHtml(url, escapeHtml(url), "", lite)))
+    }
+
+    let html = escapeHtml(src)
+    html = html
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+      .replace(/(^|[^\p{L}\p{N}_])__(?=\S)([\s\S]*?\S)__(?![\p{L}\p{N}_])/gu, "$1<strong>$2</strong>")
+      .replace(/\*(?=\S)([^*]*?\S)\*/g, "<em>$1</em>")
+      .replace(/(^|[^\p{L}\p{N}_])_(?=\S)([^_]*?\S)_(?![\p{L}\p{N}_])/gu, "$1<em>$2</em>")
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>")
+
+    if (sharedSlots) return html
+    // Slots can nest (a link label holding code), so restore until stable
+    while (/\u0000\d+\u0000/.test(html)) html = html.replace(/\u0000(\d+)\u0000/g, (_, n) => slots[n])
+    return html
+  }
+
+  function linkHtml(url, innerHtml, title, ugc) {
+    const external = /^(https?:)?\/\//i.test(url)
+    const titleAttr = title ? ` title="${escapeHtml(title)}"` : ""
+    const rel = ugc ? "nofollow ugc noopener noreferrer" : "noopener noreferrer"
+    const extAttr = external ? ` target="_blank" rel="${rel}"` : ugc ? ` rel="${rel}"` : ""
+    return `<a href="${escapeHtml(url)}"${titleAttr}${extAttr}>${innerHtml}</a>`
+  }
+
+  /* ---------- Syntax highlighting ---------- */
+
+  const C_STRINGS = [
+    ["string", /"(?:\\[\s\S]|[^"\\\n])*"?/y],
+    ["string", /'(?:\\[\s\S]|[^'\\\n])*'?/y],
+  ]
+  const C_COMMENTS = [
+    ["comment", /\/\/.*/y],
+    ["comment", /\/\*[\s\S]*?(?:\*\/|$)/y],
+  ]
+  const NUMBER = ["number", /\b(?:0x[\da-f]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?)\b/iy]
+  const CALL = ["fn", /[A-Za-z_$][\w$]*(?=\s*\()/y]
+
+  const LANGUAGES = {
+    js: {
+      rules: [...C_COMMENTS, ...C_STRINGS, ["string", /`(?:\\[\s\S]|[^`\\])*`?/y], NUMBER],
+      keywords:
+        "async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield interface type enum implements",
+    },
+    python: {
+      rules: [
+        ["comment", /#.*/y],
+        ["string", /[rbfu]{0,2}("""|''')[\s\S]*?(?:\1|$)/iy],
+        ...C_STRINGS,
+        ["attr", /@[\w.]+/y],
+        NUMBER,
+      ],
+      keywords:
+        "and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield self print",
+    },
+    java: {
+      rules: [...C_COMMENTS, ...C_STRINGS, ["attr", /@\w+/y], NUMBER],
+      keywords:
+        "abstract boolean break byte case catch char class const continue default do double else enum extends false final finally float for if implements import instanceof int interface long new null package private protected public return short static super switch this throw throws true try var void volatile while String",
+    },
+    c: {
+      rules: [...C_COMMENTS, ...C_STRINGS, ["attr", /#\s*\w+/y], NUMBER],
+      keywords:
+        "auto bool break case char class const continue default delete do double else enum extern false float for if include int long namespace new nullptr private protected public return short signed sizeof static struct switch template this true typedef union unsigned using virtual void while",
+    },
+    css: {
+      rules: [
+        ["comment", /\/\*[\s\S]*?(?:\*\/|$)/y],
+        ...C_STRINGS,
+        ["keyword", /@[\w-]+/y],
+        ["number", /#[\da-f]{3,8}\b/iy],
+        ["attr", /--?[a-z][\w-]*(?=\s*:)|[a-z][\w-]*(?=\s*:[^:{]*[;}])/iy],
+        ["number", /-?\d*\.?\d+(?:px|rem|em|%|vh|vw|ms|s|deg|fr)?\b/y],
+      ],
+      keywords: "important inherit initial unset none auto",
+    },
+    html: {
+      rules: [
+        ["comment", /<!--[\s\S]*?(?:-->|$)/y],
+        ["tag", /<\/?[A-Za-z][\w-]*|\/?>/y],
+        ["attr", /[\w:-]+(?==)/y],
+        ...C_STRINGS,
+      ],
+      keywords: "",
+    },
+    json: {
+      rules: [["attr", /"(?:\\.|[^"\\])*"(?=\s*:)/y], ...C_STRINGS, NUMBER],
+      keywords: "true false null",
+    },
+    bash: {
+      rules: [["comment", /#.*/y], ...C_STRINGS, ["attr", /\$\{?[\w@#?*!-]+\}?/y], NUMBER],
+      keywords:
+        "if then else elif fi for while do done case esac in function return export local echo cd ls npm npx node git sudo",
+    },
+    sql: {
+      rules: [["comment", /--.*/y], ["comment", /\/\*[\s\S]*?(?:\*\/|$)/y], ...C_STRINGS, NUMBER],
+      keywords:
+        "select from where insert into values update set delete create table drop alter add join left right inner outer on group by order having limit as and or not null is in like distinct count sum avg min max primary key",
+      caseInsensitive: true,
+    },
+  }
+  const ALIASES = {
+    javascript: "js", jsx: "js", mjs: "js", ts: "js", typescript: "js", tsx: "js", node: "js",
+    py: "python", python3: "python",
+    cpp: "c", "c++": "c", h: "c", cs: "c", csharp: "c", kotlin: "java",
+    scss: "css",
+    xml: "html", svg: "html", vue: "html",
+    sh: "bash", shell: "bash", zsh: "bash", console: "bash",
+  }
+
+  const keywordCache = {}
+  function keywordSet(name, spec) {
+    if (!keywordCache[name]) {
+      const words = spec.keywords.split(/\s+/).filter(Boolean)
+      keywordCache[name] = new Set(spec.caseInsensitive ? words.map((w) => w.toLowerCase()) : words)
+    }
+    return keywordCache[name]
+  }
+
+  function highlight(code, lang) {
+    const name = ALIASES[lang] || lang
+    const spec = LANGUAGES[name]
+    if (!spec) return escapeHtml(code)
+    const keywords = keywordSet(name, spec)
+    const rules = name === "css" || name === "html" ? spec.rules : [...spec.rules, CALL]
+    let out = ""
+    let plain = ""
+    let pos = 0
+    const flush = () => {
+      out += escapeHtml(plain)
+      plain = ""
+    }
+
+    outer: while (pos < code.length) {
+      for (const [cls, re] of rules) {
+        re.lastIndex = pos
+        const m = re.exec(code)
+        if (m && m[0].length) {
+          const word = m[0]
+          const isKeyword = cls === "fn" && keywords.has(spec.caseInsensitive ? word.toLowerCase() : word)
+          flush()
+          out += `<span class="tok-${isKeyword ? "keyword" : cls}">${escapeHtml(word)}</span>`
+          pos += word.length
+          continue outer
+        }
+      }
+      const ident = name === "css" ? /[A-Za-z_-][\w-]*/y : /[A-Za-z_$][\w$]*/y
+      ident.lastIndex = pos
+      const m = ident.exec(code)
+      if (m) {
+        const word = m[0]
+        if (keywords.has(spec.caseInsensitive ? word.toLowerCase() : word)) {
+          flush()
+          out += `<span class="tok-keyword">${escapeHtml(word)}</span>`
+        } else {
+          plain += word
+        }
+        pos += word.length
+        continue
+      }
+      plain += code[pos]
+      pos++
+    }
+    flush()
+    return out
+  }
+
+  /* ---------- Public API ---------- */
+
+  function render(src, opts) {
+    const lines = String(src || "").replace(/\r\n?/g, "\n").replace(/\t/g, "    ").split("\n")
+    return renderBlocks(lines, opts || {}, false)
+  }
+
+  // Comment formatting: blank lines split paragraphs, single newlines are kept
+  function renderLite(src) {
+    return String(src || "")
+      .replace(/\r\n?/g, "\n")
+      .split(/\n\s*\n/)
+      .map((para) => para.trim())
+      .filter(Boolean)
+      .map((para) => `<p>${renderInline(para.replace(/\n/g, "  \n"), false, null, true)}</p>`)
+      .join("")
+  }
+
+  // Markdown stripped down to readable text (for excerpts, search, feeds)
+  function toPlainText(src) {
+    const kept = []
+    let fence = null
+    String(src || "")
+      .replace(/\r\n?/g, "\n")
+      .split("\n")
+      .forEach((line) => {
+        if (fence) {
+          if (closesFence(line, fence)) fence = null
+          return
+        }
+        const m = line.match(FENCE_RE)
+        if (m) fence = m[1]
+        else kept.push(line)
+      })
+    return kept
+      .join("\n")
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/^ {0,3}(#{1,6}\s+|>\s?|[-*+]\s+|\d+[.)]\s+)/gm, "")
+      .replace(/^ {0,3}([-*_])(\s*\1){2,}\s*$/gm, "")
+      .replace(/(\*\*|__|~~|`+)/g, "")
+      .replace(/(^|\W)[*_](\S(?:.*?\S)?)[*_](?=\W|$)/g, "$1$2")
+      .replace(/\\([\\`*_{}\[\]()#+\-.!~>|])/g, "$1")
+      .replace(/\s+/g, " ")
+      .trim()
+  }
+
+  // Escaped plain-text excerpt, cut on a word boundary
+  function excerpt(src, maxLength) {
+    const text = toPlainText(src)
+    if (text.length <= maxLength) return escapeHtml(text)
+    const cut = text.slice(0, maxLength)
+    const space = cut.lastIndexOf(" ")
+    return escapeHtml((space > maxLength * 0.6 ? cut.slice(0, space) : cut).replace(/[\s.,;:]+$/, "")) + "..."
+  }
+
+  return { render, renderInline, renderLite, toPlainText, excerpt, highlight, escapeHtml, safeUrl }
+})()
+
+if (typeof module !== "undefined" && module.exports) module.exports = Markdown
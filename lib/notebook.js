@@ -0,0 +1,120 @@
+/**
+ * lib/notebook.js - Read-only viewer markup for Jupyter notebooks (.ipynb, nbformat 4)
+ * - parse() checks the JSON and flattens it to { language, cells }; sources
+ *   and text outputs may be a string or a list of lines, as in the file format
+ * - Markdown cells go through lib/markdown.js (so raw HTML is dropped), with
+ *   attachment: images swapped for their embedded data
+ * - Code cells are highlighted in the kernel's language and wrapped in
+ *   <details>, so visitors can collapse the inputs
+ * - Outputs: streams and errors (ANSI colours stripped), PNG/JPEG/SVG images
+ *   as data: URLs, text/html in a sandboxed iframe where no script runs
+ *   (script.js sizes it to its content), otherwise text/plain
+ *
+ * Exposed as the global `Notebook` in the browser and via module.exports in Node.
+ */
+const Notebook = (() => {
+  const Md = typeof Markdown !== "undefined" ? Markdown : require("./markdown.js")
+  const esc = Md.escapeHtml
+  const ANSI_RE = /\x1b\[[\d;]*[A-Za-z]/g
+  const IMAGE_TYPES = ["image/png", "image/jpeg", "image/svg+xml"]
+
+  function text(value) {
+    if (Array.isArray(value)) return value.join("")
+    return typeof value === "string" ? value : ""
+  }
+
+  function parse(data) {
+    if (!data || typeof data !== "object" || !Array.isArray(data.cells)) {
+      throw new Error("not a Jupyter notebook (no list of cells)")
+    }
+    if (data.nbformat !== 4) throw new Error(`nbformat ${data.nbformat} is not supported, only version 4`)
+    const meta = data.metadata || {}
+    const language = (meta.language_info && meta.language_info.name) || (meta.kernelspec && meta.kernelspec.language) || "python"
+    const cells = data.cells
+      .filter((c) => c && typeof c === "object")
+      .map((c) => ({
+        type: c.cell_type,
+        source: text(c.source),
+        executionCount: Number.isInteger(c.execution_count) ? c.execution_count : null,
+        outputs: Array.isArray(c.outputs) ? c.outputs.filter((o) => o && typeof o === "object") : [],
+        attachments: c.attachments && typeof c.attachments === "object" ? c.attachments : {},
+      }))
+    return { language: String(language).toLowerCase(), cells }
+  }
+
+  // SVG is stored as text, the bitmaps as base64. Parentheses are escaped so
+  // the URL also survives inside a Markdown image.
+  function dataUrl(type, data) {
+    const url =
+      type === "image/svg+xml"
+        ? `data:${type};charset=utf-8,${encodeURIComponent(text(data))}`
+        : `data:${type};base64,${text(data).replace(/\s+/g, "")}`
+    return url.replace(/\(/g, "%28").replace(/\)/g, "%29")
+  }
+
+  function withAttachments(source, attachments) {
+    return source.replace(/\(\s*attachment:([^)\s]+)/g, (whole, name) => {
+      const bundle = attachments[name] || attachments[decodeURIComponent(name)]
+      const type = bundle && IMAGE_TYPES.find((t) => bundle[t] !== undefined)
+      return type ? `(${dataUrl(type, bundle[type])}` : whole
+    })
+  }
+
+  function renderOutput(out, count, i18n) {
+    if (out.output_type === "stream") {
+      const cls = out.name === "stderr" ? " nb-stderr" : ""
+      return `<pre class="nb-output nb-stream${cls}">${esc(text(out.text).replace(ANSI_RE, ""))}</pre>`
+    }
+    if (out.output_type === "error") {
+      const trace = Array.isArray(out.traceback) && out.traceback.length ? out.traceback.join("\n") : `${out.ename}: ${out.evalue}`
+      return `<pre class="nb-output nb-error">${esc(trace.replace(ANSI_RE, ""))}</pre>`
+    }
+    if (out.output_type !== "execute_result" && out.output_type !== "display_data") return ""
+
+    const data = out.data || {}
+    const plain = text(data["text/plain"])
+    let body
+    const image = IMAGE_TYPES.find((t) => data[t] !== undefined)
+    if (image) {
+      body = `<img class="nb-image" loading="lazy" src="${esc(dataUrl(image, data[image]))}" alt="${esc(plain || i18n.t("notebook.figure"))}">`
+    } else if (data["text/html"] !== undefined) {
+      body = `<iframe class="nb-html" sandbox="allow-same-origin" title="${esc(i18n.t("notebook.htmlOutput"))}" srcdoc="${esc(text(data["text/html"]))}"></iframe>`
+    } else if (plain) {
+      body = `<pre class="nb-text">${esc(plain.replace(ANSI_RE, ""))}</pre>`
+    } else {
+      return ""
+    }
+    const prompt =
+      out.output_type === "execute_result"
+        ? `<span class="nb-prompt">${esc(i18n.t("notebook.output", { count: count === null ? " " : count }))}</span>`
+        : ""
+    return `<div class="nb-output">${prompt}${body}</div>`
+  }
+
+  function renderCell(cell, language, i18n, headingOffset) {
+    if (cell.type === "markdown") {
+      if (!cell.source.trim()) return ""
+      return `<section class="nb-cell nb-markdown">${Md.render(withAttachments(cell.source, cell.attachments), { headingOffset })}</section>`
+    }
+    if (cell.type !== "code" || (!cell.source.trim() && !cell.outputs.length)) return ""
+    const count = cell.executionCount
+    return `
+      <section class="nb-cell nb-code">
+        <details class="nb-input" open>
+          <summary class="nb-prompt">${esc(i18n.t("notebook.input", { count: count === null ? " " : count }))}</summary>
+          <pre class="code-block"><code class="language-${esc(language)}" data-lang="${esc(language)}">${Md.highlight(cell.source, language)}</code></pre>
+        </details>
+        ${cell.outputs.map((out) => renderOutput(out, count, i18n)).join("")}
+      </section>`
+  }
+
+  // notebook: parse() output; headingOffset shifts Markdown headings below the viewer's title
+  function render(notebook, i18n, { headingOffset = 2 } = {}) {
+    const cells = notebook.cells.map((cell) => renderCell(cell, notebook.language, i18n, headingOffset)).join("")
+    return `<div class="notebook markdown-body">${cells || `<p class="muted">${esc(i18n.t("notebook.empty"))}</p>`}</div>`
+  }
+
+  return { parse, render }
+})()
+
+if (typeof module !== "undefined" && module.exports) module.exports = Notebook
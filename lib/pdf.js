@@ -0,0 +1,215 @@
+/**
+ * lib/pdf.js - Minimal text-only PDF writer (no dependencies)
+ * - Flows wrapped paragraphs, left/right rows and rules onto A4 pages
+ * - Uses the standard Helvetica fonts with WinAnsi encoding, so nothing is
+ *   embedded; characters outside WinAnsi are written as "?"
+ * - Widths come from the Helvetica metrics, close enough for line wrapping
+ *
+ * Usage:
+ *   const doc = Pdf.create({ title, author })
+ *   doc.text("Hello", { size: 20, font: "bold" })
+ *   const bytes = doc.toBytes()   // Uint8Array, ready for a Blob or fs.writeFileSync
+ *
+ * Exposed as the global `Pdf` in the browser and via module.exports in Node.
+ */
+const Pdf = (() => {
+  const A4 = [595.28, 841.89]
+  const FONTS = { regular: "Helvetica", bold: "Helvetica-Bold", italic: "Helvetica-Oblique" }
+  const FONT_KEYS = { regular: "F1", bold: "F2", italic: "F3" }
+
+  // Advance widths (1/1000 em) for characters 32-126
+  const WIDTHS = {
+    regular: [278,278,355,556,556,889,667,191,333,333,389,584,278,333,278,278,556,556,556,556,556,556,556,556,556,556,278,278,584,584,584,556,1015,667,667,722,722,667,611,778,722,278,500,667,556,833,722,778,667,778,722,667,611,722,667,944,667,667,611,278,278,278,469,556,333,556,556,500,556,556,278,556,556,222,222,500,222,833,556,556,556,556,333,500,278,556,500,722,500,500,500,334,260,334,584],
+    bold: [278,333,474,556,556,889,722,238,333,333,389,584,278,333,278,278,556,556,556,556,556,556,556,556,556,556,333,333,584,584,584,611,975,722,722,722,722,667,611,778,722,278,556,722,611,833,722,778,667,778,722,667,611,722,667,944,667,667,611,333,278,333,584,556,333,556,611,556,611,556,333,611,611,278,278,556,278,889,611,611,611,611,389,556,333,611,556,778,556,556,500,389,280,389,584],
+  }
+  WIDTHS.italic = WIDTHS.regular
+
+  // Unicode characters WinAnsi places in 0x80-0x9f
+  const WIN_ANSI = {
+    "€": 0x80, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93,
+    "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99,
+  }
+
+  function encode(str) {
+    const codes = []
+    for (const ch of String(str == null ? "" : str).normalize("NFC")) {
+      const cp = ch.codePointAt(0)
+      if (cp >= 32 && cp <= 126) codes.push(cp)
+      else if (cp >= 0xa0 && cp <= 0xff) codes.push(cp)
+      else if (WIN_ANSI[ch]) codes.push(WIN_ANSI[ch])
+      else if (/\s/.test(ch)) codes.push(32)
+      else codes.push(63)
+    }
+    return codes
+  }
+
+  function charWidth(code, font) {
+    if (code >= 32 && code <= 126) return WIDTHS[font][code - 32]
+    if (code === 0x97) return 1000
+    if (code === 0x95) return 350
+    if (code === 0x91 || code === 0x92) return 222
+    return 556
+  }
+
+  function textWidth(str, font, size) {
+    return (encode(str).reduce((sum, c) => sum + charWidth(c, font), 0) * size) / 1000
+  }
+
+  // PDF string literal; everything outside printable ASCII becomes an octal escape
+  function pdfString(str) {
+    return (
+      "(" +
+      encode(str)
+        .map((c) => {
+          if (c === 40 || c === 41 || c === 92) return "\\" + String.fromCharCode(c)
+          if (c < 32 || c > 126) return "\\" + c.toString(8).padStart(3, "0")
+          return String.fromCharCode(c)
+        })
+        .join("") +
+      ")"
+    )
+  }
+
+  function wrap(str, font, size, width) {
+    const lines = []
+    String(str == null ? "" : str)
+      .split("\n")
+      .forEach((para) => {
+        let line = ""
+        para.split(/\s+/).filter(Boolean).forEach((word) => {
+          const next = line ? `${line} ${word}` : word
+          if (!line || textWidth(next, font, size) <= width) {
+            line = next
+          } else {
+            lines.push(line)
+            line = word
+          }
+        })
+        lines.push(line)
+      })
+    return lines
+  }
+
+  function num(n) {
+    return Number(n.toFixed(2)).toString()
+  }
+
+  function create({ title = "", author = "", margin = 56, pageSize = A4 } = {}) {
+    const [pageW, pageH] = pageSize
+    const contentW = pageW - margin * 2
+    const pages = []
+    let ops
+    let y
+
+    function newPage() {
+      ops = []
+      pages.push(ops)
+      y = pageH - margin
+    }
+    newPage()
+
+    // Starts a new page unless `height` points still fit on this one
+    function ensure(height) {
+      if (y - height < margin) newPage()
+    }
+
+    function show(str, x, baseline, font, size, color) {
+      ops.push(
+        `BT /${FONT_KEYS[font]} ${num(size)} Tf ${color.map(num).join(" ")} rg ${num(x)} ${num(baseline)} Td ${pdfString(str)} Tj ET`,
+      )
+    }
+
+    const doc = {
+      width: contentW,
+
+      // Wrapped paragraph; opts: font, size, color [r,g,b 0-1], indent, gap (space after), lineHeight
+      text(str, { font = "regular", size = 10, color = [0, 0, 0], indent = 0, gap = 4, lineHeight = 1.35 } = {}) {
+        const lead = size * lineHeight
+        wrap(str, font, size, contentW - indent).forEach((line) => {
+          ensure(lead)
+          y -= lead
+          show(line, margin + indent, y + (lead - size) / 2, font, size, color)
+        })
+        y -= gap
+        return doc
+      },
+
+      // `left` wraps in the space `right` leaves; `right` sits on the first line, right-aligned
+      row(left, right, { font = "bold", size = 10.5, rightFont = "regular", color = [0, 0, 0], rightColor = color, gap = 2 } = {}) {
+        const lead = size * 1.35
+        const rightW = right ? textWidth(right, rightFont, size) + 12 : 0
+        wrap(left, font, size, contentW - rightW).forEach((line, i) => {
+          ensure(lead)
+          y -= lead
+          const baseline = y + (lead - size) / 2
+          show(line, margin, baseline, font, size, color)
+          if (i === 0 && right) show(right, margin + contentW - textWidth(right, rightFont, size), baseline, rightFont, size, rightColor)
+        })
+        y -= gap
+        return doc
+      },
+
+      rule({ color = [0.8, 0.8, 0.8], gap = 8, width = 0.75 } = {}) {
+        ensure(gap * 2)
+        y -= gap
+        ops.push(`${color.map(num).join(" ")} RG ${num(width)} w ${num(margin)} ${num(y)} m ${num(margin + contentW)} ${num(y)} l S`)
+        y -= gap
+        return doc
+      },
+
+      space(height) {
+        y -= height
+        if (y < margin) newPage()
+        return doc
+      },
+
+      ensure(height) {
+        ensure(height)
+        return doc
+      },
+
+      toBytes() {
+        const objects = [] // object bodies, numbered from 1
+        const add = (body) => objects.push(body) // returns the new object's number
+
+        const catalog = add(null)
+        const pageTree = add(null)
+        const fontRefs = Object.entries(FONTS).map(
+          ([key, base]) => `/${FONT_KEYS[key]} ${add(`<< /Type /Font /Subtype /Type1 /BaseFont /${base} /Encoding /WinAnsiEncoding >>`)} 0 R`,
+        )
+        const kids = pages.map((pageOps) => {
+          const stream = pageOps.join("\n")
+          const content = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`)
+          return add(
+            `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${num(pageW)} ${num(pageH)}] ` +
+              `/Resources << /Font << ${fontRefs.join(" ")} >> >> /Contents ${content} 0 R >>`,
+          )
+        })
+        objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`
+        objects[pageTree - 1] = `<< /Type /Pages /Kids [${kids.map((k) => `${k} 0 R`).join(" ")}] /Count ${kids.length} >>`
+        const info = add(`<< /Title ${pdfString(title)} /Author ${pdfString(author)} /Producer (lib/pdf.js) >>`)
+
+        // Every byte above is ASCII, so string offsets are byte offsets
+        let out = "%PDF-1.4\n"
+        const offsets = objects.map((body, i) => {
+          const offset = out.length
+          out += `${i + 1} 0 obj\n${body}\nendobj\n`
+          return offset
+        })
+        const xref = out.length
+        out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+        out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("")
+        out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+
+        const bytes = new Uint8Array(out.length)
+        for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i)
+        return bytes
+      },
+    }
+    return doc
+  }
+
+  return { create, textWidth, wrap }
+})()
+
+if (typeof module !== "undefined" && module.exports) module.exports = Pdf
@@ -0,0 +1,199 @@
+/**
+ * lib/resume.js - CV rendering from a JSON Resume document (resume.json)
+ * - model() flattens the sections the site shows (work, volunteer, education,
+ *   projects, awards, certificates, skills, languages, interests) into one
+ *   shape; html() and pdf() both render that model, so the on-page CV, its
+ *   print stylesheet and the PDF download always list the same content
+ * - pdf() returns the bytes of a text-only A4 PDF built with lib/pdf.js
+ *
+ * Schema: https://jsonresume.org/schema/
+ * Exposed as the global `Resume` in the browser and via module.exports in Node.
+ */
+const Resume = (() => {
+  const Md = typeof Markdown !== "undefined" ? Markdown : require("./markdown.js")
+  const PdfWriter = typeof Pdf !== "undefined" ? Pdf : require("./pdf.js")
+  const esc = Md.escapeHtml
+
+  const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"]
+
+  // JSON Resume dates are ISO 8601 and may stop at the year or month
+  function formatDate(value) {
+    const m = /^(\d{4})(?:-(\d{2}))?/.exec(String(value || ""))
+    if (!m) return String(value || "")
+    return m[2] && MONTHS[Number(m[2]) - 1] ? `${MONTHS[Number(m[2]) - 1]} ${m[1]}` : m[1]
+  }
+
+  function dateRange(start, end) {
+    if (!start) return end ? formatDate(end) : ""
+    return `${formatDate(start)} – ${end ? formatDate(end) : "Present"}`
+  }
+
+  function list(value) {
+    return Array.isArray(value) ? value.filter((v) => typeof v === "string" && v.trim()).map((v) => v.trim()) : []
+  }
+
+  function str(value) {
+    return typeof value === "string" ? value.trim() : ""
+  }
+
+  function countryName(code) {
+    try {
+      return new Intl.DisplayNames(["en"], { type: "region" }).of(code)
+    } catch {
+      return code
+    }
+  }
+
+  function displayUrl(url) {
+    return url.replace(/^https?:\/\//i, "").replace(/\/$/, "")
+  }
+
+  function contact(basics) {
+    const items = []
+    if (str(basics.email)) items.push({ text: str(basics.email), url: `mailto:${str(basics.email)}` })
+    if (str(basics.phone)) items.push({ text: str(basics.phone), url: `tel:${str(basics.phone).replace(/[^\d+]/g, "")}` })
+    if (str(basics.url)) items.push({ text: displayUrl(str(basics.url)), url: str(basics.url) })
+    const loc = basics.location || {}
+    const place = [str(loc.city), str(loc.region), str(loc.countryCode) && countryName(str(loc.countryCode))].filter(Boolean)
+    if (place.length) items.push({ text: place.join(", ") })
+    ;(Array.isArray(basics.profiles) ? basics.profiles : []).forEach((p) => {
+      if (!p) return
+      const label = [str(p.network), str(p.username)].filter(Boolean).join(": ")
+      if (label || str(p.url)) items.push({ text: label || displayUrl(str(p.url)), url: str(p.url) || undefined })
+    })
+    return items
+  }
+
+  // Section title, then how one entry maps onto { title, subtitle, dates, url, summary, highlights, keywords }
+  const SECTIONS = [
+    ["work", "Experience", (e) => ({ title: e.position || e.name, subtitle: e.position ? e.name : "", dates: dateRange(e.startDate, e.endDate), url: e.url, summary: e.summary, highlights: e.highlights })],
+    ["projects", "Projects", (e) => ({ title: e.name, subtitle: list(e.roles).join(", "), dates: dateRange(e.startDate, e.endDate), url: e.url, summary: e.description, highlights: e.highlights, keywords: e.keywords })],
+    ["education", "Education", (e) => {
+      const study = [str(e.studyType), str(e.area)].filter(Boolean).join(", ")
+      return { title: study || e.institution, subtitle: study ? e.institution : "", dates: dateRange(e.startDate, e.endDate), url: e.url, summary: e.score ? `Score: ${e.score}` : "", highlights: e.courses }
+    }],
+    ["volunteer", "Volunteering", (e) => ({ title: e.position || e.organization, subtitle: e.position ? e.organization : "", dates: dateRange(e.startDate, e.endDate), url: e.url, summary: e.summary, highlights: e.highlights })],
+    ["awards", "Awards", (e) => ({ title: e.title, subtitle: e.awarder, dates: formatDate(e.date), summary: e.summary })],
+    ["certificates", "Certificates", (e) => ({ title: e.name, subtitle: e.issuer, dates: formatDate(e.date), url: e.url })],
+    ["skills", "Skills", (e) => ({ title: e.name, subtitle: e.level, keywords: e.keywords })],
+    ["languages", "Languages", (e) => ({ title: e.language, subtitle: e.fluency })],
+    ["interests", "Interests", (e) => ({ title: e.name, keywords: e.keywords })],
+  ]
+
+  function model(resume) {
+    const basics = (resume && resume.basics) || {}
+    const sections = SECTIONS.map(([key, title, map]) => {
+      const entries = Array.isArray(resume && resume[key]) ? resume[key] : []
+      const items = entries
+        .filter((e) => e && typeof e === "object")
+        .map((e) => {
+          const item = map(e)
+          const url = Md.safeUrl(str(item.url))
+          return {
+            title: str(item.title),
+            subtitle: str(item.subtitle),
+            dates: str(item.dates),
+            url: url && /^https?:/i.test(url) ? url : "",
+            summary: str(item.summary),
+            highlights: list(item.highlights),
+            keywords: list(item.keywords),
+          }
+        })
+        .filter((item) => item.title)
+      return { key, title, items }
+    }).filter((s) => s.items.length)
+
+    return {
+      name: str(basics.name),
+      label: str(basics.label),
+      summary: str(basics.summary),
+      contact: contact(basics).map((c) => ({ ...c, url: c.url && Md.safeUrl(c.url) ? c.url : "" })),
+      sections,
+    }
+  }
+
+  /* ---------- HTML (page preview + print) ---------- */
+
+  function link(text, url) {
+    return url ? `<a href="${esc(url)}" target="_blank" rel="noopener noreferrer">${esc(text)}</a>` : esc(text)
+  }
+
+  function itemHtml(item) {
+    return `
+        <div class="resume-item">
+          <div class="resume-item-head">
+            <strong>${link(item.title, item.url)}</strong>
+            ${item.dates ? `<span class="resume-dates">${esc(item.dates)}</span>` : ""}
+          </div>
+          ${item.subtitle ? `<p class="resume-item-sub">${esc(item.subtitle)}</p>` : ""}
+          ${item.summary ? `<p>${esc(item.summary)}</p>` : ""}
+          ${item.highlights.length ? `<ul>${item.highlights.map((h) => `<li>${esc(h)}</li>`).join("")}</ul>` : ""}
+          ${item.keywords.length ? `<p class="resume-keywords">${item.keywords.map(esc).join(" · ")}</p>` : ""}
+        </div>`
+  }
+
+  function html(resume) {
+    const m = model(resume)
+    return `
+      <article class="resume">
+        <header class="resume-header">
+          <h3 class="resume-name">${esc(m.name)}</h3>
+          ${m.label ? `<p class="resume-label">${esc(m.label)}</p>` : ""}
+          ${m.contact.length ? `<ul class="resume-contact">${m.contact.map((c) => `<li>${link(c.text, c.url)}</li>`).join("")}</ul>` : ""}
+        </header>
+        ${m.summary ? `<section class="resume-section"><h4>Summary</h4><p>${esc(m.summary)}</p></section>` : ""}
+        ${m.sections.map((s) => `<section class="resume-section"><h4>${esc(s.title)}</h4>${s.items.map(itemHtml).join("")}</section>`).join("")}
+      </article>
+    `
+  }
+
+  /* ---------- PDF download ---------- */
+
+  const INK = [0.1, 0.1, 0.12]
+  const MUTED = [0.42, 0.44, 0.5]
+  const ACCENT = [0.31, 0.27, 0.9] // --primary-500
+
+  function sectionHeading(doc, title) {
+    doc.ensure(60)
+    doc.space(10)
+    doc.text(title.toUpperCase(), { font: "bold", size: 10.5, color: ACCENT, gap: 0 })
+    doc.rule({ gap: 4, color: [0.85, 0.85, 0.9] })
+  }
+
+  function pdf(resume) {
+    const m = model(resume)
+    const doc = PdfWriter.create({ title: `${m.name} — CV`, author: m.name })
+
+    doc.text(m.name, { font: "bold", size: 22, color: INK, gap: 2 })
+    if (m.label) doc.text(m.label, { size: 12, color: MUTED, gap: 4 })
+    if (m.contact.length) doc.text(m.contact.map((c) => (c.url && !c.url.startsWith("mailto:") && !c.url.startsWith("tel:") ? displayUrl(c.url) : c.text)).join("  ·  "), { size: 9, color: MUTED })
+
+    if (m.summary) {
+      sectionHeading(doc, "Summary")
+      doc.text(m.summary, { color: INK })
+    }
+    m.sections.forEach((s) => {
+      sectionHeading(doc, s.title)
+      s.items.forEach((item) => {
+        doc.ensure(40)
+        doc.row(item.title, item.dates, { color: INK, rightColor: MUTED })
+        if (item.subtitle) doc.text(item.subtitle, { font: "italic", size: 9.5, color: MUTED, gap: 2 })
+        if (item.url) doc.text(displayUrl(item.url), { size: 9, color: ACCENT, gap: 2 })
+        if (item.summary) doc.text(item.summary, { color: INK, gap: 2 })
+        item.highlights.forEach((h) => doc.text(`•  ${h}`, { color: INK, indent: 10, gap: 1 }))
+        if (item.keywords.length) doc.text(item.keywords.join(" · "), { size: 9, color: MUTED, gap: 2 })
+        doc.space(6)
+      })
+    })
+    return doc.toBytes()
+  }
+
+  function fileName(resume) {
+    const name = str(resume && resume.basics && resume.basics.name) || "resume"
+    return `${name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "resume"}-cv.pdf`
+  }
+
+  return { model, html, pdf, fileName, formatDate }
+})()
+
+if (typeof module !== "undefined" && module.exports) module.exports = Resume
@@ -0,0 +1,246 @@
+/**
+ * lib/templates.js - Markup for project cards and details, project filter tags, blog cards and skill cards
+ * - Used by script.js at runtime and by tools/prerender.js at build time, so
+ *   the pre-rendered index.html and the live page produce the same HTML
+ * - Pure string builders: no DOM access and no event handlers (script.js
+ *   delegates events from the containers)
+ * - Text goes through the lib/i18n.js translator passed in as `i18n`;
+ *   callers pass items already localized with i18n.localize()
+ *
+ * Exposed as the global `Templates` in the browser and via module.exports in Node.
+ */
+const Templates = (() => {
+  const Md = typeof Markdown !== "undefined" ? Markdown : require("./markdown.js")
+  const Cat = typeof Catalog !== "undefined" ? Catalog : require("./catalog.js")
+  const Gh = typeof GitHub !== "undefined" ? GitHub : require("./github.js")
+  const esc = Md.escapeHtml
+
+  function defaultProjectImage(title) {
+    const txt = encodeURIComponent(title || "Project")
+    return `data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 600 360'%3E%3Crect width='600' height='360' fill='%2306b6d4'/%3E%3Ctext x='50%25' y='50%25' fill='white' font-family='Arial' font-size='32' text-anchor='middle' dominant-baseline='middle'%3E${txt}%3C/text%3E%3C/svg%3E`
+  }
+
+  function projectTags(tags) {
+    return (tags || []).map((t) => `<span class="project-tag">${esc(t)}</span>`).join("")
+  }
+
+  function projectCard(p) {
+    return `
+      <article class="project-card" tabindex="0" data-project-id="${p.id}">
+        <img loading="lazy" class="project-thumbnail" src="${esc(p.image || defaultProjectImage(p.title))}" alt="${esc(p.title)}">
+        <div class="project-content">
+          <h3 class="project-title">${esc(p.title)}</h3>
+          <p class="project-description">${esc(p.description)}</p>
+          <div class="project-tags">${projectTags(p.tags)}</div>
+          ${repoMetaSlot(p)}
+        </div>
+      </article>
+    `
+  }
+
+  // Empty until script.js has the repository's details (see repoMeta)
+  function repoMetaSlot(p) {
+    const key = Gh.parseRepoUrl(p.github)
+    return key ? `<div class="repo-meta" role="group" data-repo="${esc(key)}" hidden></div>` : ""
+  }
+
+  // meta: GitHub.summarize() output
+  function repoMeta(meta, i18n) {
+    const stats = [
+      `<span class="repo-stars"><span aria-hidden="true">★</span> ${esc(i18n.t("projects.repo.stars", { count: meta.stars }))}</span>`,
+    ]
+    if (meta.language) stats.push(`<span class="repo-language">${esc(meta.language)}</span>`)
+    if (meta.pushedAt) {
+      stats.push(
+        `<span class="repo-pushed">${esc(i18n.t("projects.repo.pushed", { date: i18n.date(meta.pushedAt) }))}</span>`,
+      )
+    }
+    const topics = meta.topics.map((topic) => `<span class="repo-topic">${esc(topic)}</span>`).join("")
+    return `${stats.join("")}${topics ? `<span class="repo-topics">${topics}</span>` : ""}`
+  }
+
+  /* ---------- Project details ---------- */
+
+  // Thumbnails link to the full images, so the static project pages work without script.js
+  function projectGallery(p, i18n) {
+    const shots = p.gallery || []
+    if (!shots.length) return ""
+    return `
+      <div class="project-gallery" role="group" aria-label="${esc(i18n.t("projects.gallery"))}">
+        ${shots
+          .map(
+            (shot, i) => `
+          <a class="gallery-thumb" href="${esc(shot.src)}" data-gallery-index="${i}"
+             aria-label="${esc(i18n.t("projects.screenshot", { index: i + 1, count: shots.length }))}">
+            <img loading="lazy" src="${esc(shot.src)}" alt="${esc(shot.alt || shot.caption || "")}">
+          </a>`,
+          )
+          .join("")}
+      </div>
+    `
+  }
+
+  function projectMetrics(p) {
+    const metrics = p.metrics || []
+    if (!metrics.length) return ""
+    return `
+      <dl class="project-metrics">
+        ${metrics
+          .map(
+            (m) => `
+          <div class="project-metric">
+            <dt>${esc(m.label)}</dt>
+            <dd><span class="project-metric-value">${esc(m.value)}</span>${m.detail ? `<span class="project-metric-detail">${esc(m.detail)}</span>` : ""}</dd>
+          </div>`,
+          )
+          .join("")}
+      </dl>
+    `
+  }
+
+  // Sections are Markdown; headingLevel is the level of the section headings
+  // and headings inside a section start below it
+  function projectCaseStudy(p, i18n, headingLevel = 3) {
+    const study = p.caseStudy
+    if (!study) return ""
+    const h = `h${headingLevel}`
+    const sections = Cat.CASE_STUDY_SECTIONS.filter((f) => study[f]).map(
+      (f) => `
+        <section class="case-study-section">
+          <${h}>${esc(i18n.t(`projects.caseStudy.${f}`))}</${h}>
+          <div class="markdown-body">${Md.render(study[f], { headingOffset: headingLevel })}</div>
+        </section>`,
+    )
+    if (study.stack) {
+      sections.push(`
+        <section class="case-study-section">
+          <${h}>${esc(i18n.t("projects.caseStudy.stack"))}</${h}>
+          <div class="project-tags">${projectTags(study.stack)}</div>
+        </section>`)
+    }
+    return `<div class="case-study">${sections.join("")}</div>`
+  }
+
+  function filterTag(tag, active) {
+    return `<button type="button" class="filter-tag${active ? " active" : ""}" data-tag="${esc(tag)}" role="listitem" aria-pressed="${!!active}">${esc(tag)}</button>`
+  }
+
+  // stats: { likes, views, liked } from the stats adapter (or the committed counts)
+  function blogCard(blog, stats, i18n) {
+    const { t } = i18n
+    const published = blog.status !== "draft"
+    const tags = blog.tags || []
+    return `
+      <article class="blog-card${published ? "" : " draft"}" tabindex="0" data-blog-id="${blog.id}">
+        <div class="blog-card-header">
+          <div class="blog-card-info">
+            <h3 class="blog-card-title">
+              ${published ? "" : `<span class="draft-badge">${esc(t("blog.draft"))}</span>`}${esc(blog.title)}
+            </h3>
+            <div class="blog-card-meta">
+              <span><i class="fas fa-calendar-alt"></i> ${esc(i18n.date(blog.date))}</span>
+              <span><i class="fas fa-folder"></i> ${esc(blog.category)}</span>
+              <span><i class="fas fa-heart"></i> ${esc(t("blog.likes", { count: stats.likes }))}</span>
+              <span><i class="fas fa-eye"></i> ${esc(t("blog.views", { count: stats.views }))}</span>
+            </div>
+          </div>
+          <div class="blog-card-actions">
+            <button type="button" aria-label="${esc(t("blog.like"))}" aria-pressed="${stats.liked}" data-like="${blog.id}" class="${stats.liked ? "liked" : ""}">
+              <i class="fas fa-heart"></i> ${i18n.number(stats.likes)}
+            </button>
+          </div>
+        </div>
+        <p class="blog-card-preview">${Md.excerpt(blog.content, 150)}</p>
+        ${
+          tags.length
+            ? `<div class="blog-card-tags">${tags
+                .map((t) => `<button type="button" class="project-tag" data-blog-filter="tag" data-value="${esc(t)}">#${esc(t)}</button>`)
+                .join("")}</div>`
+            : ""
+        }
+        <div class="read-more-hint">
+          <span>${esc(t("blog.readMore"))}</span>
+          <i class="fas fa-arrow-right"></i>
+        </div>
+      </article>
+    `
+  }
+
+  /* ---------- Skills ---------- */
+
+  const SKILL_SORTS = {
+    level: (a, b) => b.level - a.level || a.name.localeCompare(b.name),
+    years: (a, b) => b.years - a.years || b.level - a.level,
+    name: (a, b) => a.name.localeCompare(b.name),
+  }
+
+  function skillLevel(level, i18n) {
+    const key = level >= 95 ? "expert" : level >= 80 ? "advanced" : level >= 60 ? "intermediate" : "beginner"
+    return i18n.t(`skills.levels.${key}`)
+  }
+
+  // [{ category, skills }] with categories in first-seen order and skills sorted inside each
+  function groupSkills(skills, sort) {
+    const groups = new Map()
+    skills.forEach((s) => {
+      if (!groups.has(s.category)) groups.set(s.category, [])
+      groups.get(s.category).push(s)
+    })
+    return [...groups].map(([category, list]) => ({ category, skills: list.sort(SKILL_SORTS[sort] || SKILL_SORTS.level) }))
+  }
+
+  // valueMode "percent" shows 95%, "level" shows Expert; bars start at 0 and are animated by script.js
+  function skillCard(skill, { valueMode = "percent", active = false, i18n }) {
+    const { t } = i18n
+    const level = skillLevel(skill.level, i18n)
+    const linked = skill.projects.length
+    const title = linked ? t("skills.showProjects", { count: linked, name: skill.name }) : t("skills.noProjectsYet")
+    return `
+      <article class="skill-card${active ? " active" : ""}" tabindex="0" role="button" aria-pressed="${active}" data-skill-id="${esc(skill.id)}"
+               title="${esc(title)}">
+        <h3>${esc(skill.name)}</h3>
+        <div class="skill-info">
+          <span class="skill-value">${esc(valueMode === "level" ? level : i18n.number(skill.level / 100, { style: "percent" }))}</span>
+          <span class="skill-level">${esc(level)}</span>
+        </div>
+        <div class="skill-bar"><div class="skill-progress" data-target-width="${skill.level}%"></div></div>
+        <p class="skill-meta">${skill.years ? `${esc(t("skills.years", { count: skill.years }))} · ` : ""}${esc(
+          linked ? t("skills.projects", { count: linked }) : t("skills.noProjects"),
+        )}</p>
+      </article>
+    `
+  }
+
+  function skillGroups(groups, opts) {
+    return groups
+      .map(
+        (g) => `
+      <div class="skill-group">
+        <h3 class="skill-group-title">${esc(g.category)}</h3>
+        <div class="skills-grid">${g.skills.map((s) => skillCard(s, opts)).join("")}</div>
+      </div>
+    `,
+      )
+      .join("")
+  }
+
+  return {
+    defaultProjectImage,
+    projectTags,
+    projectCard,
+    repoMetaSlot,
+    repoMeta,
+    projectGallery,
+    projectMetrics,
+    projectCaseStudy,
+    filterTag,
+    blogCard,
+    SKILL_SORTS,
+    skillLevel,
+    groupSkills,
+    skillCard,
+    skillGroups,
+  }
+})()
+
+if (typeof module !== "undefined" && module.exports) module.exports = Templates
@@ -0,0 +1,157 @@
+/**
+ * lib/themes.js - Named theme presets and palette helpers
+ * - VARIABLES lists the CSS custom properties a theme may set (the ones
+ *   declared at the top of styles.css); "color" ones get a colour picker
+ *   in the admin theme editor
+ * - Each preset has a scheme ("dark" or "light", written to data-theme so
+ *   the scheme-specific rules in styles.css still apply) and the variables
+ *   it overrides; "dark" and "light" override nothing and use styles.css as is
+ * - resolve() turns a preference ("auto" or a preset id) into a preset id;
+ *   "auto" follows prefers-color-scheme, and prefers-contrast: more picks
+ *   the high-contrast preset
+ * - toCss() writes variables as a block that can be pasted into styles.css
+ *
+ * Exposed as the global `Themes` in the browser and via module.exports in Node.
+ */
+const Themes = (() => {
+  const VARIABLES = [
+    { name: "--primary-500", label: "Primary", type: "color" },
+    { name: "--primary-600", label: "Primary (dark)", type: "color" },
+    { name: "--accent-500", label: "Accent", type: "color" },
+    { name: "--accent-600", label: "Accent (dark)", type: "color" },
+    { name: "--secondary-500", label: "Secondary", type: "color" },
+    { name: "--mint-400", label: "Mint", type: "color" },
+    { name: "--bg", label: "Page background", type: "color" },
+    { name: "--surface", label: "Surface", type: "color" },
+    { name: "--card", label: "Card", type: "color" },
+    { name: "--text", label: "Text", type: "color" },
+    { name: "--muted", label: "Muted text", type: "color" },
+    { name: "--glass-border", label: "Borders", type: "color" },
+    { name: "--glow-primary", label: "Primary glow", type: "shadow" },
+    { name: "--glow-accent", label: "Accent glow", type: "shadow" },
+  ]
+
+  const PRESETS = {
+    dark: { name: "Dark", scheme: "dark", vars: {} },
+    light: { name: "Light", scheme: "light", vars: {} },
+    "high-contrast": {
+      name: "High contrast",
+      scheme: "dark",
+      vars: {
+        "--primary-500": "#ffd600",
+        "--primary-600": "#ffea00",
+        "--accent-500": "#00e5ff",
+        "--accent-600": "#18ffff",
+        "--secondary-500": "#ff9100",
+        "--mint-400": "#69f0ae",
+        "--bg": "#000000",
+        "--surface": "#000000",
+        "--card": "#000000",
+        "--text": "#ffffff",
+        "--muted": "#e0e0e0",
+        "--glass-border": "#ffffff",
+        "--glow-primary": "none",
+        "--glow-accent": "none",
+      },
+    },
+    forest: {
+      name: "Forest",
+      scheme: "dark",
+      vars: {
+        "--primary-500": "#22c55e",
+        "--primary-600": "#16a34a",
+        "--accent-500": "#a3e635",
+        "--accent-600": "#84cc16",
+        "--secondary-500": "#f59e0b",
+        "--bg": "#0b1a12",
+        "--text": "#e7f5ec",
+        "--muted": "#9bb5a5",
+        "--glow-primary": "0 10px 40px rgba(34, 197, 94, 0.18)",
+        "--glow-accent": "0 10px 40px rgba(163, 230, 53, 0.12)",
+      },
+    },
+    paper: {
+      name: "Paper",
+      scheme: "light",
+      vars: {
+        "--primary-500": "#b45309",
+        "--primary-600": "#92400e",
+        "--accent-500": "#0f766e",
+        "--accent-600": "#115e59",
+        "--bg": "#fbf7f0",
+        "--card": "#fffdf8",
+        "--text": "#2b2118",
+        "--muted": "#6b5d4f",
+        "--glass-border": "rgba(60, 40, 20, 0.12)",
+        "--glow-primary": "0 18px 50px rgba(180, 83, 9, 0.08)",
+        "--glow-accent": "0 18px 50px rgba(15, 118, 110, 0.06)",
+      },
+    },
+  }
+
+  const AUTO = "auto"
+  const NAMES = new Set(VARIABLES.map((v) => v.name))
+
+  function resolve(preference, { dark = false, moreContrast = false } = {}, presets = PRESETS) {
+    if (preference !== AUTO && presets[preference]) return preference
+    if (moreContrast) return "high-contrast"
+    return dark ? "dark" : "light"
+  }
+
+  // Values end up inside a declaration, so anything that could close it is refused
+  function isSafeValue(value) {
+    return typeof value === "string" && value.trim() !== "" && value.length <= 200 && !/[;{}<>]|\/\*/.test(value)
+  }
+
+  // Keeps only known variables with safe values
+  function cleanVars(vars) {
+    const out = {}
+    Object.entries(vars || {}).forEach(([name, value]) => {
+      if (NAMES.has(name) && isSafeValue(value)) out[name] = value.trim()
+    })
+    return out
+  }
+
+  function toCss(vars, { selector = ":root", comment = "" } = {}) {
+    const lines = VARIABLES.filter((v) => vars[v.name]).map((v) => `  ${v.name}: ${vars[v.name]};`)
+    const header = comment ? `/* ${comment.replace(/\*\//g, "* /")} */\n` : ""
+    return `${header}${selector} {\n${lines.join("\n")}\n}\n`
+  }
+
+  // "#abc", "#aabbcc", "rgb(…)" and "rgba(…)" -> [r, g, b] or null
+  function parseColor(value) {
+    const str = String(value || "").trim()
+    let m = str.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i)
+    if (m) {
+      const hex = m[1].length === 3 ? m[1].replace(/./g, "$&$&") : m[1]
+      return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16))
+    }
+    m = str.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/i)
+    return m ? m.slice(1, 4).map(Number) : null
+  }
+
+  function toHex(value) {
+    const rgb = parseColor(value)
+    return rgb ? "#" + rgb.map((n) => Math.min(255, n).toString(16).padStart(2, "0")).join("") : null
+  }
+
+  // WCAG 2 contrast ratio between two colours, or null if either can't be parsed
+  function contrastRatio(a, b) {
+    const luminance = (rgb) => {
+      const [r, g, bl] = rgb.map((n) => {
+        const c = n / 255
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)
+      })
+      return 0.2126 * r + 0.7152 * g + 0.0722 * bl
+    }
+    const ca = parseColor(a)
+    const cb = parseColor(b)
+    if (!ca || !cb) return null
+    const [hi, lo] = [luminance(ca), luminance(cb)].sort((x, y) => y - x)
+    return (hi + 0.05) / (lo + 0.05)
+  }
+
+  return { VARIABLES, PRESETS, AUTO, resolve, isSafeValue, cleanVars, toCss, parseColor, toHex, contrastRatio }
+})()
+
+if (typeof module !== "undefined" && module.exports) module.exports = Themes
@@ -1,24 +1,92 @@
 /**
  * script.js - Full client-side implementation
- * - Theme (light/dark)
+ * - Themes (presets from lib/themes.js, auto mode, admin theme editor)
+ * - Language (English/Nepali message catalogs in locales/, via lib/i18n.js)
  * - Navigation + hamburger
- * - Projects (load from projects.json with fallback)
- * - Project modal with focus trap
- * - Skills animation & toggle
- * - OffTopic Blog (admin-only creation; visitors can view and like)
- * - Admin auth (client-side, localStorage) for managing blogs
+ * - Hash router (deep links to projects, blog posts and sections)
+ * - Projects (load from projects.json, schema-validated, with fallback)
+ * - Project filters (multi-tag any/all + text search, persisted in the query string)
+ * - Project modal (metrics, screenshot gallery + lightbox, case study, notebook viewer, previous/next)
+ * - GitHub details on project cards (stars, language, last push, topics; cached in IndexedDB)
+ * - Dialog manager (modal stack, inert background, focus return) used by every modal
+ * - Skills (from skills.json: grouped cards, bar/radar charts, filter projects by skill)
+ * - OffTopic Blog (loaded from blogs.json + local admin edits; visitors can view and like)
+ *   Posts are Markdown, rendered by lib/markdown.js (loaded before this file)
+ * - Site search palette (/ or Ctrl+K) with ranked fuzzy matching
+ * - Admin auth (PBKDF2 credential in config, expiring session, lockout) for managing blogs
  * - Contact form: integrated with Formspree endpoint (AJAX + non-JS fallback)
- * - CV (download simulation + print)
+ * - CV (rendered from resume.json via lib/resume.js, PDF download + print)
  * - Scroll & interaction effects (parallax, profile tilt, navbar shrink)
  * - Reveal on scroll + scroll progress
+ * - Offline support (sw.js) with an "update available" prompt
  */
 
 /* ===========================
    Configuration
    =========================== */
 const FORMSPREE_ENDPOINT = "https://formspree.io/f/mpqwvbwy"
-const ADMIN_PASS_KEY = "portfolio-admin-pass"
-const ADMIN_AUTH_KEY = "portfolio-admin-auth"
+
+// Where contact messages are posted: Formspree, or a self-hosted receiver such
+// as tools/contact-server.js ("http://localhost:8788/contact"). Unsent messages
+// wait in an IndexedDB outbox and are retried with exponential backoff.
+const CONTACT_ENDPOINT = FORMSPREE_ENDPOINT
+const CONTACT_RETRY_BASE_MS = 10 * 1000
+const CONTACT_RETRY_MAX_MS = 10 * 60 * 1000
+// Optional per-topic endpoints (e.g. a separate form for freelance work);
+// topics left empty use CONTACT_ENDPOINT
+const CONTACT_TOPIC_ENDPOINTS = { internship: "", collaboration: "", freelance: "", other: "" }
+const CONTACT_MAX_FILES = 3
+const CONTACT_MAX_FILE_BYTES = 5 * 1024 * 1024
+// Accepted attachments: extension -> MIME type (both must match when the browser reports a type)
+const CONTACT_FILE_TYPES = {
+  pdf: "application/pdf",
+  doc: "application/msword",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  txt: "text/plain",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+}
+
+// Likes/views and comments APIs shared by all visitors, e.g.
+// "https://example.com/api" (tools/mock-api.js documents the contract and
+// serves both locally). Empty keeps the data in this browser's localStorage:
+// each visitor then sees only the committed like counts plus their own likes
+// and views, and comments only reach the admin's queue when posted from the
+// admin's own browser. A live site needs both endpoints set.
+const BLOG_STATS_ENDPOINT = ""
+const COMMENTS_ENDPOINT = ""
+const API_TIMEOUT_MS = 8000
+
+// GitHub REST API used for the stars/language/last-push details on project
+// cards. `node tools/github-fixtures.js` serves canned data on
+// "http://localhost:8789" for working offline or without using up the
+// unauthenticated rate limit. Empty turns the details off.
+const GITHUB_API_BASE = "https://api.github.com"
+const GITHUB_CACHE_TTL_MS = 6 * 60 * 60 * 1000
+
+// Service worker for offline use and the "update available" prompt. Empty
+// turns it off (browsers only allow it over https and on localhost anyway).
+const SERVICE_WORKER_URL = "sw.js"
+
+const COMMENT_MAX_LENGTH = 2000
+const COMMENT_MAX_DEPTH = 3
+const COMMENT_MIN_INTERVAL_MS = 30 * 1000
+const COMMENT_MAX_PER_HOUR = 5
+
+// Admin credential: SHA-256 of the PBKDF2-SHA256 key derived from the admin
+// password. Generate with `node tools/hash-password.js` and paste the output
+// here. An empty hash disables admin login entirely.
+const ADMIN_CREDENTIAL = {
+  salt: "",
+  iterations: 310000,
+  hash: "",
+}
+const LEGACY_ADMIN_SESSION_KEY = "portfolio-admin-session"
+const ADMIN_LOCKOUT_KEY = "portfolio-admin-lockout"
+const ADMIN_SESSION_TTL_MS = 2 * 60 * 60 * 1000
+const ADMIN_MAX_ATTEMPTS = 5
+const ADMIN_LOCKOUT_BASE_MS = 30 * 1000
 
 /* ===========================
    State
@@ -26,22 +94,46 @@ const ADMIN_AUTH_KEY = "portfolio-admin-auth"
 const state = {
   projects: [],
   filteredProjects: [],
-  currentFilter: "all",
+  projectsLoaded: false,
+  catalogSource: "projects.json",
+  catalogIssues: [],
+  projectBase: [],
+  currentProjectId: null,
+  filters: { tags: [], mode: "any", query: "", skill: null },
   blogs: [],
+  blogBase: [],
+  blogsLoaded: false,
+  blogIssues: [],
+  blogStats: {},
   currentBlogId: null,
+  blogView: { tag: null, category: null, month: null, sort: "newest", page: 1 },
+  route: null,
   theme: "light",
+  themePreference: "auto",
   skillViewMode: "percent",
+  skills: [],
+  skillsLoaded: false,
+  skillIssues: [],
+  skillView: "cards",
+  skillSort: "level",
+  skillBarsShown: false,
+  resume: null,
+  i18n: null,
 }
 
 /* ===========================
    Initialization
    =========================== */
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
   const yearEl = document.getElementById("year")
   if (yearEl) yearEl.textContent = new Date().getFullYear()
 
+  initDialogs()
+  // Before the first await, so no message from the worker is missed
+  initServiceWorker()
   initTheme()
   initNav()
+  await initI18n()
   initProjects()
   initSkills()
   initBlogs() // renamed from initPosts
@@ -50,123 +142,735 @@ document.addEventListener("DOMContentLoaded", () => {
   initObservers()
   initScrollEffects()
   initAdmin()
+  initSearch()
+  initRouter()
 })
 
 /* ===========================
-   Admin helpers
+   Dialogs
+   - Every modal opens and closes through openDialog()/closeDialog(); open
+     dialogs form a stack and only the top one is interactive
+   - Everything outside the top dialog is made inert, and page scroll stays
+     locked until the last dialog closes
+   - Escape and clicks on the top dialog's backdrop call its onDismiss, which
+     may decline to close (e.g. to confirm unsaved changes)
+   - Tab wraps inside the top dialog; focusables are looked up on every press
+     so re-rendered content is included
+   - Closing a dialog returns focus to what had it when the dialog opened
+   =========================== */
+const DIALOG_Z_INDEX = 150
+const DIALOG_FOCUSABLE =
+  'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"]), [contenteditable="true"]'
+const dialogStack = []
+let inertElements = []
+let scrollLocks = 0
+let scrollLockOverflow = ""
+
+function initDialogs() {
+  document.addEventListener("keydown", (e) => {
+    const top = topDialog()
+    if (!top) return
+    if (e.key === "Escape") {
+      e.preventDefault()
+      top.onDismiss()
+    } else if (e.key === "Tab") {
+      const focusable = dialogFocusables(top.el)
+      if (!focusable.length) return e.preventDefault()
+      const first = focusable[0]
+      const last = focusable[focusable.length - 1]
+      const inside = top.el.contains(document.activeElement)
+      if (e.shiftKey && (document.activeElement === first || !inside)) {
+        e.preventDefault()
+        last.focus()
+      } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+        e.preventDefault()
+        first.focus()
+      }
+    }
+  })
+  document.addEventListener("click", (e) => {
+    const top = topDialog()
+    if (top && e.target === top.el) top.onDismiss()
+  })
+}
+
+function topDialog() {
+  return dialogStack[dialogStack.length - 1] || null
+}
+
+function isDialogOpen(el) {
+  return dialogStack.some((d) => d.el === el)
+}
+
+function dialogFocusables(el) {
+  return [...el.querySelectorAll(DIALOG_FOCUSABLE)].filter((node) => node.getClientRects().length && !node.closest("[hidden]"))
+}
+
+// onDismiss defaults to closing the dialog; initialFocus defaults to its first focusable
+function openDialog(el, { initialFocus = null, onDismiss = null } = {}) {
+  if (!el) return
+  if (!isDialogOpen(el)) {
+    dialogStack.push({ el, onDismiss: onDismiss || (() => closeDialog(el)), returnFocus: document.activeElement })
+    el.style.display = ""
+    el.style.zIndex = String(DIALOG_Z_INDEX + dialogStack.length)
+    el.setAttribute("aria-hidden", "false")
+    lockScroll()
+    updateDialogInert()
+  }
+  const target = initialFocus || dialogFocusables(el)[0]
+  if (target) target.focus()
+}
+
+function closeDialog(el) {
+  const index = dialogStack.findIndex((d) => d.el === el)
+  if (index === -1) return
+  const [entry] = dialogStack.splice(index, 1)
+  const wasTop = index === dialogStack.length
+  // A dialog stacked on this one can't return focus into it any more
+  const above = dialogStack[index]
+  if (above && (!above.returnFocus || el.contains(above.returnFocus))) above.returnFocus = entry.returnFocus
+
+  el.setAttribute("aria-hidden", "true")
+  el.style.display = "none"
+  el.style.zIndex = ""
+  updateDialogInert()
+  unlockScroll()
+  if (!wasTop) return
+
+  const top = topDialog()
+  const back = entry.returnFocus
+  if (back && document.contains(back) && !back.closest("[inert]")) back.focus()
+  else if (top) (dialogFocusables(top.el)[0] || top.el).focus()
+}
+
+// Inerts the siblings of the top dialog and of each of its ancestors
+function updateDialogInert() {
+  inertElements.forEach((node) => (node.inert = false))
+  inertElements = []
+  const top = topDialog()
+  if (!top) return
+  for (let node = top.el; node.parentElement && node !== document.body; node = node.parentElement) {
+    for (const sibling of node.parentElement.children) {
+      if (sibling === node || sibling.inert || /^(SCRIPT|STYLE|LINK)$/.test(sibling.tagName)) continue
+      sibling.inert = true
+      inertElements.push(sibling)
+    }
+  }
+}
+
+function lockScroll() {
+  if (scrollLocks++ === 0) {
+    scrollLockOverflow = document.body.style.overflow
+    document.body.style.overflow = "hidden"
+  }
+}
+
+function unlockScroll() {
+  if (scrollLocks === 0) return
+  if (--scrollLocks === 0) document.body.style.overflow = scrollLockOverflow
+}
+
+/* ===========================
+   Admin auth
+   - The password never leaves the login form: it is stretched with PBKDF2
+     and the SHA-256 of the derived key is compared with ADMIN_CREDENTIAL.hash
+   - A session lives only in this tab's memory: nothing about it is stored,
+     so a reload signs out, and it ends by itself after ADMIN_SESSION_TTL_MS.
+     Like everything else here it runs in the visitor's browser, so it is a
+     convenience, not something a server could trust
+   - With COMMENTS_ENDPOINT set, login also sends the derived key to the
+     comments server once, for a short-lived moderation token (see Blog comments)
+   - Repeated failures lock the form for an exponentially growing period
+   This is still a static site: it gates the admin UI, not the data files.
    =========================== */
+let adminSession = null
+let adminExpiryTimer = null
+
 function isAdmin() {
-  return localStorage.getItem(ADMIN_AUTH_KEY) === "true"
+  return !!adminSession && Date.now() < adminSession.expiresAt
 }
 
-function setAdminAuthenticated(val) {
-  if (val) localStorage.setItem(ADMIN_AUTH_KEY, "true")
-  else localStorage.removeItem(ADMIN_AUTH_KEY)
-  updateAdminUI()
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+}
+
+function base64ToBytes(b64) {
+  return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0))
+}
+
+async function deriveAdminKey(password) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, [
+    "deriveBits",
+  ])
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: base64ToBytes(ADMIN_CREDENTIAL.salt), iterations: ADMIN_CREDENTIAL.iterations },
+    material,
+    256,
+  )
+  return new Uint8Array(bits)
+}
+
+async function keyMatchesCredential(keyBytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", keyBytes))
+  return bytesToBase64(digest) === ADMIN_CREDENTIAL.hash
+}
+
+function adminLoginAvailable() {
+  return !!(ADMIN_CREDENTIAL.hash && ADMIN_CREDENTIAL.salt && window.crypto && crypto.subtle)
+}
+
+// Older versions kept the session (with the derived key) in localStorage
+function forgetStoredAdminSession() {
+  localStorage.removeItem(LEGACY_ADMIN_SESSION_KEY)
+}
+
+function startAdminSession(session) {
+  adminSession = session
+  clearTimeout(adminExpiryTimer)
+  adminExpiryTimer = setTimeout(() => {
+    endAdminSession()
+    updateAdminUI()
+  }, session.expiresAt - Date.now())
+}
+
+function endAdminSession() {
+  adminSession = null
+  clearTimeout(adminExpiryTimer)
+  commentsAdapter.signOut()
+}
+
+async function attemptAdminLogin(password) {
+  const lock = readAdminLockout()
+  if (lock.lockedUntil > Date.now()) return { ok: false, lockedUntil: lock.lockedUntil }
+
+  const key = await deriveAdminKey(password)
+  if (await keyMatchesCredential(key)) {
+    localStorage.removeItem(ADMIN_LOCKOUT_KEY)
+    try {
+      await commentsAdapter.signIn(bytesToBase64(key))
+    } catch (err) {
+      // Still an admin here; moderation requests will be refused until the next login
+      console.warn("Comments server did not start an admin session:", err)
+    }
+    startAdminSession({ expiresAt: Date.now() + ADMIN_SESSION_TTL_MS })
+    return { ok: true }
+  }
+
+  lock.failures += 1
+  if (lock.failures >= ADMIN_MAX_ATTEMPTS) {
+    lock.lockedUntil = Date.now() + ADMIN_LOCKOUT_BASE_MS * 2 ** (lock.failures - ADMIN_MAX_ATTEMPTS)
+  }
+  localStorage.setItem(ADMIN_LOCKOUT_KEY, JSON.stringify(lock))
+  return { ok: false, lockedUntil: lock.lockedUntil, remaining: Math.max(0, ADMIN_MAX_ATTEMPTS - lock.failures) }
+}
+
+function readAdminLockout() {
+  try {
+    const lock = JSON.parse(localStorage.getItem(ADMIN_LOCKOUT_KEY)) || {}
+    return { failures: lock.failures || 0, lockedUntil: lock.lockedUntil || 0 }
+  } catch {
+    return { failures: 0, lockedUntil: 0 }
+  }
 }
 
 /* ===========================
    Admin UI + Flow
    =========================== */
+let adminLockTimer = null
+
 function initAdmin() {
+  // Earlier versions kept a plaintext password and a bare "true" flag here
+  localStorage.removeItem("portfolio-admin-pass")
+  localStorage.removeItem("portfolio-admin-auth")
+
   const adminBtn = document.getElementById("admin-toggle")
   if (!adminBtn) return
 
   adminBtn.addEventListener("click", () => {
     if (isAdmin()) {
-      if (confirm("Log out of admin mode?")) {
-        setAdminAuthenticated(false)
-        alert("Logged out of admin mode.")
-      }
-      return
-    }
-
-    const storedPass = localStorage.getItem(ADMIN_PASS_KEY)
-    if (!storedPass) {
-      const p1 = prompt("No admin password set. Create a new admin password:")
-      if (!p1) return
-      const p2 = prompt("Confirm admin password:")
-      if (p1 !== p2) {
-        alert("Passwords did not match — try again.")
-        return
-      }
-      localStorage.setItem(ADMIN_PASS_KEY, p1)
-      localStorage.setItem(ADMIN_AUTH_KEY, "true")
-      alert("Admin password set. You are now logged in as admin.")
+      endAdminSession()
       updateAdminUI()
-      return
-    }
-
-    const attempt = prompt("Enter admin password:")
-    if (!attempt) return
-    if (attempt === storedPass) {
-      setAdminAuthenticated(true)
-      alert("Admin login successful.")
     } else {
-      alert("Incorrect password.")
+      openAdminLogin()
     }
   })
 
+  const modal = document.getElementById("admin-login-modal")
+  const form = document.getElementById("admin-login-form")
+  if (modal && form) {
+    form.addEventListener("submit", submitAdminLogin)
+    modal.querySelectorAll("[data-close-login]").forEach((btn) => btn.addEventListener("click", closeAdminLogin))
+  }
+
+  forgetStoredAdminSession()
   updateAdminUI()
 }
 
+function openAdminLogin() {
+  const modal = document.getElementById("admin-login-modal")
+  const input = document.getElementById("admin-password")
+  if (!modal || !input) return
+  input.value = ""
+  setAdminLoginError(adminLoginAvailable() ? "" : "Admin login isn't configured on this site (or the page isn't served over HTTPS).")
+
+  refreshAdminLockout()
+  openDialog(modal, { initialFocus: input, onDismiss: closeAdminLogin })
+}
+
+function closeAdminLogin() {
+  const modal = document.getElementById("admin-login-modal")
+  if (!modal || !isDialogOpen(modal)) return
+  clearInterval(adminLockTimer)
+  closeDialog(modal)
+}
+
+async function submitAdminLogin(e) {
+  e.preventDefault()
+  const input = document.getElementById("admin-password")
+  const submit = document.querySelector("#admin-login-form button[type='submit']")
+  if (!input || !adminLoginAvailable()) return
+  if (!input.value) {
+    setAdminLoginError("Enter the admin password.")
+    return
+  }
+
+  if (submit) submit.disabled = true
+  setAdminLoginError("Checking…", true)
+  let result
+  try {
+    result = await attemptAdminLogin(input.value)
+  } catch (err) {
+    result = { ok: false, error: err }
+  }
+  if (submit) submit.disabled = false
+  input.value = ""
+
+  if (result.ok) {
+    closeAdminLogin()
+    updateAdminUI()
+  } else if (result.error) {
+    setAdminLoginError("Login failed — your browser couldn't verify the password.")
+  } else if (result.lockedUntil > Date.now()) {
+    refreshAdminLockout()
+  } else {
+    setAdminLoginError(
+      `Incorrect password. ${result.remaining} attempt${result.remaining === 1 ? "" : "s"} left before a temporary lockout.`,
+    )
+    input.focus()
+  }
+}
+
+function setAdminLoginError(message, isInfo) {
+  const el = document.getElementById("admin-login-error")
+  if (!el) return
+  el.textContent = message
+  el.classList.toggle("info", !!isInfo)
+}
+
+// Disables the form and counts down while a lockout is active
+function refreshAdminLockout() {
+  const submit = document.querySelector("#admin-login-form button[type='submit']")
+  clearInterval(adminLockTimer)
+  adminLockTimer = null
+  const tick = () => {
+    const left = readAdminLockout().lockedUntil - Date.now()
+    if (left <= 0) {
+      if (adminLockTimer) setAdminLoginError("")
+      clearInterval(adminLockTimer)
+      adminLockTimer = null
+      if (submit) submit.disabled = !adminLoginAvailable()
+      return false
+    }
+    if (submit) submit.disabled = true
+    setAdminLoginError(`Too many failed attempts. Try again in ${Math.ceil(left / 1000)}s.`)
+    return true
+  }
+  if (tick()) adminLockTimer = setInterval(tick, 1000)
+}
+
 function updateAdminUI() {
-  const panel = document.getElementById("admin-blog-panel")
+  const toolbar = document.getElementById("admin-blog-toolbar")
+  const projectToolbar = document.getElementById("admin-project-toolbar")
+  const themeEditorBtn = document.getElementById("theme-editor-toggle")
   const adminBtn = document.getElementById("admin-toggle")
   if (isAdmin()) {
-    if (panel) {
-      panel.removeAttribute("aria-hidden")
-      panel.style.display = "flex"
-    }
+    if (toolbar) toolbar.hidden = false
+    if (projectToolbar) projectToolbar.hidden = false
+    if (themeEditorBtn) themeEditorBtn.hidden = false
     if (adminBtn) adminBtn.textContent = "Admin (Logout)"
+    renderBlogLocalChanges()
+    renderProjectLocalChanges()
+    refreshCommentQueue()
   } else {
-    if (panel) {
-      panel.setAttribute("aria-hidden", "true")
-      panel.style.display = "none"
-    }
+    if (toolbar) toolbar.hidden = true
+    if (projectToolbar) projectToolbar.hidden = true
+    if (themeEditorBtn) themeEditorBtn.hidden = true
     if (adminBtn) adminBtn.textContent = "Admin"
+    closeThemeEditor()
+    closeBlogEditor({ force: true })
+    closeProjectManager({ force: true })
+    refreshCommentQueue()
   }
 
+  renderCatalogWarnings()
+  renderSkillWarnings()
+  renderBlogSourceWarnings()
   renderBlogs()
 }
 
 /* ===========================
    Theme Management
+   - The preference is "auto" or a preset id from lib/themes.js; "auto"
+     follows prefers-color-scheme (and prefers-contrast: more) as it changes
+   - A preset writes its scheme to data-theme and its variables inline on
+     <html>, so the light/dark rules in styles.css keep working
+   - A palette saved from the admin theme editor is offered as "custom"
    =========================== */
+const THEME_KEY = "portfolio-theme"
+const THEME_CUSTOM_KEY = "portfolio-theme-custom"
+const THEME_CUSTOM_ID = "custom"
+let themeInlineVars = []
+
 function initTheme() {
-  const saved = localStorage.getItem("portfolio-theme")
-  const system = window.matchMedia && window.matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light"
-  state.theme = saved || system
-  applyTheme(state.theme)
+  state.themePreference = localStorage.getItem(THEME_KEY) || Themes.AUTO
+  applyTheme()
 
   const btn = document.getElementById("theme-toggle")
   const footerBtn = document.getElementById("footer-theme-toggle")
   if (btn) btn.addEventListener("click", toggleTheme)
   if (footerBtn) footerBtn.addEventListener("click", toggleTheme)
+  const select = document.getElementById("theme-select")
+  if (select) select.addEventListener("change", () => setThemePreference(select.value))
 
   if (window.matchMedia) {
-    window.matchMedia("(prefers-color-scheme: dark)").addEventListener("change", (e) => {
-      if (!localStorage.getItem("portfolio-theme")) {
-        state.theme = e.matches ? "dark" : "light"
-        applyTheme(state.theme)
-      }
+    ;["(prefers-color-scheme: dark)", "(prefers-contrast: more)"].forEach((query) => {
+      window.matchMedia(query).addEventListener("change", () => {
+        if (state.themePreference === Themes.AUTO) applyTheme()
+      })
     })
   }
+  initThemeEditor()
+}
+
+function mediaMatches(query) {
+  return Boolean(window.matchMedia && window.matchMedia(query).matches)
+}
+
+function readCustomTheme() {
+  try {
+    const custom = JSON.parse(localStorage.getItem(THEME_CUSTOM_KEY))
+    return custom && typeof custom.base === "string" ? custom : null
+  } catch {
+    return null
+  }
+}
+
+// Built-in presets plus the custom palette saved in this browser, if any
+function themePresets() {
+  const custom = readCustomTheme()
+  if (!custom || !Themes.PRESETS[custom.base]) return Themes.PRESETS
+  const { scheme } = Themes.PRESETS[custom.base]
+  return { ...Themes.PRESETS, [THEME_CUSTOM_ID]: { name: "Custom", scheme, vars: Themes.cleanVars(custom.vars) } }
+}
+
+function themeName(id, preset) {
+  const key = `theme.presets.${id}`
+  return state.i18n && state.i18n.has(key) ? t(key) : preset.name
+}
+
+function setThemePreference(preference) {
+  state.themePreference = themePresets()[preference] ? preference : Themes.AUTO
+  if (state.themePreference === Themes.AUTO) localStorage.removeItem(THEME_KEY)
+  else localStorage.setItem(THEME_KEY, state.themePreference)
+  applyTheme()
 }
 
-function applyTheme(t) {
-  document.documentElement.setAttribute("data-theme", t)
+function applyTheme() {
+  const presets = themePresets()
+  const id = Themes.resolve(
+    state.themePreference,
+    { dark: mediaMatches("(prefers-color-scheme: dark)"), moreContrast: mediaMatches("(prefers-contrast: more)") },
+    presets,
+  )
+  const preset = presets[id]
+  const root = document.documentElement
+  state.theme = preset.scheme
+  root.setAttribute("data-theme", preset.scheme)
+  root.dataset.themePreset = id
+
+  themeInlineVars.forEach((name) => root.style.removeProperty(name))
+  Object.entries(preset.vars).forEach(([name, value]) => root.style.setProperty(name, value))
+  themeInlineVars = Object.keys(preset.vars)
+
   const icon = document.querySelector("#theme-toggle i")
-  if (icon) icon.className = t === "dark" ? "fas fa-sun" : "fas fa-moon"
+  if (icon) icon.className = preset.scheme === "dark" ? "fas fa-sun" : "fas fa-moon"
+  renderThemeSelect(presets)
+  // The labels wait for the messages; setLanguage() applies the theme again
   const footerBtn = document.getElementById("footer-theme-toggle")
-  if (footerBtn)
-    footerBtn.innerHTML = t === "dark" ? '<i class="fas fa-sun"></i> Light' : '<i class="fas fa-moon"></i> Dark'
+  if (footerBtn && state.i18n) {
+    footerBtn.innerHTML =
+      preset.scheme === "dark"
+        ? `<i class="fas fa-sun"></i> ${escapeHtml(t("theme.light"))}`
+        : `<i class="fas fa-moon"></i> ${escapeHtml(t("theme.dark"))}`
+  }
 }
 
+function renderThemeSelect(presets) {
+  const select = document.getElementById("theme-select")
+  if (!select) return
+  const auto = state.i18n ? t("theme.auto") : "Auto"
+  select.innerHTML = [`<option value="${Themes.AUTO}">${escapeHtml(auto)}</option>`]
+    .concat(Object.entries(presets).map(([id, preset]) => `<option value="${id}">${escapeHtml(themeName(id, preset))}</option>`))
+    .join("")
+  select.value = state.themePreference
+}
+
+// The toggle picks the plain preset of the other scheme
 function toggleTheme() {
-  state.theme = state.theme === "light" ? "dark" : "light"
-  applyTheme(state.theme)
-  localStorage.setItem("portfolio-theme", state.theme)
+  setThemePreference(state.theme === "light" ? "dark" : "light")
+}
+
+/* ===========================
+   Theme editor (admin)
+   - Edits the variables from Themes.VARIABLES on top of a preset, previewing
+     every change on the page
+   - "Use as custom theme" keeps the palette in this browser; "Export CSS"
+     downloads it as a variables block to paste into styles.css
+   =========================== */
+const themeEditor = { base: "dark", vars: {} }
+
+function initThemeEditor() {
+  const toggle = document.getElementById("theme-editor-toggle")
+  if (toggle) toggle.addEventListener("click", openThemeEditor)
+  const modal = document.getElementById("theme-editor-modal")
+  const form = document.getElementById("theme-editor-form")
+  if (!modal || !form) return
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault()
+    saveCustomTheme()
+  })
+  const base = document.getElementById("theme-editor-base")
+  if (base) base.addEventListener("change", () => loadThemeEditorBase(base.value))
+  const reset = document.getElementById("theme-editor-reset")
+  if (reset) reset.addEventListener("click", () => loadThemeEditorBase(themeEditor.base))
+  const exportBtn = document.getElementById("theme-editor-export")
+  if (exportBtn) exportBtn.addEventListener("click", exportThemeCss)
+
+  const fields = document.getElementById("theme-editor-fields")
+  if (fields) fields.addEventListener("input", onThemeEditorInput)
+
+  modal.querySelectorAll("[data-close-theme-editor]").forEach((btn) => btn.addEventListener("click", closeThemeEditor))
+}
+
+function openThemeEditor() {
+  if (!isAdmin()) return
+  const modal = document.getElementById("theme-editor-modal")
+  const base = document.getElementById("theme-editor-base")
+  if (!modal || !base) return
+
+  const presets = themePresets()
+  const current = document.documentElement.dataset.themePreset
+  base.innerHTML = Object.entries(presets)
+    .map(([id, preset]) => `<option value="${id}">${escapeHtml(preset.name)}</option>`)
+    .join("")
+  base.value = presets[current] ? current : "dark"
+
+  loadThemeEditorBase(base.value)
+  openDialog(modal, { initialFocus: base, onDismiss: closeThemeEditor })
+}
+
+function closeThemeEditor() {
+  const modal = document.getElementById("theme-editor-modal")
+  if (!modal || !isDialogOpen(modal)) return
+  closeDialog(modal)
+  // Drop the preview and go back to the visitor's own theme
+  applyTheme()
+}
+
+// Fills the fields with the preset's effective values (its overrides or styles.css)
+function loadThemeEditorBase(id) {
+  const preset = themePresets()[id]
+  if (!preset) return
+  themeEditor.base = id
+  const root = document.documentElement
+  themeInlineVars.forEach((name) => root.style.removeProperty(name))
+  themeInlineVars = []
+  root.setAttribute("data-theme", preset.scheme)
+  const computed = getComputedStyle(root)
+  themeEditor.vars = {}
+  Themes.VARIABLES.forEach(({ name }) => {
+    themeEditor.vars[name] = preset.vars[name] || computed.getPropertyValue(name).trim()
+  })
+  renderThemeEditorFields()
+  previewThemeEditor()
+}
+
+function renderThemeEditorFields() {
+  const container = document.getElementById("theme-editor-fields")
+  if (!container) return
+  container.innerHTML = Themes.VARIABLES.map(({ name, label, type }) => {
+    const value = themeEditor.vars[name] || ""
+    const hex = type === "color" ? Themes.toHex(value) : null
+    const picker = hex
+      ? `<input type="color" value="${hex}" data-theme-var="${name}" data-picker aria-label="${escapeHtml(label)} colour">`
+      : ""
+    return `
+      <div class="field theme-editor-field">
+        <label for="theme-var${name}">${escapeHtml(label)} <code>${name}</code></label>
+        <div class="theme-editor-input">
+          ${picker}
+          <input id="theme-var${name}" type="text" value="${escapeHtml(value)}" data-theme-var="${name}" spellcheck="false">
+        </div>
+      </div>`
+  }).join("")
+}
+
+function onThemeEditorInput(e) {
+  const input = e.target.closest("[data-theme-var]")
+  if (!input) return
+  const name = input.dataset.themeVar
+  const row = input.closest(".theme-editor-field")
+  const text = row.querySelector('input[type="text"]')
+  const picker = row.querySelector("[data-picker]")
+  if (input === picker) text.value = picker.value
+  else if (picker && Themes.toHex(text.value)) picker.value = Themes.toHex(text.value)
+
+  const valid = Themes.isSafeValue(text.value)
+  text.setAttribute("aria-invalid", String(!valid))
+  if (valid) themeEditor.vars[name] = text.value.trim()
+  previewThemeEditor()
+}
+
+function previewThemeEditor() {
+  const preset = themePresets()[themeEditor.base]
+  const root = document.documentElement
+  root.setAttribute("data-theme", preset.scheme)
+  Object.entries(themeEditor.vars).forEach(([name, value]) => root.style.setProperty(name, value))
+  themeInlineVars = Object.keys(themeEditor.vars)
+
+  const status = document.getElementById("theme-editor-contrast")
+  if (!status) return
+  const ratio = Themes.contrastRatio(themeEditor.vars["--text"], themeEditor.vars["--bg"])
+  if (ratio === null) {
+    status.textContent = "Contrast can't be checked for a gradient or unparsed background."
+    status.classList.remove("low")
+    return
+  }
+  const grade = ratio >= 7 ? "AAA" : ratio >= 4.5 ? "AA" : "below AA"
+  status.textContent = `Text on background contrast: ${ratio.toFixed(2)}:1 (${grade})`
+  status.classList.toggle("low", ratio < 4.5)
+}
+
+function themeEditorCssVars() {
+  return Themes.cleanVars(themeEditor.vars)
+}
+
+function saveCustomTheme() {
+  if (!isAdmin()) return
+  // Re-editing the custom theme keeps the built-in preset it started from
+  const base = themeEditor.base === THEME_CUSTOM_ID ? readCustomTheme().base : themeEditor.base
+  localStorage.setItem(THEME_CUSTOM_KEY, JSON.stringify({ base, vars: themeEditorCssVars() }))
+  state.themePreference = THEME_CUSTOM_ID
+  localStorage.setItem(THEME_KEY, THEME_CUSTOM_ID)
+  closeThemeEditor()
+}
+
+function exportThemeCss() {
+  if (!isAdmin()) return
+  const { scheme } = themePresets()[themeEditor.base]
+  const selector = scheme === "light" ? ':root[data-theme="light"]' : ":root"
+  const css = Themes.toCss(themeEditorCssVars(), { selector, comment: `Theme exported from the editor (based on "${themeEditor.base}")` })
+  downloadFile("theme.css", css, "text/css")
+}
+
+/* ===========================
+   Language
+   - Messages live in locales/<lang>.json; English is always loaded too and
+     fills in any key a translation is missing
+   - Static copy is marked with data-i18n="key" (text) or
+     data-i18n-attr="attr:key;attr:key"; rendered markup calls t()
+   - The language comes from ?lang=, then the visitor's last choice, then the
+     browser; switching re-renders the page in place
+   - Projects and posts may carry translations.<lang> fields (lib/catalog.js),
+     shown through i18n.localize() with English as the fallback
+   Admin screens stay in English, apart from the alerts in deleteBlog() and
+   moderateComment(), which go through t() like the rest of the site.
+   =========================== */
+const LANGUAGE_KEY = "portfolio-language"
+const localeCatalogs = {}
+
+function t(key, params) {
+  return state.i18n ? state.i18n.t(key, params) : key
+}
+
+async function initI18n() {
+  const select = document.getElementById("language-switcher")
+  if (select) {
+    select.innerHTML = Object.entries(I18n.LANGUAGES)
+      .map(([code, lang]) => `<option value="${code}" lang="${code}">${escapeHtml(lang.name)}</option>`)
+      .join("")
+    select.addEventListener("change", () => setLanguage(select.value, { remember: true }))
+  }
+  const param = new URLSearchParams(window.location.search).get("lang")
+  const preferred = [param, localStorage.getItem(LANGUAGE_KEY), ...(navigator.languages || [navigator.language])]
+  await setLanguage(I18n.match(preferred.filter(Boolean)))
+}
+
+function loadLocaleCatalog(lang) {
+  if (!localeCatalogs[lang]) {
+    localeCatalogs[lang] = fetch(`locales/${lang}.json`).then((res) => {
+      if (!res.ok) throw new Error(`server responded with HTTP ${res.status}`)
+      return res.json()
+    })
+    localeCatalogs[lang].catch(() => delete localeCatalogs[lang])
+  }
+  return localeCatalogs[lang]
+}
+
+async function setLanguage(lang, { remember = false } = {}) {
+  let english = {}
+  let messages = {}
+  try {
+    ;[english, messages] = await Promise.all([loadLocaleCatalog(I18n.DEFAULT_LANGUAGE), loadLocaleCatalog(lang)])
+  } catch (err) {
+    console.warn(`Could not load the ${lang} messages:`, err)
+    if (lang !== I18n.DEFAULT_LANGUAGE) return setLanguage(I18n.DEFAULT_LANGUAGE)
+  }
+  state.i18n = I18n.create(lang, messages, english)
+  lang = state.i18n.lang
+  document.documentElement.lang = lang
+  if (remember) {
+    localStorage.setItem(LANGUAGE_KEY, lang)
+    // A ?lang= in the address would win over the new choice on reload
+    const url = new URL(window.location.href)
+    if (url.searchParams.has("lang")) {
+      url.searchParams.set("lang", lang)
+      history.replaceState(history.state, "", url)
+    }
+  }
+  const select = document.getElementById("language-switcher")
+  if (select) select.value = lang
+
+  applyTranslations(document)
+  applyTheme()
+  if (state.projectsLoaded) applyFilters()
+  renderSkills()
+  if (state.blogsLoaded) renderBlogs()
+  renderAttachmentHint()
+}
+
+// Elements whose key is missing everywhere keep the English copy from index.html
+function applyTranslations(root) {
+  root.querySelectorAll("[data-i18n]").forEach((el) => {
+    if (state.i18n.has(el.dataset.i18n)) el.textContent = t(el.dataset.i18n)
+  })
+  root.querySelectorAll("[data-i18n-attr]").forEach((el) => {
+    el.dataset.i18nAttr.split(";").forEach((pair) => {
+      const [attr, key] = pair.split(":").map((part) => part.trim())
+      if (attr && key && state.i18n.has(key)) el.setAttribute(attr, t(key))
+    })
+  })
 }
 
 /* ===========================
@@ -196,9 +900,8 @@ function initNav() {
   document.querySelectorAll(".nav-link").forEach((link) => {
     link.addEventListener("click", (e) => {
       e.preventDefault()
-      const id = link.getAttribute("href")
-      const el = document.querySelector(id)
-      if (el) el.scrollIntoView({ behavior: "smooth", block: "start" })
+      const id = link.getAttribute("href").replace(/^#/, "")
+      navigate(`/section/${id}`)
       if (hamburger && nav) {
         hamburger.classList.remove("active")
         nav.classList.remove("active")
@@ -208,23 +911,135 @@ function initNav() {
   })
 }
 
+/* ===========================
+   Router
+   - #/projects/:id  opens the project modal
+   - #/blog/:id      opens the blog modal
+   - #/section/:id   scrolls to a page section (plain #id links work too)
+   Modals opened in-app push a history entry, so Back closes them.
+   =========================== */
+const ROUTES = [
+  { name: "project", pattern: /^\/projects\/(\d+)$/ },
+  { name: "blog", pattern: /^\/blog\/(\d+)$/ },
+  { name: "section", pattern: /^\/section\/([\w-]+)$/ },
+]
+
+function initRouter() {
+  window.addEventListener("hashchange", handleRoute)
+  handleRoute()
+}
+
+function parseRoute(hash) {
+  const path = decodeURIComponent((hash || "").replace(/^#/, ""))
+  for (const route of ROUTES) {
+    const m = path.match(route.pattern)
+    if (m) return { name: route.name, id: route.name === "section" ? m[1] : Number(m[1]) }
+  }
+  // Legacy in-page anchors such as #projects
+  if (/^[\w-]+$/.test(path) && document.getElementById(path)) return { name: "section", id: path }
+  return { name: "home" }
+}
+
+function isModalRoute(route) {
+  return !!route && (route.name === "project" || route.name === "blog")
+}
+
+function navigate(path) {
+  if (window.location.hash === `#${path}`) return handleRoute()
+  history.pushState({ inApp: true }, "", `#${path}`)
+  handleRoute()
+}
+
+function replaceRoute(path) {
+  history.replaceState(history.state, "", `#${path}`)
+  state.route = parseRoute(window.location.hash)
+}
+
+function handleRoute() {
+  const route = parseRoute(window.location.hash)
+  const prev = state.route
+  state.route = route
+
+  if (route.name !== "project" && state.currentProjectId !== null) closeProjectModal({ updateRoute: false })
+  if (route.name !== "blog" && state.currentBlogId !== null) closeBlogModal({ updateRoute: false })
+
+  if (route.name === "project") {
+    // Deep links can arrive before projects.json; initProjects() re-runs the route
+    if (!state.projectsLoaded) return
+    const project = state.projects.find((p) => p.id === route.id)
+    if (!project) return replaceRoute("/section/projects")
+    if (state.currentProjectId !== route.id) openProjectModal(project)
+  } else if (route.name === "blog") {
+    if (!state.blogsLoaded) return
+    const blog = visibleBlogs().find((b) => b.id === route.id)
+    if (!blog) return replaceRoute("/section/offtopic")
+    if (state.currentBlogId !== route.id) openBlogModal(route.id)
+  } else if (route.name === "section") {
+    // Closing a modal returns to where the visitor already was — don't jump
+    if (isModalRoute(prev)) return
+    const el = document.getElementById(route.id)
+    if (el) el.scrollIntoView({ behavior: "smooth", block: "start" })
+  }
+}
+
+// Called when a modal is dismissed by the visitor (close button, Escape, overlay)
+function leaveModalRoute(fallbackSection) {
+  if (!isModalRoute(parseRoute(window.location.hash))) return
+  if (history.state && history.state.inApp) history.back()
+  else replaceRoute(`/section/${fallbackSection}`)
+}
+
 /* ===========================
    Projects
    =========================== */
 async function initProjects() {
+  initProjectManager()
+
+  state.catalogIssues = []
+  let data
   try {
     const res = await fetch("projects.json")
-    if (!res.ok) throw new Error("no projects.json")
-    const data = await res.json()
-    state.projects = Array.isArray(data) ? data : []
+    if (!res.ok) throw new Error(`server responded with HTTP ${res.status}`)
+    const text = await res.text()
+    if (/^\s*</.test(text)) throw new Error("file contains HTML instead of JSON")
+    try {
+      data = JSON.parse(text)
+    } catch (err) {
+      throw new Error(`file is not valid JSON (${err.message})`)
+    }
   } catch (err) {
-    console.warn("projects.json not found — using demo", err)
+    state.catalogIssues.push({ level: "error", where: "projects.json", message: `Could not load catalog: ${err.message}.` })
+  }
+
+  if (data !== undefined) {
+    const result = validateProjects(data)
+    state.projects = result.projects
+    state.catalogIssues.push(...result.issues)
+  }
+
+  if (state.projects.length) {
+    state.catalogSource = "projects.json"
+  } else {
+    state.catalogIssues.push({
+      level: "error",
+      where: "projects.json",
+      message: "No valid projects left after validation — showing demo projects instead.",
+    })
+    state.catalogSource = "demo"
     state.projects = demoProjects()
   }
-  state.filteredProjects = state.projects.slice()
-  renderProjects()
+
+  state.projectBase = state.projects
+  applyLocalProjects()
+  state.projectsLoaded = true
+  state.filters = readFiltersFromUrl()
   renderFilterTags()
-  initProjectSearch()
+  renderCatalogWarnings()
+  initProjectFilters()
+  applyFilters()
+  if (state.route && state.route.name === "project") handleRoute()
+  loadRepoMeta()
+  window.addEventListener("online", () => loadRepoMeta())
 }
 
 function demoProjects() {
@@ -238,601 +1053,3137 @@ function demoProjects() {
       image:
         "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 600 400'%3E%3Crect width='600' height='400' fill='%234f46e5'/%3E%3Ctext x='50%25' y='50%25' fill='white' font-size='32' text-anchor='middle' dominant-baseline='middle'%3EDemo Shop%3C/text%3E%3C/svg%3E",
       github: "https://github.com/ROJIT270/DAML_Indv_Assignment",
-      demo: "#",
-    },
-
-    {
-      id: 101,
-      title: "Machine Learning Project 01",
-      description: "(Subject to Change)",
-      fullDescription: "(Subject to Change)",
-      tags: ["Data Analytics", "Machine Learning"],
-      image:
-        "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 600 400'%3E%3Crect width='600' height='400' fill='%234f46e5'/%3E%3Ctext x='50%25' y='50%25' fill='white' font-size='32' text-anchor='middle' dominant-baseline='middle'%3EDemo Shop%3C/text%3E%3C/svg%3E",
-      github: "https://github.com/ROJIT270/DAML_Indv_Assignment",
-      demo: "#",
     },
   ]
 }
 
+/* ===========================
+   Project catalog schema (lib/catalog.js, shared with the Node tools)
+   =========================== */
+const { PROJECT_URL_FIELDS, CASE_STUDY_SECTIONS, validateProjects, validateProject, validateBlogs, normalizeBlog, validateSkills, isSafeUrl } = Catalog
+const { defaultProjectImage } = Templates
+
+function renderCatalogWarnings() {
+  const issues = state.catalogIssues
+  const errors = issues.filter((i) => i.level === "error").length
+  const summary =
+    state.catalogSource === "demo"
+      ? "The project catalog could not be used — visitors are seeing demo projects."
+      : `projects.json loaded with ${errors} rejected ${errors === 1 ? "entry" : "entries"} and ${issues.length - errors} repair(s).`
+  renderAdminWarning("catalog-warnings", summary, issues)
+}
+
+// Admin-only diagnostics box listing every problem found in a data file
+function renderAdminWarning(boxId, summary, issues) {
+  const box = document.getElementById(boxId)
+  if (!box) return
+  if (!isAdmin() || !issues.length) {
+    box.hidden = true
+    box.innerHTML = ""
+    return
+  }
+
+  box.innerHTML = `
+    <p class="admin-warning-title"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(summary)}</p>
+    <ul>
+      ${issues
+        .map(
+          (i) =>
+            `<li class="admin-warning-${i.level}"><strong>${escapeHtml(i.where)}:</strong> ${escapeHtml(i.message)}</li>`,
+        )
+        .join("")}
+    </ul>
+  `
+  box.hidden = false
+}
+
 function renderProjects() {
   const grid = document.getElementById("projects-grid")
   if (!grid) return
-  grid.innerHTML = ""
   if (!state.filteredProjects.length) {
-    grid.innerHTML = '<p class="muted">No projects found.</p>'
-    return
-  }
-  state.filteredProjects.forEach((p) => {
-    const card = document.createElement("article")
-    card.className = "project-card"
-    card.tabIndex = 0
-    card.innerHTML = `
-      <img loading="lazy" class="project-thumbnail" src="${p.image || defaultProjectImage(p.title)}" alt="${escapeHtml(p.title)}">
-      <div class="project-content">
-        <h3 class="project-title">${escapeHtml(p.title)}</h3>
-        <p class="project-description">${escapeHtml(p.description)}</p>
-        <div class="project-tags">${(p.tags || []).map((t) => `<span class="project-tag">${escapeHtml(t)}</span>`).join("")}</div>
-      </div>
-    `
-    card.addEventListener("click", () => openProjectModal(p))
-    card.addEventListener("keydown", (e) => {
-      if (e.key === "Enter" || e.key === " ") {
-        e.preventDefault()
-        openProjectModal(p)
-      }
-    })
-    grid.appendChild(card)
-  })
-}
-
-function defaultProjectImage(title) {
-  const txt = encodeURIComponent(title || "Project")
-  return `data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 600 360'%3E%3Crect width='600' height='360' fill='%2306b6d4'/%3E%3Ctext x='50%25' y='50%25' fill='white' font-family='Arial' font-size='32' text-anchor='middle' dominant-baseline='middle'%3E${txt}%3C/text%3E%3C/svg%3E`
+    hydrateOrRender(grid, "", `<p class="muted">${escapeHtml(t("projects.none"))}</p>`)
+    return
+  }
+  const key = state.filteredProjects.map((p) => p.id).join(",")
+  hydrateOrRender(grid, key, state.filteredProjects.map((p) => Templates.projectCard(state.i18n.localize(p))).join(""))
+  renderRepoMeta(grid)
 }
 
 function renderFilterTags() {
   const container = document.getElementById("filter-tags")
   if (!container) return
-  container.innerHTML = ""
+  const tags = allProjectTags()
+  hydrateOrRender(container, tags.join(","), tags.map((tag) => Templates.filterTag(tag)).join(""))
+}
+
+function allProjectTags() {
   const set = new Set()
   state.projects.forEach((p) => (p.tags || []).forEach((t) => set.add(t)))
-  set.forEach((tag) => {
-    const btn = document.createElement("button")
-    btn.className = "filter-tag"
-    btn.textContent = tag
-    btn.type = "button"
-    btn.addEventListener("click", () => {
-      toggleFilter(tag, btn)
-    })
-    container.appendChild(btn)
+  return [...set]
+}
+
+/* ===========================
+   Project filter engine
+   - Selected tags combine with "any" (OR) or "all" (AND)
+   - Free-text query matches title, description and tags
+   - A selected skill (from the Skills section) keeps only its linked projects
+   - State lives in ?tags=a,b&match=all&q=text&skill=id so filtered views can be bookmarked
+   =========================== */
+function initProjectFilters() {
+  const input = document.getElementById("search-projects")
+  if (input) {
+    input.value = state.filters.query
+    input.addEventListener(
+      "input",
+      debounce((e) => setProjectFilters({ query: (e.target.value || "").trim() }), 180),
+    )
+  }
+
+  document.querySelectorAll(".filter-mode-btn").forEach((btn) => {
+    btn.addEventListener("click", () => setProjectFilters({ mode: btn.dataset.mode }))
   })
+
+  const clearBtn = document.getElementById("clear-filters")
+  if (clearBtn) clearBtn.addEventListener("click", clearProjectFilters)
+
+  // Tag buttons and cards may come from the pre-rendered page, so delegate
+  const tagBox = document.getElementById("filter-tags")
+  if (tagBox) {
+    tagBox.addEventListener("click", (e) => {
+      const btn = e.target.closest(".filter-tag")
+      if (btn) toggleFilterTag(btn.dataset.tag)
+    })
+  }
+
+  const grid = document.getElementById("projects-grid")
+  if (grid) {
+    grid.addEventListener("click", (e) => {
+      const card = e.target.closest(".project-card")
+      if (card) navigate(`/projects/${card.dataset.projectId}`)
+    })
+    grid.addEventListener("keydown", (e) => {
+      if (!e.target.matches(".project-card")) return
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault()
+        navigate(`/projects/${e.target.dataset.projectId}`)
+      }
+    })
+  }
 }
 
-function toggleFilter(tag, btn) {
-  const buttons = document.querySelectorAll(".filter-tag")
-  if (state.currentFilter === tag) {
-    state.currentFilter = "all"
-    buttons.forEach((b) => b.classList.remove("active"))
-    state.filteredProjects = state.projects.slice()
-  } else {
-    state.currentFilter = tag
-    buttons.forEach((b) => b.classList.remove("active"))
-    btn.classList.add("active")
-    state.filteredProjects = state.projects.filter((p) => (p.tags || []).includes(tag))
+function toggleFilterTag(tag) {
+  const tags = state.filters.tags.includes(tag)
+    ? state.filters.tags.filter((t) => t !== tag)
+    : [...state.filters.tags, tag]
+  setProjectFilters({ tags })
+}
+
+function setProjectFilters(changes) {
+  state.filters = { ...state.filters, ...changes }
+  applyFilters()
+}
+
+function clearProjectFilters() {
+  const input = document.getElementById("search-projects")
+  if (input) input.value = ""
+  setProjectFilters({ tags: [], mode: "any", query: "", skill: null })
+}
+
+function projectMatchesFilters(project, filters) {
+  const tags = project.tags || []
+  // Until skills.json arrives the skill filter cannot be applied; initSkills re-runs the filters
+  const skill = filters.skill && findSkill(filters.skill)
+  if (skill && !skill.projects.includes(project.id)) return false
+  if (filters.tags.length) {
+    const hit = filters.mode === "all" ? filters.tags.every((t) => tags.includes(t)) : filters.tags.some((t) => tags.includes(t))
+    if (!hit) return false
   }
+  const q = filters.query.toLowerCase()
+  if (!q) return true
+  // The English text still matches while reading another language
+  const texts = [project, state.i18n.localize(project)].flatMap((p) => [p.title || "", p.description || ""])
+  return texts.some((text) => text.toLowerCase().includes(q)) || tags.some((tag) => tag.toLowerCase().includes(q))
+}
+
+function applyFilters() {
+  state.filteredProjects = state.projects.filter((p) => projectMatchesFilters(p, state.filters))
   renderProjects()
+  syncFilterControls()
+  writeFiltersToUrl()
 }
 
-function initProjectSearch() {
-  const input = document.getElementById("search-projects")
-  if (!input) return
-  input.addEventListener(
-    "input",
-    debounce((e) => {
-      const q = (e.target.value || "").toLowerCase().trim()
-      const pool =
-        state.currentFilter === "all"
-          ? state.projects
-          : state.projects.filter((p) => (p.tags || []).includes(state.currentFilter))
-      state.filteredProjects = pool.filter(
-        (p) =>
-          (p.title || "").toLowerCase().includes(q) ||
-          (p.description || "").toLowerCase().includes(q) ||
-          (p.tags || []).some((t) => t.toLowerCase().includes(q)),
-      )
-      renderProjects()
-    }, 180),
-  )
+function syncFilterControls() {
+  const { tags, mode, query, skill } = state.filters
+  document.querySelectorAll(".filter-tag").forEach((btn) => {
+    const active = tags.includes(btn.dataset.tag)
+    btn.classList.toggle("active", active)
+    btn.setAttribute("aria-pressed", active)
+  })
+  document.querySelectorAll(".filter-mode-btn").forEach((btn) => {
+    const active = btn.dataset.mode === mode
+    btn.classList.toggle("active", active)
+    btn.setAttribute("aria-pressed", active)
+  })
+
+  const filtering = tags.length > 0 || !!query || !!skill
+  const clearBtn = document.getElementById("clear-filters")
+  if (clearBtn) clearBtn.hidden = !filtering
+  const summary = document.getElementById("filter-summary")
+  if (summary) {
+    const counts = { shown: state.filteredProjects.length, count: state.projects.length }
+    const found = skill && findSkill(skill)
+    summary.textContent = !filtering
+      ? ""
+      : found
+        ? t("projects.summarySkill", { ...counts, skill: found.name })
+        : t("projects.summary", counts)
+  }
+  syncSkillSelection()
+}
+
+function readFiltersFromUrl() {
+  const params = new URLSearchParams(window.location.search)
+  const known = new Set(allProjectTags())
+  const tags = (params.get("tags") || "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter((t) => known.has(t))
+  return {
+    tags: [...new Set(tags)],
+    mode: params.get("match") === "all" ? "all" : "any",
+    query: (params.get("q") || "").trim(),
+    // Checked against skills.json once it has loaded
+    skill: params.get("skill") && (!state.skillsLoaded || findSkill(params.get("skill"))) ? params.get("skill") : null,
+  }
+}
+
+function writeFiltersToUrl() {
+  const url = new URL(window.location.href)
+  const { tags, mode, query, skill } = state.filters
+  if (tags.length) url.searchParams.set("tags", tags.join(","))
+  else url.searchParams.delete("tags")
+  if (mode === "all") url.searchParams.set("match", "all")
+  else url.searchParams.delete("match")
+  if (query) url.searchParams.set("q", query)
+  else url.searchParams.delete("q")
+  if (skill) url.searchParams.set("skill", skill)
+  else url.searchParams.delete("skill")
+  if (url.href !== window.location.href) history.replaceState(history.state, "", url)
 }
 
 /* ===========================
-   Project modal (accessible with focus trap)
+   Project modal
+   - Details, key metrics, a screenshot gallery and case-study sections
+     (markup shared with the static pages via lib/templates.js)
+   - A project's `notebook` opens in the notebook viewer on top
+   - Previous/next step through the grid as currently filtered (or the whole
+     catalog when the open project is filtered out); ←/→ do the same
    =========================== */
-let lastFocused = null
 function openProjectModal(project) {
   const modal = document.getElementById("project-modal")
   const body = document.getElementById("modal-body")
   if (!modal || !body) return
-  lastFocused = document.activeElement
+  state.currentProjectId = project.id
+  project = state.i18n.localize(project)
 
   body.innerHTML = `
     <div class="modal-grid">
-      <img class="modal-image" src="${project.image || defaultProjectImage(project.title)}" alt="${escapeHtml(project.title)}">
+      <img class="modal-image" src="${escapeHtml(project.image || defaultProjectImage(project.title))}" alt="${escapeHtml(project.title)}">
       <div class="modal-content-inner">
         <h2 id="modal-title">${escapeHtml(project.title)}</h2>
         <p>${escapeHtml(project.fullDescription || project.description || "")}</p>
+        ${Templates.projectMetrics(project)}
         <div class="project-tags">${(project.tags || []).map((t) => `<span class="project-tag">${escapeHtml(t)}</span>`).join("")}</div>
+        ${Templates.repoMetaSlot(project)}
         <div class="modal-links">
-          ${project.github ? `<a class="btn btn-primary" href="${project.github}" target="_blank" rel="noopener noreferrer"><i class="fab fa-github"></i> View Code</a>` : ""}
-          ${project.demo ? `<a class="btn btn-ghost" href="${project.demo}" target="_blank" rel="noopener noreferrer"><i class="fas fa-external-link-alt"></i> Live Demo</a>` : ""}
+          ${project.github ? `<a class="btn btn-primary" href="${escapeHtml(project.github)}" target="_blank" rel="noopener noreferrer"><i class="fab fa-github"></i> ${escapeHtml(t("projects.viewCode"))}</a>` : ""}
+          ${project.demo ? `<a class="btn btn-ghost" href="${escapeHtml(project.demo)}" target="_blank" rel="noopener noreferrer"><i class="fas fa-external-link-alt"></i> ${escapeHtml(t("projects.liveDemo"))}</a>` : ""}
+          ${project.notebook ? `<a class="btn btn-ghost" href="${escapeHtml(project.notebook)}" data-notebook><i class="fas fa-book-open"></i> ${escapeHtml(t("notebook.open"))}</a>` : ""}
         </div>
       </div>
     </div>
+    ${Templates.projectGallery(project, state.i18n)}
+    ${Templates.projectCaseStudy(project, state.i18n)}
+    ${projectPagerHtml(project.id)}
   `
+  renderRepoMeta(body)
+  lightbox.shots = project.gallery || []
 
-  modal.setAttribute("aria-hidden", "false")
-  modal.style.display = "flex"
   setTimeout(() => modal.setAttribute("open", ""), 20)
-  document.body.style.overflow = "hidden"
-
-  const closeBtn = modal.querySelector(".modal-close")
-  closeBtn && closeBtn.focus()
-  trapFocus(modal)
+  openDialog(modal, { initialFocus: modal.querySelector(".modal-close"), onDismiss: () => closeProjectModal() })
 }
 
-function closeProjectModal() {
+function closeProjectModal({ updateRoute = true } = {}) {
   const modal = document.getElementById("project-modal")
   if (!modal) return
+  closeLightbox()
+  closeNotebook()
+  state.currentProjectId = null
   modal.removeAttribute("open")
-  modal.setAttribute("aria-hidden", "true")
-  modal.style.display = "none"
-  document.body.style.overflow = ""
-  if (lastFocused) lastFocused.focus()
+  closeDialog(modal)
+  if (updateRoute) leaveModalRoute("projects")
+}
+
+function adjacentProjects(id) {
+  const list = state.filteredProjects.some((p) => p.id === id) ? state.filteredProjects : state.projects
+  const index = list.findIndex((p) => p.id === id)
+  return { previous: list[index - 1] || null, next: list[index + 1] || null, position: index + 1, count: list.length }
+}
+
+function projectPagerHtml(id) {
+  const { previous, next, position, count } = adjacentProjects(id)
+  if (count < 2) return ""
+  const button = (project, step, key) => {
+    const title = project ? state.i18n.localize(project).title : t(key)
+    const arrow = `<i class="fas fa-arrow-${step < 0 ? "left" : "right"}"></i>`
+    return `
+      <button type="button" class="btn btn-ghost btn-small" data-project-step="${step}"
+              aria-label="${escapeHtml(project ? `${t(key)}: ${title}` : title)}"${project ? "" : " disabled"}>
+        ${step < 0 ? arrow : ""} <span>${escapeHtml(title)}</span> ${step > 0 ? arrow : ""}
+      </button>`
+  }
+  return `
+    <nav class="project-pager" aria-label="${escapeHtml(t("projects.pager"))}">
+      ${button(previous, -1, "projects.previous")}
+      <span class="project-pager-position">${escapeHtml(t("projects.position", { index: position, count }))}</span>
+      ${button(next, 1, "projects.next")}
+    </nav>
+  `
 }
-document.addEventListener("click", (e) => {
+
+function showAdjacentProject(step) {
+  const { previous, next } = adjacentProjects(state.currentProjectId)
+  const target = step < 0 ? previous : next
+  if (!target) return
+  // Replace rather than push the route, so Back still closes the dialog
+  history.replaceState(history.state, "", `#/projects/${target.id}`)
+  handleRoute()
   const modal = document.getElementById("project-modal")
-  if (!modal) return
-  if (e.target === modal) closeProjectModal()
-})
-document.addEventListener("keydown", (e) => {
-  if (e.key === "Escape") {
-    const modal = document.getElementById("project-modal")
-    if (modal && modal.getAttribute("aria-hidden") === "false") closeProjectModal()
-    const blogModal = document.getElementById("blog-modal")
-    if (blogModal && blogModal.getAttribute("aria-hidden") === "false") closeBlogModal()
+  const again = modal && (modal.querySelector(`[data-project-step="${step}"]:not([disabled])`) || modal.querySelector("[data-project-step]:not([disabled])"))
+  if (again) again.focus()
+}
+
+function handleProjectModalClick(e) {
+  const thumb = e.target.closest("[data-gallery-index]")
+  if (thumb) {
+    e.preventDefault()
+    openLightbox(Number(thumb.dataset.galleryIndex))
+    return
   }
-})
+  const notebookLink = e.target.closest("[data-notebook]")
+  if (notebookLink) {
+    const project = state.projects.find((p) => p.id === state.currentProjectId)
+    if (!project) return
+    e.preventDefault()
+    openNotebook(state.i18n.localize(project))
+    return
+  }
+  const stepBtn = e.target.closest("[data-project-step]")
+  if (stepBtn) showAdjacentProject(Number(stepBtn.dataset.projectStep))
+}
+
 document.addEventListener("DOMContentLoaded", () => {
   const closeBtn = document.querySelector("#project-modal .modal-close")
-  if (closeBtn) closeBtn.addEventListener("click", closeProjectModal)
+  if (closeBtn) closeBtn.addEventListener("click", () => closeProjectModal())
   const blogCloseBtn = document.querySelector("#blog-modal .modal-close")
-  if (blogCloseBtn) blogCloseBtn.addEventListener("click", closeBlogModal)
+  if (blogCloseBtn) blogCloseBtn.addEventListener("click", () => closeBlogModal())
+
+  const modal = document.getElementById("project-modal")
+  const body = document.getElementById("modal-body")
+  if (body) body.addEventListener("click", handleProjectModalClick)
+  if (modal) {
+    modal.addEventListener("keydown", (e) => {
+      if ((e.key !== "ArrowLeft" && e.key !== "ArrowRight") || isTypingTarget(e.target)) return
+      const top = topDialog()
+      if (!top || top.el !== modal) return
+      e.preventDefault()
+      showAdjacentProject(e.key === "ArrowLeft" ? -1 : 1)
+    })
+  }
+  initLightbox()
+  initNotebookViewer()
 })
-function trapFocus(container) {
-  const focusable = container.querySelectorAll(
-    'a[href], button:not([disabled]), textarea, input, select, [tabindex]:not([tabindex="-1"])',
+
+/* ===========================
+   Screenshot lightbox
+   - Opens over the project modal from its gallery thumbnails
+   - ←/→, Home/End, the arrow buttons and horizontal swipes step through the
+     screenshots (wrapping around); Escape and focus go through the dialog manager
+   =========================== */
+const LIGHTBOX_SWIPE_PX = 50
+const lightbox = { shots: [], index: 0, touchX: null }
+
+function initLightbox() {
+  const el = document.getElementById("lightbox")
+  if (!el) return
+  el.querySelectorAll("[data-lightbox-step]").forEach((btn) =>
+    btn.addEventListener("click", () => showLightboxShot(lightbox.index + Number(btn.dataset.lightboxStep))),
   )
-  if (!focusable.length) return
-  const first = focusable[0]
-  const last = focusable[focusable.length - 1]
-  function keyHandler(e) {
-    if (e.key !== "Tab") return
-    if (e.shiftKey && document.activeElement === first) {
-      e.preventDefault()
-      last.focus()
-    } else if (!e.shiftKey && document.activeElement === last) {
-      e.preventDefault()
-      first.focus()
-    }
+  const closeBtn = el.querySelector(".modal-close")
+  if (closeBtn) closeBtn.addEventListener("click", closeLightbox)
+
+  el.addEventListener("keydown", (e) => {
+    const moves = { ArrowLeft: lightbox.index - 1, ArrowRight: lightbox.index + 1, Home: 0, End: lightbox.shots.length - 1 }
+    if (!(e.key in moves)) return
+    e.preventDefault()
+    // Keep the project modal underneath from also handling the arrow keys
+    e.stopPropagation()
+    showLightboxShot(moves[e.key])
+  })
+  el.addEventListener(
+    "touchstart",
+    (e) => {
+      lightbox.touchX = e.touches.length === 1 ? e.touches[0].clientX : null
+    },
+    { passive: true },
+  )
+  el.addEventListener("touchend", (e) => {
+    if (lightbox.touchX === null) return
+    const dx = e.changedTouches[0].clientX - lightbox.touchX
+    lightbox.touchX = null
+    if (Math.abs(dx) >= LIGHTBOX_SWIPE_PX) showLightboxShot(lightbox.index + (dx < 0 ? 1 : -1))
+  })
+}
+
+function openLightbox(index) {
+  const el = document.getElementById("lightbox")
+  if (!el || !lightbox.shots.length) return
+  showLightboxShot(index)
+  openDialog(el, { initialFocus: el.querySelector(".modal-close"), onDismiss: closeLightbox })
+}
+
+function closeLightbox() {
+  const el = document.getElementById("lightbox")
+  if (el && isDialogOpen(el)) closeDialog(el)
+}
+
+function showLightboxShot(index) {
+  const count = lightbox.shots.length
+  if (!count) return
+  lightbox.index = (index + count) % count
+  const shot = lightbox.shots[lightbox.index]
+  const img = document.getElementById("lightbox-image")
+  const caption = document.getElementById("lightbox-caption")
+  const counter = document.getElementById("lightbox-counter")
+  if (img) {
+    img.src = shot.src
+    img.alt = shot.alt || shot.caption || ""
+  }
+  if (caption) {
+    caption.textContent = shot.caption || ""
+    caption.hidden = !shot.caption
   }
-  container.addEventListener("keydown", keyHandler)
-  container._removeTrap = () => container.removeEventListener("keydown", keyHandler)
+  if (counter) counter.textContent = t("lightbox.counter", { index: lightbox.index + 1, count })
+  document.querySelectorAll("#lightbox [data-lightbox-step]").forEach((btn) => (btn.hidden = count < 2))
 }
 
 /* ===========================
-   Skills
+   Notebook viewer
+   - Opens over the project modal for projects with a `notebook` URL (.ipynb)
+     and renders it with lib/notebook.js
+   - Notebooks are fetched once per visit; a failed load says why and leaves
+     the download link
+   - "Hide code" collapses every input cell; each one can also be toggled alone
    =========================== */
-function initSkills() {
-  document.querySelectorAll(".skill-progress").forEach((bar) => {
-    const w = bar.style.width || bar.dataset.targetWidth || "0%"
-    bar.dataset.targetWidth = w
-    bar.style.width = "0"
-  })
-  const btn = document.getElementById("toggle-skill-view")
-  if (btn) btn.addEventListener("click", toggleSkillView)
+const notebookViewer = { url: null, inputsHidden: false, cache: new Map() }
+
+function initNotebookViewer() {
+  const el = document.getElementById("notebook-modal")
+  if (!el) return
+  const closeBtn = el.querySelector(".modal-close")
+  if (closeBtn) closeBtn.addEventListener("click", closeNotebook)
+  const toggle = document.getElementById("notebook-toggle-inputs")
+  if (toggle) toggle.addEventListener("click", () => setNotebookInputsHidden(!notebookViewer.inputsHidden))
 }
 
-function toggleSkillView() {
-  state.skillViewMode = state.skillViewMode === "percent" ? "level" : "percent"
-  document.querySelectorAll(".skill-card").forEach((card) => {
-    const valEl = card.querySelector(".skill-value")
-    const prog = card.querySelector(".skill-progress")
-    if (!valEl || !prog) return
-    const percent = prog.dataset.targetWidth || prog.style.width || ""
-    const level = prog.dataset.level || prog.getAttribute("data-level") || ""
-    valEl.textContent = state.skillViewMode === "level" ? level || percent : percent || level
-  })
+async function openNotebook(project) {
+  const el = document.getElementById("notebook-modal")
+  const body = document.getElementById("notebook-body")
+  if (!el || !body || !project.notebook) return
+  const url = project.notebook
+  notebookViewer.url = url
+  document.getElementById("notebook-title").textContent = project.title
+  document.getElementById("notebook-download").href = url
+  setNotebookInputsHidden(false)
+  body.setAttribute("aria-busy", "true")
+  body.innerHTML = `<p class="muted">${escapeHtml(t("notebook.loading"))}</p>`
+  openDialog(el, { initialFocus: el.querySelector(".modal-close"), onDismiss: closeNotebook })
+
+  let html
+  try {
+    html = Notebook.render(await loadNotebook(url), state.i18n)
+  } catch (err) {
+    html = `<p class="error-message" role="alert">${escapeHtml(t("notebook.error", { error: err.message }))}</p>`
+  }
+  // Closed, or showing another notebook, by the time this one arrived
+  if (notebookViewer.url !== url) return
+  body.innerHTML = html
+  body.removeAttribute("aria-busy")
+  body.querySelectorAll("iframe.nb-html").forEach((frame) => frame.addEventListener("load", () => sizeNotebookFrame(frame)))
 }
 
-function animateSkillBars() {
-  document.querySelectorAll(".skill-progress").forEach((bar, i) => {
-    const target = bar.dataset.targetWidth || "0%"
-    setTimeout(() => (bar.style.width = target), i * 80)
-  })
+function closeNotebook() {
+  const el = document.getElementById("notebook-modal")
+  notebookViewer.url = null
+  if (el && isDialogOpen(el)) closeDialog(el)
+}
+
+function loadNotebook(url) {
+  if (!notebookViewer.cache.has(url)) {
+    const loading = fetchNotebook(url)
+    notebookViewer.cache.set(url, loading)
+    loading.catch(() => notebookViewer.cache.delete(url))
+  }
+  return notebookViewer.cache.get(url)
+}
+
+// Not fetchJson: raw file hosts would refuse its X-Visitor-Id header
+async function fetchNotebook(url) {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), API_TIMEOUT_MS)
+  try {
+    const res = await fetch(url, { signal: controller.signal })
+    if (!res.ok) throw new Error(`server responded with HTTP ${res.status}`)
+    return Notebook.parse(await res.json())
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+function setNotebookInputsHidden(hidden) {
+  notebookViewer.inputsHidden = hidden
+  const label = document.getElementById("notebook-toggle-label")
+  if (label) {
+    // Through data-i18n, so a language switch keeps the right label
+    label.dataset.i18n = hidden ? "notebook.showCode" : "notebook.hideCode"
+    label.textContent = t(label.dataset.i18n)
+  }
+  document.querySelectorAll("#notebook-body details.nb-input").forEach((details) => (details.open = !hidden))
+}
+
+// HTML outputs can't run scripts to size themselves; their frame shares the
+// page's origin (sandbox="allow-same-origin"), so measure them from here
+function sizeNotebookFrame(frame) {
+  const doc = frame.contentDocument
+  if (!doc || !doc.body) return
+  const style = getComputedStyle(frame)
+  doc.body.style.margin = "0"
+  doc.body.style.color = style.color
+  doc.body.style.font = style.font
+  frame.style.height = `${doc.documentElement.scrollHeight}px`
 }
 
 /* ===========================
-   OffTopic Blog Section
-   - Only admin can create/edit/delete blogs
-   - Visitors can view titles, click to read full blog, and like
+   GitHub repository details
+   - Stars, primary language, last push and topics for projects whose github
+     link is a repository (lib/github.js), filled into the empty .repo-meta
+     slots lib/templates.js leaves on the cards and in the project modal
+   - Responses are cached in IndexedDB for GITHUB_CACHE_TTL_MS, then
+     revalidated with If-None-Match (a 304 does not count against the limit)
+   - Offline, rate limited (remembered until the limit resets) or failing:
+     the cached copy is used however old, or the slot stays hidden
    =========================== */
-function initBlogs() {
-  const saved = localStorage.getItem("portfolio-blogs")
+const GITHUB_BLOCKED_KEY = "portfolio-github-blocked-until"
+const repoMeta = { entries: new Map(), loading: new Set() } // "owner/repo" -> GitHub.summarize() output
+
+// Fetches details for every repository not shown yet; safe to call again
+// (after catalog edits, or when the browser comes back online)
+function loadRepoMeta() {
+  if (!GITHUB_API_BASE) return
+  const keys = new Set(state.projects.map((p) => GitHub.parseRepoUrl(p.github)).filter(Boolean))
+  keys.forEach((key) => {
+    if (repoMeta.entries.has(key) || repoMeta.loading.has(key)) return
+    repoMeta.loading.add(key)
+    fetchRepoMeta(key)
+      .then((meta) => {
+        if (!meta) return
+        repoMeta.entries.set(key, meta)
+        renderRepoMeta(document)
+      })
+      .finally(() => repoMeta.loading.delete(key))
+  })
+}
+
+// Summary, or null (unknown repository, or nothing cached to fall back on); never rejects
+async function fetchRepoMeta(key) {
+  const cached = await idbRequest("github", "readonly", (store) => store.get(key)).catch(() => null)
+  if (cached && Date.now() - cached.fetchedAt < GITHUB_CACHE_TTL_MS) return cached.meta
+  const stale = cached ? cached.meta : null
+  if (navigator.onLine === false || githubBlockedUntil() > Date.now()) return stale
+
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), API_TIMEOUT_MS)
   try {
-    state.blogs = saved ? JSON.parse(saved) : seedBlogs()
+    const headers = { Accept: "application/vnd.github+json" }
+    if (cached && cached.etag) headers["If-None-Match"] = cached.etag
+    // Not fetchJson: GitHub's CORS rules refuse its X-Visitor-Id header
+    const res = await fetch(GitHub.repoApiUrl(GITHUB_API_BASE, key), { headers, signal: controller.signal })
+    if (res.status === 304 && cached) {
+      await writeRepoCache({ ...cached, fetchedAt: Date.now() })
+      return stale
+    }
+    if (res.ok || res.status === 404) {
+      const meta = res.ok ? GitHub.summarize(await res.json()) : null
+      await writeRepoCache({ repo: key, meta, etag: res.headers.get("etag") || "", fetchedAt: Date.now() })
+      return meta
+    }
+    const until = GitHub.rateLimitedUntil(res.status, res.headers)
+    if (until) localStorage.setItem(GITHUB_BLOCKED_KEY, String(until))
+    return stale
   } catch {
-    state.blogs = seedBlogs()
+    return stale
+  } finally {
+    clearTimeout(timer)
   }
-  renderBlogs()
-  updateAdminUI()
-  const addBtn = document.getElementById("add-blog")
-  if (addBtn) addBtn.addEventListener("click", addBlog)
 }
 
-function seedBlogs() {
-  return [
-    {
-      id: Date.now() - 3000,
-      title: "Why I Love CSS Grid",
-      content:
-        "Just learned CSS Grid and it's absolutely life-changing! The ability to create complex layouts with just a few lines of code is incredible. I spent years fighting with floats and flexbox for 2D layouts, but Grid makes it so intuitive.\n\nThe grid-template-areas property is particularly amazing - you can literally draw your layout in ASCII art and CSS will make it happen. If you haven't tried it yet, I highly recommend diving in!",
-      date: new Date(Date.now() - 86400000 * 3).toISOString(),
-      likes: 5,
-      liked: false,
-    },
-    {
-      id: Date.now() - 2000,
-      title: "The Art of Debugging",
-      content:
-        "Here's something I wish I learned earlier: sometimes the best debugging technique is to step away from the computer.\n\nI was stuck on a bug for 3 hours yesterday. Went for a walk, came back, and solved it in 5 minutes. Your brain continues processing problems in the background, even when you're not actively thinking about them.\n\nSo next time you're stuck, give yourself permission to take a break. It's not procrastination - it's debugging.",
-      date: new Date(Date.now() - 86400000 * 2).toISOString(),
-      likes: 12,
-      liked: false,
-    },
-  ]
+function writeRepoCache(entry) {
+  return idbRequest("github", "readwrite", (store) => store.put(entry)).catch(() => {})
 }
 
-function saveBlogs() {
-  localStorage.setItem("portfolio-blogs", JSON.stringify(state.blogs))
+function githubBlockedUntil() {
+  return Number(localStorage.getItem(GITHUB_BLOCKED_KEY)) || 0
 }
 
-function renderBlogs() {
-  const c = document.getElementById("blogs-container")
-  if (!c) return
-  c.innerHTML = ""
+function renderRepoMeta(root) {
+  root.querySelectorAll(".repo-meta[data-repo]").forEach((slot) => {
+    const meta = repoMeta.entries.get(slot.dataset.repo)
+    if (!meta) return
+    slot.innerHTML = Templates.repoMeta(meta, state.i18n)
+    slot.setAttribute("aria-label", t("projects.repo.label"))
+    slot.hidden = false
+  })
+}
 
-  if (!state.blogs.length) {
-    c.innerHTML = `
-      <div class="blogs-empty">
-        <i class="fas fa-feather-alt"></i>
-        <p>No blog posts yet. Check back soon!</p>
-      </div>
-    `
-    return
-  }
+/* ===========================
+   Project manager (admin)
+   - Edits a working copy of the catalog kept in localStorage; this browser
+     shows it instead of projects.json until it is exported or discarded
+   - Saving a project runs it through validateProject(), so the copy always
+     passes the same checks as the committed file
+   - Export writes the catalog in list order, ready to replace projects.json
+   =========================== */
+const PROJECTS_LOCAL_KEY = "portfolio-projects-local"
+const PROJECT_EXPORT_FIELDS = [
+  "id",
+  "title",
+  "description",
+  "fullDescription",
+  "tags",
+  "image",
+  "github",
+  "demo",
+  "notebook",
+  "date",
+  "status",
+  "metrics",
+  "gallery",
+  "caseStudy",
+]
+const PROJECT_FORM_FIELDS = [
+  "title",
+  "description",
+  "fullDescription",
+  "tags",
+  "status",
+  "image",
+  "github",
+  "demo",
+  "notebook",
+  ...CASE_STUDY_SECTIONS,
+  "stack",
+  "gallery",
+  "metrics",
+]
+const projectEditor = {
+  projectId: null,
+  baseline: null,
+}
 
-  const sorted = [...state.blogs].sort((a, b) => new Date(b.date) - new Date(a.date))
-  sorted.forEach((blog) => {
-    const card = document.createElement("article")
-    card.className = "blog-card"
-    card.dataset.blogId = blog.id
+function initProjectManager() {
+  const manageBtn = document.getElementById("manage-projects")
+  if (manageBtn) manageBtn.addEventListener("click", openProjectManager)
+  const exportBtn = document.getElementById("export-projects")
+  if (exportBtn) exportBtn.addEventListener("click", exportProjects)
+  const resetBtn = document.getElementById("discard-local-projects")
+  if (resetBtn) resetBtn.addEventListener("click", discardLocalProjectChanges)
 
-    const preview = blog.content.length > 150 ? blog.content.substring(0, 150) + "..." : blog.content
-    const formattedDate = new Date(blog.date).toLocaleDateString("en-US", {
-      year: "numeric",
-      month: "short",
-      day: "numeric",
-    })
+  const modal = document.getElementById("project-manager-modal")
+  const form = document.getElementById("project-form")
+  if (!modal || !form) return
 
-    card.innerHTML = `
-      <div class="blog-card-header">
-        <div class="blog-card-info">
-          <h3 class="blog-card-title">${escapeHtml(blog.title)}</h3>
-          <div class="blog-card-meta">
-            <span><i class="fas fa-calendar-alt"></i> ${formattedDate}</span>
-            <span><i class="fas fa-heart"></i> ${blog.likes || 0} likes</span>
-          </div>
-        </div>
-        <div class="blog-card-actions" onclick="event.stopPropagation()">
-          <button aria-label="like" onclick="likeBlog(${blog.id})" class="${blog.liked ? "liked" : ""}">
-            <i class="fas fa-heart"></i> ${blog.likes || 0}
-          </button>
-        </div>
-      </div>
-      <p class="blog-card-preview">${escapeHtml(preview)}</p>
-      <div class="read-more-hint">
-        <span>Click to read more</span>
-        <i class="fas fa-arrow-right"></i>
-      </div>
-    `
+  form.addEventListener("submit", (e) => {
+    e.preventDefault()
+    saveProjectFromForm()
+  })
+  const newBtn = document.getElementById("new-project")
+  if (newBtn) newBtn.addEventListener("click", () => selectManagedProject(null))
+  const deleteBtn = document.getElementById("delete-project")
+  if (deleteBtn) deleteBtn.addEventListener("click", deleteManagedProject)
+  const revertBtn = document.getElementById("revert-project")
+  if (revertBtn) revertBtn.addEventListener("click", () => fillProjectForm(projectEditor.baseline))
+  const closeBtn = modal.querySelector(".modal-close")
+  if (closeBtn) closeBtn.addEventListener("click", () => closeProjectManager())
 
-    card.addEventListener("click", () => openBlogModal(blog.id))
-    card.addEventListener("keydown", (e) => {
-      if (e.key === "Enter" || e.key === " ") {
-        e.preventDefault()
-        openBlogModal(blog.id)
-      }
+  const list = document.getElementById("project-manager-list")
+  if (list) {
+    list.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-project-action]")
+      if (!btn) return
+      const id = Number(btn.dataset.id)
+      if (btn.dataset.projectAction === "edit") selectManagedProject(id)
+      else moveManagedProject(id, btn.dataset.projectAction === "up" ? -1 : 1)
     })
-    card.tabIndex = 0
-    c.appendChild(card)
+  }
+
+  const preview = debounce(renderProjectImagePreview, 200)
+  ;["project-image", "project-title"].forEach((id) => {
+    const input = document.getElementById(id)
+    if (input) input.addEventListener("input", preview)
+  })
+
+  window.addEventListener("beforeunload", (e) => {
+    if (isProjectManagerOpen() && isProjectFormDirty()) {
+      e.preventDefault()
+      e.returnValue = ""
+    }
   })
 }
 
-function addBlog() {
-  if (!isAdmin()) {
-    alert("Only the site owner (admin) can add blogs.")
-    return
-  }
-  const titleInput = document.getElementById("blog-title")
-  const contentInput = document.getElementById("blog-content")
-  if (!titleInput || !contentInput) return
+function isProjectManagerOpen() {
+  const modal = document.getElementById("project-manager-modal")
+  return !!modal && isDialogOpen(modal)
+}
 
-  const title = titleInput.value.trim()
-  const content = contentInput.value.trim()
+function openProjectManager() {
+  if (!isAdmin() || !state.projectsLoaded) return
+  const modal = document.getElementById("project-manager-modal")
+  if (!modal) return
+  selectManagedProject(state.projects.length ? state.projects[0].id : null, { force: true })
+  openDialog(modal, { initialFocus: document.getElementById("project-title"), onDismiss: () => closeProjectManager() })
+}
 
-  if (!title) {
-    alert("Please add a title for your blog.")
-    return
-  }
-  if (!content) {
-    alert("Please write some content.")
-    return
-  }
+function closeProjectManager({ force = false } = {}) {
+  const modal = document.getElementById("project-manager-modal")
+  if (!modal || !isProjectManagerOpen()) return
+  if (!force && isProjectFormDirty() && !confirm("Discard unsaved changes to this project?")) return
+  closeDialog(modal)
+  projectEditor.projectId = null
+  projectEditor.baseline = null
+}
 
-  const newBlog = {
-    id: Date.now(),
-    title,
-    content,
-    date: new Date().toISOString(),
-    likes: 0,
-    liked: false,
-  }
-  state.blogs.unshift(newBlog)
-  saveBlogs()
-  renderBlogs()
-  titleInput.value = ""
-  contentInput.value = ""
+// id null starts a new project
+function selectManagedProject(id, { force = false } = {}) {
+  if (!force && isProjectFormDirty() && !confirm("Discard unsaved changes to this project?")) return
+  const project = id === null ? null : state.projects.find((p) => p.id === id) || null
+  projectEditor.projectId = project ? project.id : null
+  projectEditor.baseline = projectFormFields(project)
+  fillProjectForm(projectEditor.baseline)
+  renderProjectFormHeading()
+  setProjectFormStatus("")
+  renderProjectManagerList()
 }
 
-function likeBlog(id) {
-  const blog = state.blogs.find((x) => x.id === id)
-  if (!blog) return
-  blog.liked = !blog.liked
-  blog.likes = (blog.likes || 0) + (blog.liked ? 1 : -1)
-  saveBlogs()
-  renderBlogs()
+function renderProjectFormHeading() {
+  const heading = document.getElementById("project-form-title")
+  if (heading) heading.textContent = projectEditor.projectId === null ? "New project" : "Edit project"
+  const deleteBtn = document.getElementById("delete-project")
+  if (deleteBtn) deleteBtn.hidden = projectEditor.projectId === null
+}
 
-  // Update modal if open
-  if (state.currentBlogId === id) {
-    const likeBtn = document.querySelector(".blog-modal-like button")
-    if (likeBtn) {
-      likeBtn.className = blog.liked ? "liked" : ""
-      likeBtn.innerHTML = `<i class="fas fa-heart"></i> ${blog.liked ? "Liked" : "Like"} (${blog.likes})`
-    }
-  }
+function renderProjectManagerList() {
+  const list = document.getElementById("project-manager-list")
+  if (!list) return
+  const last = state.projects.length - 1
+  list.innerHTML = state.projects
+    .map(
+      (p, i) => `
+      <li class="project-manager-item${p.id === projectEditor.projectId ? " active" : ""}">
+        <button type="button" class="project-manager-pick" data-project-action="edit" data-id="${p.id}"${p.id === projectEditor.projectId ? ' aria-current="true"' : ""}>
+          <img src="${escapeHtml(p.image || defaultProjectImage(p.title))}" alt="" loading="lazy">
+          <span>${escapeHtml(p.title)}</span>
+        </button>
+        <button type="button" class="project-manager-move" data-project-action="up" data-id="${p.id}" aria-label="Move ${escapeHtml(p.title)} up"${i === 0 ? " disabled" : ""}><i class="fas fa-arrow-up"></i></button>
+        <button type="button" class="project-manager-move" data-project-action="down" data-id="${p.id}" aria-label="Move ${escapeHtml(p.title)} down"${i === last ? " disabled" : ""}><i class="fas fa-arrow-down"></i></button>
+      </li>
+    `,
+    )
+    .join("")
 }
 
-function editBlog(id) {
-  if (!isAdmin()) {
-    alert("Only admin can edit blogs.")
-    return
+function projectFormFields(project) {
+  const p = project || {}
+  return {
+    title: p.title || "",
+    description: p.description || "",
+    fullDescription: p.fullDescription || "",
+    tags: (p.tags || []).join(", "),
+    status: p.status || "",
+    image: p.image || "",
+    github: p.github || "",
+    demo: p.demo || "",
+    notebook: p.notebook || "",
+    ...Object.fromEntries(CASE_STUDY_SECTIONS.map((f) => [f, (p.caseStudy && p.caseStudy[f]) || ""])),
+    stack: ((p.caseStudy && p.caseStudy.stack) || []).join(", "),
+    gallery: (p.gallery || []).map((g) => joinFormLine([g.src, g.caption, g.alt])).join("\n"),
+    metrics: (p.metrics || []).map((m) => joinFormLine([m.value, m.label, m.detail])).join("\n"),
   }
-  const blog = state.blogs.find((x) => x.id === id)
-  if (!blog) return
+}
 
-  const newTitle = prompt("Edit blog title:", blog.title)
-  if (newTitle === null) return
+// Gallery and metrics are edited one entry per line, with parts separated by " | "
+function joinFormLine(parts) {
+  while (parts.length && !parts[parts.length - 1]) parts.pop()
+  return parts.map((part) => part || "").join(" | ")
+}
 
-  const newContent = prompt("Edit blog content:", blog.content)
-  if (newContent === null) return
+function splitFormLines(text) {
+  return text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => line.split("|").map((part) => part.trim()))
+}
 
-  if (newTitle.trim()) blog.title = newTitle.trim()
-  if (newContent.trim()) blog.content = newContent.trim()
+function projectFieldId(field) {
+  return field === "fullDescription" ? "project-full-description" : `project-${field}`
+}
 
-  saveBlogs()
-  renderBlogs()
-  if (state.currentBlogId === id) openBlogModal(id)
+function readProjectForm() {
+  const fields = {}
+  PROJECT_FORM_FIELDS.forEach((f) => {
+    const el = document.getElementById(projectFieldId(f))
+    fields[f] = el ? el.value : ""
+  })
+  return fields
 }
 
-function deleteBlog(id) {
-  if (!isAdmin()) {
-    alert("Only admin can delete blogs.")
-    return
-  }
-  if (confirm("Delete this blog post?")) {
-    state.blogs = state.blogs.filter((x) => x.id !== id)
-    saveBlogs()
-    renderBlogs()
-    if (state.currentBlogId === id) closeBlogModal()
+function fillProjectForm(fields) {
+  if (!fields) return
+  PROJECT_FORM_FIELDS.forEach((f) => {
+    const el = document.getElementById(projectFieldId(f))
+    if (el) el.value = fields[f] || ""
+  })
+  renderProjectImagePreview()
+}
+
+function isProjectFormDirty() {
+  if (!projectEditor.baseline || !isProjectManagerOpen()) return false
+  const current = readProjectForm()
+  return PROJECT_FORM_FIELDS.some((f) => current[f].trim() !== projectEditor.baseline[f].trim())
+}
+
+function setProjectFormStatus(message, isError) {
+  const el = document.getElementById("project-form-status")
+  if (!el) return
+  el.textContent = message
+  el.classList.toggle("error", !!isError)
+}
+
+// Falls back to the generated placeholder card, like renderProjects() does
+function renderProjectImagePreview() {
+  const input = document.getElementById("project-image")
+  const img = document.getElementById("project-image-preview")
+  if (!input || !img) return
+  const url = input.value.trim()
+  const ok = !url || isSafeUrl(url, true)
+  img.hidden = !ok
+  if (ok) {
+    const title = document.getElementById("project-title")
+    img.src = url || defaultProjectImage(title ? title.value.trim() : "")
+  } else {
+    img.removeAttribute("src")
   }
 }
 
-/* ===========================
-   Blog Modal
-   =========================== */
-function openBlogModal(id) {
-  const modal = document.getElementById("blog-modal")
-  const body = document.getElementById("blog-modal-body")
-  if (!modal || !body) return
+function nextProjectId() {
+  // Never reuse a committed id: old #/projects/:id links would open the wrong project
+  return Math.max(100, ...state.projectBase.map((p) => p.id), ...state.projects.map((p) => p.id)) + 1
+}
 
-  const blog = state.blogs.find((x) => x.id === id)
+function saveProjectFromForm() {
+  if (!isAdmin()) return
+  const fields = readProjectForm()
+  if (!fields.title.trim()) {
+    setProjectFormStatus("Please add a title.", true)
+    return
+  }
+  if (!fields.description.trim()) {
+    setProjectFormStatus("Please add a short description for the project card.", true)
+    return
+  }
+  const badUrl = PROJECT_URL_FIELDS.find((f) => fields[f].trim() && !isSafeUrl(fields[f], f === "image"))
+  if (badUrl) {
+    setProjectFormStatus(`The ${badUrl} URL isn't usable — use an http(s) link or a path inside the site.`, true)
+    return
+  }
+
+  const existing = state.projects.find((p) => p.id === projectEditor.projectId)
+  const raw = {
+    ...existing,
+    id: existing ? existing.id : nextProjectId(),
+    title: fields.title,
+    description: fields.description,
+    tags: parseTagInput(fields.tags),
+  }
+  ;["fullDescription", "status", ...PROJECT_URL_FIELDS].forEach((f) => {
+    const value = fields[f].trim()
+    if (value) raw[f] = value
+    else delete raw[f]
+  })
+  const caseStudy = {}
+  CASE_STUDY_SECTIONS.forEach((f) => {
+    if (fields[f].trim()) caseStudy[f] = fields[f]
+  })
+  if (fields.stack.trim()) caseStudy.stack = parseTagInput(fields.stack)
+  const gallery = splitFormLines(fields.gallery).map(([src, caption, alt]) => ({ src, caption, alt }))
+  const metrics = splitFormLines(fields.metrics).map(([value, label, detail]) => ({ value, label, detail }))
+  Object.entries({ caseStudy: Object.keys(caseStudy).length ? caseStudy : null, gallery, metrics }).forEach(([f, value]) => {
+    if (value && (!Array.isArray(value) || value.length)) raw[f] = value
+    else delete raw[f]
+  })
+
+  const problems = []
+  const project = validateProject(raw, (level, message) => problems.push(message))
+  if (!project || problems.length) {
+    setProjectFormStatus(problems.join(" "), true)
+    return
+  }
+
+  state.projects = existing
+    ? state.projects.map((p) => (p.id === project.id ? project : p))
+    : [...state.projects, project]
+  projectEditor.projectId = project.id
+  projectEditor.baseline = projectFormFields(project)
+  saveLocalProjects()
+  renderProjectFormHeading()
+  setProjectFormStatus(existing ? "Saved." : "Project added.")
+}
+
+function deleteManagedProject() {
+  if (!isAdmin()) return
+  const project = state.projects.find((p) => p.id === projectEditor.projectId)
+  if (!project) return
+  if (state.projects.length === 1) {
+    setProjectFormStatus("The catalog needs at least one project.", true)
+    return
+  }
+  if (!confirm(`Delete "${project.title}"? It stays in projects.json until you export.`)) return
+  state.projects = state.projects.filter((p) => p.id !== project.id)
+  saveLocalProjects()
+  selectManagedProject(state.projects[0].id, { force: true })
+}
+
+function moveManagedProject(id, delta) {
+  if (!isAdmin()) return
+  const from = state.projects.findIndex((p) => p.id === id)
+  const to = from + delta
+  if (from < 0 || to < 0 || to >= state.projects.length) return
+  const list = [...state.projects]
+  ;[list[from], list[to]] = [list[to], list[from]]
+  state.projects = list
+  saveLocalProjects()
+
+  // Re-rendering the list drops focus; keep it on the moved row
+  const row = document.querySelectorAll("#project-manager-list .project-manager-item")[to]
+  const btn = row && (row.querySelector(`[data-project-action="${delta < 0 ? "up" : "down"}"]:not([disabled])`) || row.querySelector(".project-manager-pick"))
+  if (btn) btn.focus()
+}
+
+/* ---------- Local working copy + export ---------- */
+function readLocalProjects() {
+  try {
+    const local = JSON.parse(localStorage.getItem(PROJECTS_LOCAL_KEY))
+    return local && Array.isArray(local.projects) ? local : null
+  } catch {
+    return null
+  }
+}
+
+function applyLocalProjects() {
+  const local = readLocalProjects()
+  if (!local) return
+  const { projects } = validateProjects(local.projects)
+  if (!projects.length) {
+    localStorage.removeItem(PROJECTS_LOCAL_KEY)
+    return
+  }
+  state.projects = projects
+  if (local.base !== projectsToJson(state.projectBase)) {
+    state.catalogIssues.push({
+      level: "warning",
+      where: "Local changes",
+      message: "projects.json has changed since these local edits were made — exporting will overwrite those changes.",
+    })
+  }
+}
+
+function saveLocalProjects() {
+  const base = projectsToJson(state.projectBase)
+  if (projectsToJson(state.projects) === base) {
+    localStorage.removeItem(PROJECTS_LOCAL_KEY)
+  } else {
+    // Keep the snapshot from when editing started, so a newer projects.json is still noticed
+    const previous = readLocalProjects()
+    localStorage.setItem(PROJECTS_LOCAL_KEY, JSON.stringify({ base: previous ? previous.base : base, projects: state.projects }))
+  }
+  refreshProjectCatalog()
+}
+
+function refreshProjectCatalog() {
+  const known = new Set(allProjectTags())
+  state.filters = { ...state.filters, tags: state.filters.tags.filter((t) => known.has(t)) }
+  renderFilterTags()
+  applyFilters()
+  renderProjectLocalChanges()
+  if (isProjectManagerOpen()) renderProjectManagerList()
+  loadRepoMeta()
+}
+
+function countProjectChanges(base, projects) {
+  const baseById = new Map(base.map((p) => [p.id, JSON.stringify(orderProjectFields(p))]))
+  const ids = new Set(projects.map((p) => p.id))
+  const changed =
+    projects.filter((p) => baseById.get(p.id) !== JSON.stringify(orderProjectFields(p))).length +
+    base.filter((p) => !ids.has(p.id)).length
+  // Nothing added, edited or removed but the file still differs: the order changed
+  return changed || (projectsToJson(base) !== projectsToJson(projects) ? 1 : 0)
+}
+
+function renderProjectLocalChanges() {
+  const el = document.getElementById("project-local-changes")
+  const resetBtn = document.getElementById("discard-local-projects")
+  const n = readLocalProjects() ? countProjectChanges(state.projectBase, state.projects) : 0
+  if (el) el.textContent = n ? `${n} local change${n === 1 ? "" : "s"} not in projects.json yet` : "In sync with projects.json"
+  if (resetBtn) resetBtn.hidden = !n
+}
+
+// Known fields first in a fixed order; anything else is kept after them
+function orderProjectFields(project) {
+  const out = {}
+  PROJECT_EXPORT_FIELDS.forEach((f) => {
+    if (project[f] !== undefined) out[f] = project[f]
+  })
+  Object.keys(project).forEach((f) => {
+    if (!(f in out)) out[f] = project[f]
+  })
+  return out
+}
+
+function projectsToJson(projects) {
+  return JSON.stringify(projects.map(orderProjectFields), null, 2) + "\n"
+}
+
+function exportProjects() {
+  if (!isAdmin()) return
+  const { projects, issues } = validateProjects(JSON.parse(projectsToJson(state.projects)))
+  if (!projects.length || issues.some((i) => i.level === "error")) {
+    renderAdminWarning("catalog-warnings", "Export blocked — these projects would be rejected by the site:", issues)
+    return
+  }
+  downloadFile("projects.json", projectsToJson(projects), "application/json")
+}
+
+function discardLocalProjectChanges() {
+  if (!isAdmin()) return
+  if (!confirm("Discard all local project changes and go back to projects.json?")) return
+  closeProjectManager({ force: true })
+  localStorage.removeItem(PROJECTS_LOCAL_KEY)
+  state.projects = state.projectBase
+  state.catalogIssues = state.catalogIssues.filter((i) => i.where !== "Local changes")
+  refreshProjectCatalog()
+  renderCatalogWarnings()
+}
+
+/* ===========================
+   Skills
+   - Loaded from skills.json (validated by lib/catalog.js) and drawn as
+     category-grouped cards, a bar chart or a radar chart (inline SVG)
+   - Selecting a skill filters the project grid to its linked project ids
+   - Problems found in skills.json are listed to the admin, like the catalog's
+   =========================== */
+const SKILL_VIEWS = ["cards", "bars", "radar"]
+const { SKILL_SORTS, skillLevel, groupSkills } = Templates
+
+function renderSkillWarnings() {
+  const errors = state.skillIssues.filter((i) => i.level === "error").length
+  renderAdminWarning("skills-warnings", `skills.json has ${errors} problem(s).`, state.skillIssues)
+}
+
+async function initSkills() {
+  const container = document.getElementById("skills-view")
+  if (!container) return
+
+  document.querySelectorAll("[data-skill-view]").forEach((btn) => {
+    btn.addEventListener("click", () => setSkillView({ view: btn.dataset.skillView }))
+  })
+  const sortSelect = document.getElementById("skill-sort")
+  if (sortSelect) {
+    sortSelect.value = state.skillSort
+    sortSelect.addEventListener("change", () => setSkillView({ sort: sortSelect.value }))
+  }
+  const btn = document.getElementById("toggle-skill-view")
+  if (btn) btn.addEventListener("click", toggleSkillView)
+
+  // Cards, bars and radar points are all re-rendered, so delegate
+  container.addEventListener("click", (e) => {
+    const item = e.target.closest("[data-skill-id]")
+    if (item) selectSkill(item.dataset.skillId)
+  })
+  container.addEventListener("keydown", (e) => {
+    const item = e.target.closest("[data-skill-id]")
+    if (!item || item !== e.target) return
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault()
+      selectSkill(item.dataset.skillId)
+    }
+  })
+
+  state.skillIssues = []
+  try {
+    const res = await fetch("skills.json")
+    if (!res.ok) throw new Error(`server responded with HTTP ${res.status}`)
+    const result = validateSkills(await res.json())
+    state.skillIssues.push(...result.issues)
+    state.skills = result.skills
+  } catch (err) {
+    state.skillIssues.push({ level: "error", where: "skills.json", message: `Could not load skills: ${err.message}.` })
+    renderSkillWarnings()
+    container.innerHTML = `<p class="muted">${escapeHtml(t("skills.loadError"))}</p>`
+    return
+  }
+  state.skillsLoaded = true
+  renderSkillWarnings()
+  renderSkills()
+
+  // A ?skill= filter read before the skills arrived can only be checked now
+  if (state.projectsLoaded && state.filters.skill) {
+    if (!findSkill(state.filters.skill)) state.filters.skill = null
+    applyFilters()
+  }
+}
+
+function findSkill(id) {
+  return state.skills.find((s) => s.id === id) || null
+}
+
+function setSkillView({ view = state.skillView, sort = state.skillSort }) {
+  state.skillView = SKILL_VIEWS.includes(view) ? view : "cards"
+  state.skillSort = SKILL_SORTS[sort] ? sort : "level"
+  renderSkills()
+}
+
+function toggleSkillView() {
+  state.skillViewMode = state.skillViewMode === "percent" ? "level" : "percent"
+  renderSkills()
+}
+
+function renderSkills() {
+  const container = document.getElementById("skills-view")
+  if (!container || !state.skillsLoaded) return
+
+  document.querySelectorAll("[data-skill-view]").forEach((btn) => {
+    const active = btn.dataset.skillView === state.skillView
+    btn.classList.toggle("active", active)
+    btn.setAttribute("aria-pressed", active)
+  })
+  const toggle = document.getElementById("toggle-skill-view")
+  if (toggle) {
+    toggle.hidden = state.skillView !== "cards"
+    toggle.setAttribute("aria-pressed", state.skillViewMode === "level")
+    toggle.textContent = state.skillViewMode === "level" ? t("skills.showPercent") : t("skills.showLevels")
+  }
+
+  if (!state.skills.length) {
+    container.innerHTML = `<p class="muted">${escapeHtml(t("skills.none"))}</p>`
+    return
+  }
+
+  const groups = groupSkills(state.skills, state.skillSort)
+  if (state.skillView === "cards") {
+    const key = groups.flatMap((g) => g.skills.map((s) => s.id)).join(",")
+    hydrateOrRender(container, key, Templates.skillGroups(groups, { valueMode: state.skillViewMode, i18n: state.i18n }))
+    syncSkillSelection()
+    if (state.skillBarsShown) animateSkillBars()
+    return
+  }
+
+  // Charts keep categories together so related skills sit side by side
+  const ordered = groups.flatMap((g) => g.skills)
+  if (state.skillView === "radar" && ordered.length >= 3) {
+    container.innerHTML = skillRadarSvg(ordered)
+  } else {
+    container.innerHTML =
+      (state.skillView === "radar" ? `<p class="muted">${escapeHtml(t("skills.radarMin"))}</p>` : "") +
+      skillBarChartSvg(groups)
+  }
+  syncSkillSelection()
+}
+
+// Highlights the skill currently filtering the project grid
+function syncSkillSelection() {
+  document.querySelectorAll("#skills-view [data-skill-id]").forEach((el) => {
+    const active = el.dataset.skillId === state.filters.skill
+    el.classList.toggle("active", active)
+    el.setAttribute("aria-pressed", active)
+  })
+}
+
+function selectSkill(id) {
+  const skill = findSkill(id)
+  if (!skill) return
+  if (state.filters.skill === id) {
+    setProjectFilters({ skill: null })
+    return
+  }
+  const input = document.getElementById("search-projects")
+  if (input) input.value = ""
+  setProjectFilters({ skill: id, tags: [], query: "" })
+  const projects = document.getElementById("projects")
+  if (projects) projects.scrollIntoView({ behavior: "smooth", block: "start" })
+}
+
+function skillPercent(skill) {
+  return state.i18n.number(skill.level / 100, { style: "percent" })
+}
+
+function skillChartLabel(skill) {
+  const linked = skill.projects.length
+  return `${skill.name}: ${skillPercent(skill)} (${skillLevel(skill.level, state.i18n)})${
+    skill.years ? `, ${t("skills.years", { count: skill.years })}` : ""
+  } — ${linked ? t("skills.showProjects", { count: linked, name: skill.name }) : t("skills.noProjects")}`
+}
+
+function skillChartGradient() {
+  return `<defs><linearGradient id="skill-chart-fill" x1="0" x2="1"><stop offset="0" stop-color="rgba(79,70,229,0.9)"/><stop offset="1" stop-color="rgba(6,182,212,0.9)"/></linearGradient></defs>`
+}
+
+// Horizontal bars, one row per skill, with a heading row per category
+function skillBarChartSvg(groups) {
+  const rowH = 30
+  const labelW = 140
+  const barW = 260
+  const width = labelW + barW + 60
+  let y = 0
+  const rows = []
+  groups.forEach((g) => {
+    rows.push(`<text class="skill-chart-category" x="0" y="${y + 20}">${escapeHtml(g.category)}</text>`)
+    y += rowH
+    g.skills.forEach((s) => {
+      const w = Math.round((barW * s.level) / 100)
+      rows.push(`
+        <g class="skill-chart-item" data-skill-id="${escapeHtml(s.id)}" tabindex="0" role="button" aria-pressed="false" aria-label="${escapeHtml(skillChartLabel(s))}">
+          <title>${escapeHtml(skillChartLabel(s))}</title>
+          <text class="skill-chart-label" x="12" y="${y + 19}">${escapeHtml(s.name)}</text>
+          <rect class="skill-chart-track" x="${labelW}" y="${y + 7}" width="${barW}" height="16" rx="8"/>
+          <rect class="skill-chart-bar" x="${labelW}" y="${y + 7}" width="${w}" height="16" rx="8" fill="url(#skill-chart-fill)"/>
+          <text class="skill-chart-value" x="${labelW + barW + 10}" y="${y + 19}">${skillPercent(s)}</text>
+        </g>`)
+      y += rowH
+    })
+  })
+  return `<svg class="skill-chart skill-bars" viewBox="0 0 ${width} ${y}" width="100%" role="group" aria-label="${escapeHtml(t("skills.barChart"))}">${skillChartGradient()}${rows.join("")}</svg>`
+}
+
+// One axis per skill; rings mark 25/50/75/100%
+function skillRadarSvg(skills) {
+  const size = 420
+  const c = size / 2
+  const r = 130
+  const n = skills.length
+  const point = (i, value) => {
+    const angle = -Math.PI / 2 + (2 * Math.PI * i) / n
+    return [c + Math.cos(angle) * r * value, c + Math.sin(angle) * r * value]
+  }
+  const fmt = ([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`
+
+  const rings = [0.25, 0.5, 0.75, 1]
+    .map((f) => `<polygon class="skill-radar-ring" points="${skills.map((s, i) => fmt(point(i, f))).join(" ")}"/>`)
+    .join("")
+  const axes = skills
+    .map((s, i) => {
+      const [x, y] = point(i, 1)
+      const [lx, ly] = point(i, 1.16)
+      const anchor = Math.abs(lx - c) < 1 ? "middle" : lx > c ? "start" : "end"
+      return `<line class="skill-radar-axis" x1="${c}" y1="${c}" x2="${x.toFixed(1)}" y2="${y.toFixed(1)}"/>
+        <text class="skill-chart-label" x="${lx.toFixed(1)}" y="${(ly + 4).toFixed(1)}" text-anchor="${anchor}">${escapeHtml(s.name)}</text>`
+    })
+    .join("")
+  const area = `<polygon class="skill-radar-area" points="${skills.map((s, i) => fmt(point(i, s.level / 100))).join(" ")}" fill="url(#skill-chart-fill)"/>`
+  const dots = skills
+    .map((s, i) => {
+      const [x, y] = point(i, s.level / 100)
+      return `<g class="skill-chart-item" data-skill-id="${escapeHtml(s.id)}" tabindex="0" role="button" aria-pressed="false" aria-label="${escapeHtml(skillChartLabel(s))}">
+          <title>${escapeHtml(skillChartLabel(s))}</title>
+          <circle class="skill-radar-point" cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="7"/>
+        </g>`
+    })
+    .join("")
+  return `<svg class="skill-chart skill-radar" viewBox="-80 0 ${size + 160} ${size}" width="100%" role="group" aria-label="${escapeHtml(t("skills.radarChart"))}">${skillChartGradient()}${rings}${axes}${area}${dots}</svg>`
+}
+
+function animateSkillBars() {
+  state.skillBarsShown = true
+  document.querySelectorAll(".skill-progress").forEach((bar, i) => {
+    const target = bar.dataset.targetWidth || "0%"
+    setTimeout(() => (bar.style.width = target), i * 80)
+  })
+}
+
+/* ===========================
+   OffTopic Blog Section
+   - Only admin can create/edit/delete blogs
+   - Posts are "draft" or "published"; visitors only ever see published ones
+   - List view: tag chips, category/month archive sidebar, sort and pagination
+   - Visitors can view titles, click to read full blog, and like
+   =========================== */
+async function initBlogs() {
+  initBlogListControls()
+  initBlogEditor()
+  initBlogPreview()
+  initBlogExport()
+  initCommentQueue()
+
+  state.blogIssues = []
+  let base
+  try {
+    const res = await fetch("blogs.json")
+    if (!res.ok) throw new Error(`server responded with HTTP ${res.status}`)
+    const result = validateBlogs(await res.json())
+    base = result.blogs
+    state.blogIssues.push(...result.issues)
+  } catch (err) {
+    state.blogIssues.push({
+      level: "error",
+      where: "blogs.json",
+      message: `Could not load posts: ${err.message}. Showing the built-in posts instead.`,
+    })
+    base = seedBlogs().map(normalizeBlog)
+  }
+
+  state.blogBase = base
+  migrateLegacyBlogs(base)
+  state.blogs = mergeBlogOverlay(base, readBlogOverlay())
+  state.blogsLoaded = true
+
+  renderBlogs()
+  updateAdminUI()
+  if (state.route && state.route.name === "blog") handleRoute()
+  loadBlogStats()
+}
+
+function isPublished(blog) {
+  return blog.status !== "draft"
+}
+
+// Drafts are listed for the admin (marked as such) and hidden from everyone else
+function visibleBlogs() {
+  return isAdmin() ? state.blogs : state.blogs.filter(isPublished)
+}
+
+function initBlogPreview() {
+  const contentInput = document.getElementById("blog-content")
+  if (!contentInput) return
+  contentInput.addEventListener("input", debounce(renderBlogPreview, 120))
+  renderBlogPreview()
+}
+
+function renderBlogPreview() {
+  const contentInput = document.getElementById("blog-content")
+  const preview = document.getElementById("blog-preview")
+  if (!contentInput || !preview) return
+  const md = contentInput.value.trim()
+  preview.innerHTML = md
+    ? Markdown.render(md, { headingOffset: 2 })
+    : '<p class="muted">Live preview — Markdown, links, images and ```fenced code``` are supported.</p>'
+}
+
+function seedBlogs() {
+  // Fixed ids/dates so #/blog/:id links to the seed posts stay valid for every visitor
+  return [
+    {
+      id: 1,
+      title: "Why I Love CSS Grid",
+      content:
+        "Just learned CSS Grid and it's absolutely life-changing! The ability to create complex layouts with just a few lines of code is incredible. I spent years fighting with floats and flexbox for 2D layouts, but Grid makes it so intuitive.\n\nThe grid-template-areas property is particularly amazing - you can literally draw your layout in ASCII art and CSS will make it happen. If you haven't tried it yet, I highly recommend diving in!",
+      date: "2026-01-05T09:00:00.000Z",
+      category: "Learning",
+      tags: ["css", "layout"],
+      likes: 5,
+    },
+    {
+      id: 2,
+      title: "The Art of Debugging",
+      content:
+        "Here's something I wish I learned earlier: sometimes the best debugging technique is to step away from the computer.\n\nI was stuck on a bug for 3 hours yesterday. Went for a walk, came back, and solved it in 5 minutes. Your brain continues processing problems in the background, even when you're not actively thinking about them.\n\nSo next time you're stuck, give yourself permission to take a break. It's not procrastination - it's debugging.",
+      date: "2026-01-06T09:00:00.000Z",
+      category: "Dev Life",
+      tags: ["debugging", "productivity"],
+      likes: 12,
+    },
+  ]
+}
+
+/* ---------- Sources: blogs.json + local overlay ----------
+   blogs.json is the committed, public set of posts. The admin's local
+   creations, edits and deletions are kept in an overlay on top of it until
+   they are exported and committed. A post's "likes" is the committed starting
+   count; live likes and views come from the stats adapter (see below). */
+const BLOG_OVERLAY_KEY = "portfolio-blog-overlay"
+const BLOG_LIKES_KEY = "portfolio-blog-likes"
+const LEGACY_BLOGS_KEY = "portfolio-blogs"
+const BLOG_CONTENT_FIELDS = ["title", "date", "category", "tags", "cover", "status", "content"]
+const BLOG_EXPORT_FIELDS = ["id", "title", "date", "updated", "category", "tags", "cover", "status", "content", "likes"]
+
+function renderBlogSourceWarnings() {
+  const errors = state.blogIssues.filter((i) => i.level === "error").length
+  renderAdminWarning("blog-source-warnings", `blogs.json has ${errors} problem(s).`, state.blogIssues)
+}
+
+function readBlogOverlay() {
+  try {
+    const overlay = JSON.parse(localStorage.getItem(BLOG_OVERLAY_KEY)) || {}
+    return {
+      posts: Array.isArray(overlay.posts) ? overlay.posts : [],
+      deleted: Array.isArray(overlay.deleted) ? overlay.deleted : [],
+    }
+  } catch {
+    return { posts: [], deleted: [] }
+  }
+}
+
+function mergeBlogOverlay(base, overlay) {
+  const byId = new Map(base.map((b) => [b.id, { ...b }]))
+  overlay.posts.forEach((post) => {
+    const committed = byId.get(post.id)
+    // A newer committed version beats a stale local edit
+    if (committed && committed.updated && (!post.updated || committed.updated > post.updated)) return
+    byId.set(post.id, normalizeBlog(post))
+  })
+  overlay.deleted.forEach((id) => byId.delete(id))
+  return [...byId.values()]
+}
+
+function sameBlogContent(a, b) {
+  return BLOG_CONTENT_FIELDS.every((f) => JSON.stringify(a[f] ?? null) === JSON.stringify(b[f] ?? null))
+}
+
+function diffBlogOverlay(base, blogs) {
+  const baseById = new Map(base.map((b) => [b.id, b]))
+  const ids = new Set(blogs.map((b) => b.id))
+  return {
+    posts: blogs.filter((b) => !baseById.has(b.id) || !sameBlogContent(baseById.get(b.id), b)),
+    deleted: base.filter((b) => !ids.has(b.id)).map((b) => b.id),
+  }
+}
+
+// Before blogs.json, the whole post list lived in localStorage. Keep the
+// admin's own posts (anything not matching a committed title) and likes.
+function migrateLegacyBlogs(base) {
+  const raw = localStorage.getItem(LEGACY_BLOGS_KEY)
+  if (!raw) return
+  try {
+    const legacy = JSON.parse(raw)
+    if (Array.isArray(legacy)) {
+      const overlay = readBlogOverlay()
+      const liked = new Set(JSON.parse(localStorage.getItem(BLOG_LIKES_KEY)) || [])
+      legacy.forEach((post) => {
+        const committed = base.find((b) => b.title === post.title)
+        if (committed) {
+          if (post.liked) liked.add(committed.id)
+        } else if (post && post.id && !overlay.posts.some((p) => p.id === post.id)) {
+          // Legacy counts included this browser's own like
+          const { liked: ownLike, ...rest } = normalizeBlog(post)
+          overlay.posts.push({ ...rest, likes: Math.max(0, (rest.likes || 0) - (ownLike ? 1 : 0)) })
+          if (post.liked) liked.add(post.id)
+        }
+      })
+      localStorage.setItem(BLOG_OVERLAY_KEY, JSON.stringify(overlay))
+      localStorage.setItem(BLOG_LIKES_KEY, JSON.stringify([...liked]))
+    }
+  } catch {}
+  localStorage.removeItem(LEGACY_BLOGS_KEY)
+}
+
+function saveBlogs() {
+  localStorage.setItem(BLOG_OVERLAY_KEY, JSON.stringify(diffBlogOverlay(state.blogBase, state.blogs)))
+  renderBlogLocalChanges()
+}
+
+/* ---------- Stats: likes + views ----------
+   Likes and view counts go through a storage adapter, so they can live on a
+   server shared by every visitor instead of in each browser. Adapters:
+     load(blogs)          -> { [id]: { likes, views, liked } }
+     setLike(blog, liked) -> { likes, liked }   (counts after the change)
+     recordView(blog)     -> { views }
+   All methods return promises and reject on failure.
+   Until BLOG_STATS_ENDPOINT is set the counts are local to each browser, and
+   the admin toolbar says so. */
+const BLOG_VIEWS_KEY = "portfolio-blog-views"
+const BLOG_VIEWED_KEY = "portfolio-blog-viewed" // sessionStorage: one view per post per visit
+const VISITOR_ID_KEY = "portfolio-visitor-id"
+const blogStatsAdapter = BLOG_STATS_ENDPOINT ? createRestStatsAdapter(BLOG_STATS_ENDPOINT) : createLocalStatsAdapter()
+const pendingLikes = new Set()
+
+// Likes stay in this browser: the committed count plus this visitor's own like
+function createLocalStatsAdapter() {
+  const readJson = (key, fallback) => {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || fallback
+    } catch {
+      return fallback
+    }
+  }
+  return {
+    name: "local",
+    async load(blogs) {
+      const liked = new Set(readJson(BLOG_LIKES_KEY, []))
+      const views = readJson(BLOG_VIEWS_KEY, {})
+      const stats = {}
+      blogs.forEach((b) => {
+        stats[b.id] = { likes: (b.likes || 0) + (liked.has(b.id) ? 1 : 0), views: views[b.id] || 0, liked: liked.has(b.id) }
+      })
+      return stats
+    },
+    async setLike(blog, liked) {
+      const ids = new Set(readJson(BLOG_LIKES_KEY, []))
+      if (liked) ids.add(blog.id)
+      else ids.delete(blog.id)
+      localStorage.setItem(BLOG_LIKES_KEY, JSON.stringify([...ids]))
+      return { liked, likes: (blog.likes || 0) + (liked ? 1 : 0) }
+    },
+    async recordView(blog) {
+      const views = readJson(BLOG_VIEWS_KEY, {})
+      views[blog.id] = (views[blog.id] || 0) + 1
+      localStorage.setItem(BLOG_VIEWS_KEY, JSON.stringify(views))
+      return { views: views[blog.id] }
+    },
+  }
+}
+
+// The server tells visitors apart by an anonymous id kept in localStorage
+function createRestStatsAdapter(endpoint) {
+  const base = endpoint.replace(/\/+$/, "")
+  const request = (path, method) => fetchJson(`${base}${path}`, { method })
+  return {
+    name: "rest",
+    load: (blogs) => request(`/stats?ids=${blogs.map((b) => b.id).join(",")}`),
+    setLike: (blog, liked) => request(`/posts/${blog.id}/like`, liked ? "PUT" : "DELETE"),
+    recordView: (blog) => request(`/posts/${blog.id}/views`, "POST"),
+  }
+}
+
+function visitorId() {
+  let id = localStorage.getItem(VISITOR_ID_KEY)
+  if (!id) {
+    id = crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+    localStorage.setItem(VISITOR_ID_KEY, id)
+  }
+  return id
+}
+
+// Falls back to the committed count until the adapter has answered
+function blogStats(blog) {
+  const stats = state.blogStats[blog.id]
+  return stats ? { ...stats } : { likes: blog.likes || 0, views: 0, liked: false }
+}
+
+function setBlogStats(id, changes) {
+  const blog = state.blogs.find((b) => b.id === id)
   if (!blog) return
+  state.blogStats[id] = { ...blogStats(blog), ...changes }
+  renderBlogStats(id)
+}
+
+async function loadBlogStats() {
+  try {
+    const stats = await blogStatsAdapter.load(state.blogs)
+    Object.entries(stats || {}).forEach(([id, s]) => {
+      if (!s || typeof s !== "object") return
+      state.blogStats[id] = {
+        likes: Number.isInteger(s.likes) && s.likes >= 0 ? s.likes : 0,
+        views: Number.isInteger(s.views) && s.views >= 0 ? s.views : 0,
+        liked: s.liked === true,
+      }
+    })
+  } catch (err) {
+    console.warn("Could not load likes and views:", err)
+    return
+  }
+  renderBlogs()
+  if (state.currentBlogId !== null) renderBlogStats(state.currentBlogId)
+}
+
+async function recordBlogView(blog) {
+  if (isAdmin()) return
+  let viewed = []
+  try {
+    viewed = JSON.parse(sessionStorage.getItem(BLOG_VIEWED_KEY)) || []
+  } catch {}
+  if (viewed.includes(blog.id)) return
+  sessionStorage.setItem(BLOG_VIEWED_KEY, JSON.stringify([...viewed, blog.id]))
+
+  const before = blogStats(blog).views
+  setBlogStats(blog.id, { views: before + 1 })
+  try {
+    const result = await blogStatsAdapter.recordView(blog)
+    if (Number.isInteger(result.views)) setBlogStats(blog.id, { views: result.views })
+  } catch (err) {
+    console.warn("Could not record view:", err)
+    setBlogStats(blog.id, { views: before })
+    sessionStorage.setItem(BLOG_VIEWED_KEY, JSON.stringify(viewed))
+  }
+}
+
+// Updates the open modal in place; the list is re-rendered since "likes" sorting may reorder it
+function renderBlogStats(id) {
+  renderBlogs()
+  if (state.currentBlogId !== id) return
+  const blog = state.blogs.find((b) => b.id === id)
+  const body = document.getElementById("blog-modal-body")
+  if (!blog || !body) return
+  const stats = blogStats(blog)
+  const likeBtn = body.querySelector(".blog-modal-like button")
+  if (likeBtn) {
+    likeBtn.className = stats.liked ? "liked" : ""
+    likeBtn.setAttribute("aria-pressed", stats.liked)
+    likeBtn.innerHTML = `<i class="fas fa-heart"></i> ${blogLikeLabel(stats)}`
+  }
+  const likes = body.querySelector(".blog-modal-likes")
+  if (likes) likes.innerHTML = `<i class="fas fa-heart"></i> ${escapeHtml(t("blog.likes", { count: stats.likes }))}`
+  const views = body.querySelector(".blog-modal-views")
+  if (views) views.innerHTML = `<i class="fas fa-eye"></i> ${escapeHtml(t("blog.views", { count: stats.views }))}`
+}
+
+function blogLikeLabel(stats) {
+  return escapeHtml(t(stats.liked ? "blog.likedCount" : "blog.likeCount", { count: stats.likes }))
+}
+
+function showBlogStatsError(id, message) {
+  const el = state.currentBlogId === id ? document.querySelector("#blog-modal-body .blog-stats-error") : null
+  if (el) {
+    el.textContent = message
+    setTimeout(() => {
+      if (el.textContent === message) el.textContent = ""
+    }, 4000)
+  } else {
+    const card = document.querySelector(`.blog-card[data-blog-id="${id}"] .blog-card-actions button`)
+    if (card) {
+      card.classList.add("like-failed")
+      card.title = message
+      setTimeout(() => card.classList.remove("like-failed"), 1200)
+    }
+  }
+}
+
+/* ---------- Export (admin) ---------- */
+function initBlogExport() {
+  const exportBtn = document.getElementById("export-blogs")
+  if (exportBtn) exportBtn.addEventListener("click", exportBlogs)
+  const feedsBtn = document.getElementById("export-feeds")
+  if (feedsBtn) feedsBtn.addEventListener("click", exportFeeds)
+  const resetBtn = document.getElementById("discard-local-blogs")
+  if (resetBtn) resetBtn.addEventListener("click", discardLocalBlogChanges)
+  const statsNote = document.getElementById("blog-stats-local")
+  if (statsNote) statsNote.hidden = blogStatsAdapter.name !== "local"
+}
+
+function renderBlogLocalChanges() {
+  const el = document.getElementById("blog-local-changes")
+  const resetBtn = document.getElementById("discard-local-blogs")
+  const { posts, deleted } = diffBlogOverlay(state.blogBase, state.blogs)
+  const n = posts.length + deleted.length
+  if (el) el.textContent = n ? `${n} local change${n === 1 ? "" : "s"} not in blogs.json yet` : "In sync with blogs.json"
+  if (resetBtn) resetBtn.hidden = !n
+}
+
+// Same shape and field order as blogs.json, so the download can be committed as-is
+function blogsToJson(blogs) {
+  const data = [...blogs]
+    .sort((a, b) => new Date(a.date) - new Date(b.date) || a.id - b.id)
+    .map((b) => {
+      const out = {}
+      BLOG_EXPORT_FIELDS.forEach((f) => {
+        if (b[f] !== undefined) out[f] = b[f]
+      })
+      return out
+    })
+  return JSON.stringify(data, null, 2) + "\n"
+}
+
+function exportBlogs() {
+  if (!isAdmin()) return
+  downloadFile("blogs.json", blogsToJson(state.blogs), "application/json")
+}
+
+// Feeds use the posts as this browser sees them (local edits included), like exportBlogs()
+async function exportFeeds() {
+  if (!isAdmin()) return
+  const site = await loadSiteInfo()
+  Object.entries(Feeds.all(state.blogs, site)).forEach(([name, text]) => {
+    downloadFile(name, text, name.endsWith(".json") ? "application/feed+json" : "application/xml")
+  })
+}
+
+// site.json holds the public URL and titles; fall back to the current page if it's missing
+async function loadSiteInfo() {
+  const fallback = { url: new URL(".", window.location.href).href, title: document.title, language: "en" }
+  try {
+    const res = await fetch("site.json")
+    if (!res.ok) throw new Error(`HTTP ${res.status}`)
+    return { ...fallback, ...(await res.json()) }
+  } catch (err) {
+    console.warn("Could not load site.json, using the current URL for permalinks:", err)
+    return fallback
+  }
+}
+
+function discardLocalBlogChanges() {
+  if (!isAdmin()) return
+  if (!confirm("Discard all local post changes and go back to blogs.json?")) return
+  localStorage.removeItem(BLOG_OVERLAY_KEY)
+  localStorage.removeItem(BLOG_AUTOSAVE_KEY)
+  state.blogs = mergeBlogOverlay(state.blogBase, { posts: [], deleted: [] })
+  renderBlogs()
+  renderBlogLocalChanges()
+}
+
+/* ---------- List view: filtering, sorting, paging ---------- */
+const BLOG_PAGE_SIZE = 5
+const BLOG_SORTS = {
+  newest: (a, b) => new Date(b.date) - new Date(a.date),
+  oldest: (a, b) => new Date(a.date) - new Date(b.date),
+  likes: (a, b) => blogStats(b).likes - blogStats(a).likes || new Date(b.date) - new Date(a.date),
+}
+
+function initBlogListControls() {
+  const sortSelect = document.getElementById("blog-sort")
+  if (sortSelect) {
+    sortSelect.value = state.blogView.sort
+    sortSelect.addEventListener("change", () => setBlogView({ sort: sortSelect.value }))
+  }
+
+  const container = document.getElementById("blogs-container")
+  if (container) {
+    container.addEventListener("click", (e) => {
+      const like = e.target.closest("[data-like]")
+      if (like) {
+        likeBlog(Number(like.dataset.like)) // not a click on the card itself
+        return
+      }
+      const card = e.target.closest(".blog-card")
+      if (!card || e.target.closest("[data-blog-filter]")) return // tag chips filter instead
+      navigate(`/blog/${card.dataset.blogId}`)
+    })
+    container.addEventListener("keydown", (e) => {
+      if (!e.target.matches(".blog-card")) return
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault()
+        navigate(`/blog/${e.target.dataset.blogId}`)
+      }
+    })
+  }
+
+  // Chips, archive links and pager are re-rendered often, so delegate
+  const section = document.getElementById("offtopic")
+  if (!section) return
+  section.addEventListener("click", (e) => {
+    const el = e.target.closest("[data-blog-filter]")
+    if (!el) return
+    e.preventDefault()
+    e.stopPropagation()
+    const { blogFilter: kind, value } = el.dataset
+    if (kind === "page") {
+      setBlogView({ page: Number(value) }, { keepPage: true })
+      section.scrollIntoView({ behavior: "smooth", block: "start" })
+    } else if (kind === "clear") {
+      setBlogView({ tag: null, category: null, month: null })
+    } else {
+      setBlogView({ [kind]: state.blogView[kind] === value ? null : value })
+    }
+  })
+}
+
+function setBlogView(changes, { keepPage = false } = {}) {
+  state.blogView = { ...state.blogView, ...changes }
+  if (!keepPage) state.blogView.page = 1
+  renderBlogs()
+}
+
+function blogMonthKey(blog) {
+  return (blog.date || "").slice(0, 7) // "YYYY-MM"
+}
+
+function formatMonthKey(key) {
+  const [y, m] = key.split("-").map(Number)
+  return state.i18n.date(Date.UTC(y, m - 1, 1), { month: "long", year: "numeric", timeZone: "UTC" })
+}
+
+function filteredBlogs() {
+  const { tag, category, month, sort } = state.blogView
+  return visibleBlogs()
+    .filter((b) => !tag || b.tags.includes(tag))
+    .filter((b) => !category || b.category === category)
+    .filter((b) => !month || blogMonthKey(b) === month)
+    .sort(BLOG_SORTS[sort] || BLOG_SORTS.newest)
+}
+
+function countBy(items, keyFn) {
+  const counts = new Map()
+  items.forEach((item) => [].concat(keyFn(item)).forEach((k) => counts.set(k, (counts.get(k) || 0) + 1)))
+  return counts
+}
+
+function renderBlogFilters() {
+  const blogs = visibleBlogs()
+  const { tag, category, month } = state.blogView
+
+  const tagBox = document.getElementById("blog-filter-tags")
+  if (tagBox) {
+    const tags = [...countBy(blogs, (b) => b.tags).keys()].sort((a, b) => a.localeCompare(b))
+    tagBox.innerHTML = tags
+      .map(
+        (t) =>
+          `<button type="button" role="listitem" class="filter-tag${t === tag ? " active" : ""}" aria-pressed="${t === tag}"
+             data-blog-filter="tag" data-value="${escapeHtml(t)}">#${escapeHtml(t)}</button>`,
+      )
+      .join("")
+  }
+
+  const catList = document.getElementById("blog-categories")
+  if (catList) {
+    const cats = [...countBy(blogs, (b) => b.category)].sort((a, b) => a[0].localeCompare(b[0]))
+    catList.innerHTML = cats
+      .map(
+        ([c, n]) =>
+          `<li><a href="#offtopic" class="${c === category ? "active" : ""}" data-blog-filter="category" data-value="${escapeHtml(c)}">
+             ${escapeHtml(c)} <span class="count">${state.i18n.number(n)}</span></a></li>`,
+      )
+      .join("")
+  }
+
+  const archive = document.getElementById("blog-archive")
+  if (archive) {
+    const months = [...countBy(blogs, blogMonthKey)].sort((a, b) => b[0].localeCompare(a[0]))
+    archive.innerHTML = months
+      .map(
+        ([m, n]) =>
+          `<li><a href="#offtopic" class="${m === month ? "active" : ""}" data-blog-filter="month" data-value="${m}">
+             ${escapeHtml(formatMonthKey(m))} <span class="count">${state.i18n.number(n)}</span></a></li>`,
+      )
+      .join("")
+  }
+
+  const summary = document.getElementById("blog-filter-summary")
+  if (summary) {
+    const active = [tag && `#${tag}`, category, month && formatMonthKey(month)].filter(Boolean)
+    summary.innerHTML = active.length
+      ? `${escapeHtml(t("blog.filteredBy"))} ${active.map((a) => `<strong>${escapeHtml(a)}</strong>`).join(" + ")}
+         <button type="button" class="btn-link" data-blog-filter="clear">${escapeHtml(t("common.clear"))}</button>`
+      : ""
+  }
+}
+
+function renderBlogPagination(totalPages) {
+  const nav = document.getElementById("blog-pagination")
+  if (!nav) return
+  const page = state.blogView.page
+  if (totalPages <= 1) {
+    nav.innerHTML = ""
+    return
+  }
+  const btn = (p, label, extra = "") =>
+    `<button type="button" class="page-btn${p === page ? " active" : ""}" data-blog-filter="page" data-value="${p}"
+       ${p === page ? 'aria-current="page"' : ""} ${extra}>${label}</button>`
+  const label = (key, params) => `aria-label="${escapeHtml(t(key, params))}"`
+  let html = page > 1 ? btn(page - 1, '<i class="fas fa-chevron-left"></i>', label("blog.previousPage")) : ""
+  for (let p = 1; p <= totalPages; p++) html += btn(p, state.i18n.number(p), label("blog.page", { page: p }))
+  if (page < totalPages) html += btn(page + 1, '<i class="fas fa-chevron-right"></i>', label("blog.nextPage"))
+  nav.innerHTML = html
+}
+
+function renderBlogs() {
+  const c = document.getElementById("blogs-container")
+  if (!c) return
+  renderBlogFilters()
+
+  if (!visibleBlogs().length) {
+    renderBlogPagination(0)
+    hydrateOrRender(
+      c,
+      "",
+      `
+      <div class="blogs-empty">
+        <i class="fas fa-feather-alt"></i>
+        <p>${escapeHtml(t("blog.empty"))}</p>
+      </div>
+    `,
+    )
+    return
+  }
+
+  const all = filteredBlogs()
+  const totalPages = Math.max(1, Math.ceil(all.length / BLOG_PAGE_SIZE))
+  state.blogView.page = Math.min(Math.max(1, state.blogView.page), totalPages)
+  const start = (state.blogView.page - 1) * BLOG_PAGE_SIZE
+  const sorted = all.slice(start, start + BLOG_PAGE_SIZE)
+  renderBlogPagination(totalPages)
+
+  if (!sorted.length) {
+    hydrateOrRender(c, "", `<p class="blogs-empty">${escapeHtml(t("blog.noMatches"))}</p>`)
+    return
+  }
+
+  const key = sorted.map((b) => b.id).join(",")
+  hydrateOrRender(c, key, sorted.map((blog) => Templates.blogCard(state.i18n.localize(blog), blogStats(blog), state.i18n)).join(""))
+}
+
+// Optimistic: the count changes at once and is rolled back if the adapter fails
+async function likeBlog(id) {
+  const blog = state.blogs.find((x) => x.id === id)
+  if (!blog || pendingLikes.has(id)) return
+  const before = blogStats(blog)
+  const liked = !before.liked
+  pendingLikes.add(id)
+  setBlogStats(id, { liked, likes: Math.max(0, before.likes + (liked ? 1 : -1)) })
+
+  try {
+    const result = await blogStatsAdapter.setLike(blog, liked)
+    if (Number.isInteger(result.likes)) setBlogStats(id, { liked, likes: result.likes })
+  } catch (err) {
+    console.warn("Could not save like:", err)
+    setBlogStats(id, { liked: before.liked, likes: before.likes })
+    showBlogStatsError(id, t("blog.likeError"))
+  } finally {
+    pendingLikes.delete(id)
+  }
+}
+
+function editBlog(id) {
+  if (!isAdmin()) return
+  const blog = state.blogs.find((x) => x.id === id)
+  if (!blog) return
+  if (state.currentBlogId === id) closeBlogModal()
+  openBlogEditor(id)
+}
+
+function deleteBlog(id) {
+  if (!isAdmin()) {
+    alert(t("blog.deleteDenied"))
+    return
+  }
+  if (confirm("Delete this blog post?")) {
+    state.blogs = state.blogs.filter((x) => x.id !== id)
+    saveBlogs()
+    renderBlogs()
+    if (state.currentBlogId === id) closeBlogModal()
+  }
+}
+
+/* ===========================
+   Blog Editor (admin)
+   - Modal wrapping the #admin-blog-panel form
+   - Form contents autosave to localStorage per post ("new" for unsaved posts)
+     and are offered back the next time that post is opened
+   - Closing with unsaved changes asks for confirmation inline
+   =========================== */
+const BLOG_AUTOSAVE_KEY = "portfolio-blog-autosave"
+const editor = {
+  blogId: null,
+  baseline: null,
+}
+
+function initBlogEditor() {
+  const modal = document.getElementById("blog-editor-modal")
+  const form = document.getElementById("admin-blog-panel")
+  if (!modal || !form) return
+
+  const newBtn = document.getElementById("new-blog")
+  if (newBtn) newBtn.addEventListener("click", () => openBlogEditor(null))
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault()
+    saveBlogFromEditor("published")
+  })
+  const draftBtn = document.getElementById("save-blog-draft")
+  if (draftBtn) draftBtn.addEventListener("click", () => saveBlogFromEditor("draft"))
+  const cancelBtn = document.getElementById("cancel-blog")
+  if (cancelBtn) cancelBtn.addEventListener("click", () => closeBlogEditor())
+  const closeBtn = modal.querySelector(".modal-close")
+  if (closeBtn) closeBtn.addEventListener("click", () => closeBlogEditor())
+
+  const keepBtn = document.getElementById("blog-editor-keep")
+  if (keepBtn) keepBtn.addEventListener("click", () => showEditorConfirm(false))
+  const discardBtn = document.getElementById("blog-editor-discard")
+  if (discardBtn) discardBtn.addEventListener("click", () => closeBlogEditor({ force: true, discard: true }))
+  const restoreDismiss = document.getElementById("blog-editor-drop-autosave")
+  if (restoreDismiss) restoreDismiss.addEventListener("click", dropEditorAutosave)
+
+  form.addEventListener("input", debounce(autosaveEditor, 400))
+  const coverInput = document.getElementById("blog-cover")
+  if (coverInput) coverInput.addEventListener("input", debounce(renderCoverPreview, 200))
+
+  window.addEventListener("beforeunload", (e) => {
+    if (isBlogEditorOpen() && isEditorDirty()) {
+      e.preventDefault()
+      e.returnValue = ""
+    }
+  })
+}
+
+function isBlogEditorOpen() {
+  const modal = document.getElementById("blog-editor-modal")
+  return !!modal && isDialogOpen(modal)
+}
+
+function openBlogEditor(id) {
+  if (!isAdmin()) return
+  const modal = document.getElementById("blog-editor-modal")
+  if (!modal) return
+  const blog = id === null ? null : state.blogs.find((x) => x.id === id)
+  if (id !== null && !blog) return
+
+  editor.blogId = blog ? blog.id : null
+  editor.baseline = blog
+    ? { title: blog.title, content: blog.content, tags: blog.tags.join(", "), category: blog.category, cover: blog.cover }
+    : { title: "", content: "", tags: "", category: "", cover: "" }
+  renderCategoryOptions()
+
+  const heading = document.getElementById("blog-editor-title")
+  if (heading) heading.textContent = blog ? "Edit post" : "New post"
+  const statusPill = document.getElementById("blog-editor-state")
+  if (statusPill) {
+    statusPill.textContent = !blog ? "Unsaved" : isPublished(blog) ? "Published" : "Draft"
+    statusPill.className = `status-pill ${!blog ? "" : isPublished(blog) ? "published" : "draft"}`
+  }
+  const publishBtn = document.getElementById("add-blog")
+  if (publishBtn) {
+    publishBtn.innerHTML =
+      blog && isPublished(blog) ? '<i class="fas fa-check"></i> Update' : '<i class="fas fa-paper-plane"></i> Publish'
+  }
+
+  const autosaved = readAutosaves()[autosaveKey()]
+  const restore = autosaved && !sameEditorFields(autosaved, editor.baseline)
+  fillEditorFields(restore ? autosaved : editor.baseline)
+  const notice = document.getElementById("blog-editor-notice")
+  if (notice) {
+    notice.hidden = !restore
+    const when = notice.querySelector("time")
+    if (restore && when) when.textContent = new Date(autosaved.savedAt).toLocaleString()
+  }
+  setEditorStatus("")
+  showEditorConfirm(false)
+
+  openDialog(modal, { initialFocus: document.getElementById("blog-title"), onDismiss: () => closeBlogEditor() })
+}
+
+// force skips the unsaved-changes check; discard also drops the autosaved copy
+function closeBlogEditor({ force = false, discard = false } = {}) {
+  const modal = document.getElementById("blog-editor-modal")
+  if (!modal || !isBlogEditorOpen()) return
+  if (!force && isEditorDirty()) {
+    showEditorConfirm(true)
+    return
+  }
+  if (discard) clearAutosave(autosaveKey())
+  closeDialog(modal)
+  editor.blogId = null
+  editor.baseline = null
+}
+
+function showEditorConfirm(show) {
+  const bar = document.getElementById("blog-editor-confirm")
+  if (!bar) return
+  bar.hidden = !show
+  if (show) {
+    const keep = document.getElementById("blog-editor-keep")
+    if (keep) keep.focus()
+  }
+}
+
+function readEditorFields() {
+  const val = (id) => {
+    const el = document.getElementById(id)
+    return el ? el.value : ""
+  }
+  return {
+    title: val("blog-title"),
+    content: val("blog-content"),
+    tags: val("blog-tags"),
+    category: val("blog-category"),
+    cover: val("blog-cover"),
+  }
+}
+
+function fillEditorFields(fields) {
+  const set = (id, v) => {
+    const el = document.getElementById(id)
+    if (el) el.value = v || ""
+  }
+  set("blog-title", fields.title)
+  set("blog-content", fields.content)
+  set("blog-tags", fields.tags)
+  set("blog-category", fields.category)
+  set("blog-cover", fields.cover)
+  renderBlogPreview()
+  renderCoverPreview()
+}
+
+function sameEditorFields(a, b) {
+  return ["title", "content", "tags", "category", "cover"].every((k) => (a[k] || "").trim() === (b[k] || "").trim())
+}
+
+function isEditorDirty() {
+  return !!editor.baseline && !sameEditorFields(readEditorFields(), editor.baseline)
+}
+
+function parseTagInput(value) {
+  return [...new Set(value.split(",").map((t) => t.trim()).filter(Boolean))]
+}
+
+function setEditorStatus(message, isError) {
+  const el = document.getElementById("blog-editor-status")
+  if (!el) return
+  el.textContent = message
+  el.classList.toggle("error", !!isError)
+}
+
+function renderCategoryOptions() {
+  const list = document.getElementById("blog-category-options")
+  if (!list) return
+  const cats = [...new Set(state.blogs.map((b) => b.category))].sort((a, b) => a.localeCompare(b))
+  list.innerHTML = cats.map((c) => `<option value="${escapeHtml(c)}"></option>`).join("")
+}
+
+function renderCoverPreview() {
+  const input = document.getElementById("blog-cover")
+  const img = document.getElementById("blog-cover-preview")
+  if (!input || !img) return
+  const url = input.value.trim()
+  const ok = url && isSafeUrl(url, true)
+  img.hidden = !ok
+  if (ok) img.src = url
+  else img.removeAttribute("src")
+}
+
+function saveBlogFromEditor(status) {
+  if (!isAdmin()) return
+  const fields = readEditorFields()
+  const title = fields.title.trim()
+  const content = fields.content.trim()
+  const cover = fields.cover.trim()
+
+  if (!title) {
+    setEditorStatus("Please add a title.", true)
+    document.getElementById("blog-title").focus()
+    return
+  }
+  if (status === "published" && !content) {
+    setEditorStatus("Write some content before publishing (or save it as a draft).", true)
+    document.getElementById("blog-content").focus()
+    return
+  }
+  if (cover && !isSafeUrl(cover, true)) {
+    setEditorStatus("Cover image must be an http(s) URL or a path inside the site.", true)
+    document.getElementById("blog-cover").focus()
+    return
+  }
+
+  const now = new Date().toISOString()
+  const existing = editor.blogId === null ? null : state.blogs.find((x) => x.id === editor.blogId)
+  const changes = {
+    title,
+    content,
+    tags: parseTagInput(fields.tags),
+    category: fields.category.trim() || "General",
+    cover,
+    status,
+    updated: now,
+  }
+  let saved
+  if (existing) {
+    // The public date is the first publish date, not the creation date of the draft
+    if (status === "published" && !isPublished(existing)) changes.date = now
+    Object.assign(existing, changes)
+    saved = existing
+  } else {
+    saved = { id: Date.now(), date: now, likes: 0, ...changes }
+    state.blogs.unshift(saved)
+  }
+  saveBlogs()
+  renderBlogs()
+  closeBlogEditor({ force: true, discard: true })
+  if (status === "published") navigate(`/blog/${saved.id}`)
+}
+
+/* ---------- Autosave ---------- */
+function autosaveKey() {
+  return editor.blogId === null ? "new" : String(editor.blogId)
+}
+
+function readAutosaves() {
+  try {
+    return JSON.parse(localStorage.getItem(BLOG_AUTOSAVE_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+function autosaveEditor() {
+  if (!isBlogEditorOpen()) return
+  const all = readAutosaves()
+  const key = autosaveKey()
+  if (isEditorDirty()) {
+    all[key] = { ...readEditorFields(), savedAt: new Date().toISOString() }
+    setEditorStatus(`Draft autosaved at ${new Date().toLocaleTimeString()}`)
+  } else {
+    delete all[key]
+  }
+  localStorage.setItem(BLOG_AUTOSAVE_KEY, JSON.stringify(all))
+}
+
+function clearAutosave(key) {
+  const all = readAutosaves()
+  if (!(key in all)) return
+  delete all[key]
+  localStorage.setItem(BLOG_AUTOSAVE_KEY, JSON.stringify(all))
+}
+
+function dropEditorAutosave() {
+  clearAutosave(autosaveKey())
+  fillEditorFields(editor.baseline)
+  const notice = document.getElementById("blog-editor-notice")
+  if (notice) notice.hidden = true
+}
+
+/* ===========================
+   Blog Modal
+   =========================== */
+function openBlogModal(id) {
+  const modal = document.getElementById("blog-modal")
+  const body = document.getElementById("blog-modal-body")
+  if (!modal || !body) return
+
+  const original = state.blogs.find((x) => x.id === id)
+  if (!original || (!isPublished(original) && !isAdmin())) return
+  const blog = state.i18n.localize(original)
+
+  state.currentBlogId = id
+
+  const formattedDate = state.i18n.date(blog.date, { year: "numeric", month: "long", day: "numeric" })
+  const stats = blogStats(blog)
+
+  // Post headings start below the modal's <h2> title
+  const contentHtml = Markdown.render(blog.content, { headingOffset: 2 })
+
+  const adminControls = isAdmin()
+    ? `
+    <div class="blog-modal-admin">
+      <button data-action="edit" data-blog-id="${blog.id}"><i class="fas fa-edit"></i> Edit</button>
+      <button class="delete" data-action="delete" data-blog-id="${blog.id}"><i class="fas fa-trash"></i> Delete</button>
+    </div>
+  `
+    : ""
+
+  body.innerHTML = `
+    <div class="blog-modal-header">
+      ${blog.cover ? `<img class="blog-modal-cover" src="${escapeHtml(blog.cover)}" alt="">` : ""}
+      ${isPublished(blog) ? "" : `<span class="draft-badge">${escapeHtml(t("blog.draftOnlyYou"))}</span>`}
+      <h2 id="blog-modal-title" class="blog-modal-title">${escapeHtml(blog.title)}</h2>
+      <div class="blog-modal-meta">
+        <span><i class="fas fa-calendar-alt"></i> ${escapeHtml(formattedDate)}</span>
+        <span class="blog-modal-likes"><i class="fas fa-heart"></i> ${escapeHtml(t("blog.likes", { count: stats.likes }))}</span>
+        <span class="blog-modal-views"><i class="fas fa-eye"></i> ${escapeHtml(t("blog.views", { count: stats.views }))}</span>
+      </div>
+    </div>
+    <div class="blog-modal-content markdown-body">
+      ${contentHtml}
+    </div>
+    <div class="blog-modal-footer">
+      <div class="blog-modal-like">
+        <button data-action="like" data-blog-id="${blog.id}" aria-pressed="${stats.liked}" class="${stats.liked ? "liked" : ""}">
+          <i class="fas fa-heart"></i> ${blogLikeLabel(stats)}
+        </button>
+        <span class="blog-stats-error" role="status" aria-live="polite"></span>
+      </div>
+      ${adminControls}
+    </div>
+    ${isPublished(blog) ? commentsSectionHtml() : ""}
+  `
+
+  body.addEventListener("click", handleBlogModalClick)
+  body.addEventListener("submit", handleCommentSubmit)
+
+  setTimeout(() => modal.setAttribute("open", ""), 20)
+  openDialog(modal, { initialFocus: modal.querySelector(".modal-close"), onDismiss: () => closeBlogModal() })
+  if (isPublished(blog)) {
+    recordBlogView(blog)
+    loadComments(blog.id)
+  }
+}
+
+function handleBlogModalClick(e) {
+  const button = e.target.closest("button[data-action]")
+  if (!button) return
+
+  const action = button.dataset.action
+  if (button.dataset.commentId !== undefined || action === "cancel-reply") {
+    handleCommentAction(action, Number(button.dataset.commentId))
+    return
+  }
+  const blogId = Number.parseInt(button.dataset.blogId, 10)
+
+  if (action === "like") {
+    likeBlog(blogId)
+  } else if (action === "edit") {
+    editBlog(blogId)
+  } else if (action === "delete") {
+    deleteBlog(blogId)
+  }
+}
+
+function closeBlogModal({ updateRoute = true } = {}) {
+  const modal = document.getElementById("blog-modal")
+  if (!modal) return
+
+  const body = document.getElementById("blog-modal-body")
+  if (body) {
+    body.removeEventListener("click", handleBlogModalClick)
+    body.removeEventListener("submit", handleCommentSubmit)
+  }
+
+  state.currentBlogId = null
+  commentThread.postId = null
+  commentThread.comments = []
+  commentThread.replyTo = null
+  modal.removeAttribute("open")
+  closeDialog(modal)
+  if (updateRoute) leaveModalRoute("offtopic")
+}
+
+/* ===========================
+   Blog comments
+   - Threaded replies; the Reply button stops at COMMENT_MAX_DEPTH levels
+   - New comments wait in a moderation queue: only admins see pending
+     comments and can approve or delete them. Emails are never shown publicly.
+   - Spam guards: the contact form's honeypot field and a per-browser rate
+     limit (a real backend should enforce its own limit too)
+   - Without COMMENTS_ENDPOINT comments stay in each visitor's own browser;
+     the moderation queue says so, as it only sees this browser's comments
+   - Storage goes through an adapter, like likes and views:
+       list(postId, { includePending }) -> comments, oldest first
+       submit(postId, fields)           -> the stored comment, status "pending"
+       pending()                        -> pending comments across all posts
+       approve(id), remove(id)          (remove also drops the replies)
+       signIn(key), signOut()           admin login/logout; the REST adapter
+                                        trades the derived key for a short-lived
+                                        server session token once, at login
+   =========================== */
+const COMMENTS_KEY = "portfolio-comments"
+const COMMENT_LOG_KEY = "portfolio-comment-log"
+const COMMENT_AUTHOR_KEY = "portfolio-comment-author"
+const commentsAdapter = COMMENTS_ENDPOINT ? createRestCommentsAdapter(COMMENTS_ENDPOINT) : createLocalCommentsAdapter()
+const commentThread = {
+  postId: null,
+  comments: [],
+  replyTo: null,
+}
+
+// Mock backend for trying the flow without a server: each browser keeps its own queue
+function createLocalCommentsAdapter() {
+  const read = () => {
+    try {
+      const list = JSON.parse(localStorage.getItem(COMMENTS_KEY))
+      return Array.isArray(list) ? list : []
+    } catch {
+      return []
+    }
+  }
+  const write = (list) => localStorage.setItem(COMMENTS_KEY, JSON.stringify(list))
+  const publicView = ({ email, ...rest }) => rest
+  return {
+    name: "local",
+    async list(postId, { includePending = false } = {}) {
+      return read()
+        .filter((c) => c.postId === postId && (includePending || c.status === "approved"))
+        .map((c) => (includePending ? c : publicView(c)))
+    },
+    async submit(postId, fields) {
+      const comment = {
+        id: Date.now(),
+        postId,
+        parentId: fields.parentId ?? null,
+        name: fields.name,
+        email: fields.email,
+        body: fields.body,
+        createdAt: new Date().toISOString(),
+        status: "pending",
+      }
+      write([...read(), comment])
+      return publicView(comment)
+    },
+    async pending() {
+      return read().filter((c) => c.status === "pending")
+    },
+    async approve(id) {
+      const list = read()
+      const comment = list.find((c) => c.id === id)
+      if (!comment) throw new Error(`comment ${id} not found`)
+      comment.status = "approved"
+      write(list)
+      return comment
+    },
+    async remove(id) {
+      write(withoutCommentThread(read(), id))
+    },
+    async signIn() {},
+    signOut() {},
+  }
+}
+
+// signIn() trades the admin's derived key for a short-lived token (the server
+// compares its SHA-256 with ADMIN_CREDENTIAL.hash); moderation calls send only that token
+function createRestCommentsAdapter(endpoint) {
+  const base = endpoint.replace(/\/+$/, "")
+  let session = null // { token, expiresAt } from POST /admin/session
+  const admin = () => (isAdmin() && session && Date.now() < session.expiresAt ? { Authorization: `Bearer ${session.token}` } : {})
+  return {
+    name: "rest",
+    async signIn(key) {
+      session = await fetchJson(`${base}/admin/session`, { method: "POST", body: { key } })
+    },
+    signOut() {
+      if (!session) return
+      fetchJson(`${base}/admin/session`, { method: "DELETE", headers: { Authorization: `Bearer ${session.token}` } }).catch(() => {})
+      session = null
+    },
+    list: (postId, { includePending = false } = {}) =>
+      fetchJson(`${base}/posts/${postId}/comments${includePending ? "?include=pending" : ""}`, { headers: admin() }),
+    submit: (postId, fields) => fetchJson(`${base}/posts/${postId}/comments`, { method: "POST", body: fields }),
+    pending: () => fetchJson(`${base}/comments?status=pending`, { headers: admin() }),
+    approve: (id) => fetchJson(`${base}/comments/${id}/approve`, { method: "POST", headers: admin() }),
+    remove: (id) => fetchJson(`${base}/comments/${id}`, { method: "DELETE", headers: admin() }),
+  }
+}
+
+function withoutCommentThread(list, id) {
+  const doomed = new Set([id])
+  let grew = true
+  while (grew) {
+    grew = false
+    list.forEach((c) => {
+      if (!doomed.has(c.id) && doomed.has(c.parentId)) {
+        doomed.add(c.id)
+        grew = true
+      }
+    })
+  }
+  return list.filter((c) => !doomed.has(c.id))
+}
+
+function commentsSectionHtml() {
+  return `
+    <section class="blog-comments" aria-labelledby="blog-comments-title">
+      <h3 id="blog-comments-title" class="blog-comments-title">${escapeHtml(t("comments.title"))}</h3>
+      <div class="comment-thread" aria-live="polite"><p class="muted">${escapeHtml(t("comments.loading"))}</p></div>
+      <form class="comment-form" novalidate>
+        <p class="comment-replying" hidden>
+          ${escapeHtml(t("comments.replyingTo"))} <strong></strong>
+          <button type="button" class="btn-link" data-action="cancel-reply">${escapeHtml(t("common.cancel"))}</button>
+        </p>
+        <div class="comment-form-row">
+          <div class="field">
+            <label for="comment-name">${escapeHtml(t("contact.name"))} *</label>
+            <input id="comment-name" name="name" maxlength="60" autocomplete="name" required>
+            <span class="error-message" aria-live="polite"></span>
+          </div>
+          <div class="field">
+            <label for="comment-email">${escapeHtml(t("contact.email"))} * <small class="muted">${escapeHtml(t("comments.emailHidden"))}</small></label>
+            <input id="comment-email" name="email" type="email" maxlength="120" autocomplete="email" required>
+            <span class="error-message" aria-live="polite"></span>
+          </div>
+        </div>
+        <div class="field">
+          <label for="comment-body">${escapeHtml(t("comments.comment"))} *</label>
+          <textarea id="comment-body" name="comment" rows="4" maxlength="${COMMENT_MAX_LENGTH}" required aria-describedby="comment-body-hint"></textarea>
+          <small id="comment-body-hint" class="muted">${escapeHtml(t("comments.hint"))}</small>
+          <span class="error-message" aria-live="polite"></span>
+        </div>
+
+        <!-- Honeypot -->
+        <div style="display:none;">
+          <label>Leave this empty: <input name="_gotcha" tabindex="-1" autocomplete="off"></label>
+        </div>
+
+        <div class="comment-form-actions">
+          <span class="comment-form-status" role="status" aria-live="polite"></span>
+          <button type="submit" class="btn btn-primary btn-small">${escapeHtml(t("comments.post"))}</button>
+        </div>
+      </form>
+    </section>
+  `
+}
+
+async function loadComments(postId) {
+  commentThread.postId = postId
+  commentThread.comments = []
+  commentThread.replyTo = null
+  fillCommentAuthor()
+  let comments
+  try {
+    comments = await commentsAdapter.list(postId, { includePending: isAdmin() })
+  } catch (err) {
+    console.warn("Could not load comments:", err)
+    const container = document.querySelector("#blog-modal-body .comment-thread")
+    if (container && commentThread.postId === postId) {
+      container.innerHTML = `<p class="muted">${escapeHtml(t("comments.loadError"))}</p>`
+    }
+    return
+  }
+  if (commentThread.postId !== postId) return // the reader moved on to another post
+  commentThread.comments = Array.isArray(comments) ? comments : []
+  renderCommentThread()
+}
+
+function renderCommentThread() {
+  const container = document.querySelector("#blog-modal-body .comment-thread")
+  if (!container) return
+  const { comments } = commentThread
+  const heading = document.getElementById("blog-comments-title")
+  const approved = comments.filter((c) => c.status !== "pending").length
+  if (heading) heading.textContent = approved ? t("comments.titleCount", { count: approved }) : t("comments.title")
+  if (!comments.length) {
+    container.innerHTML = `<p class="muted">${escapeHtml(t("comments.none"))}</p>`
+    return
+  }
+
+  // Replies whose parent isn't visible (still pending, or deleted) move to the top level
+  const ids = new Set(comments.map((c) => c.id))
+  const children = new Map()
+  comments.forEach((c) => {
+    const parent = ids.has(c.parentId) ? c.parentId : null
+    if (!children.has(parent)) children.set(parent, [])
+    children.get(parent).push(c)
+  })
+  const renderLevel = (parentId, depth) => {
+    const items = children.get(parentId) || []
+    if (!items.length) return ""
+    return `<ol class="comment-list${depth ? " comment-replies" : ""}">${items
+      .map((c) => `<li class="comment${c.status === "pending" ? " pending" : ""}" id="comment-${c.id}">${commentHtml(c, depth)}${renderLevel(c.id, depth + 1)}</li>`)
+      .join("")}</ol>`
+  }
+  container.innerHTML = renderLevel(null, 0)
+}
+
+function commentHtml(comment, depth) {
+  const pending = comment.status === "pending"
+  const when = new Date(comment.createdAt)
+  const date = isNaN(when)
+    ? ""
+    : `<time datetime="${escapeHtml(comment.createdAt)}">${escapeHtml(state.i18n.date(when))}</time>`
+  const canReply = !pending && depth < COMMENT_MAX_DEPTH - 1
+  const admin = isAdmin()
+  return `
+    <article class="comment-card">
+      <header class="comment-meta">
+        <strong>${escapeHtml(comment.name)}</strong>
+        ${date}
+        ${pending ? `<span class="draft-badge">${escapeHtml(t("comments.pending"))}</span>` : ""}
+        ${admin && comment.email ? `<a class="muted" href="mailto:${escapeHtml(comment.email)}">${escapeHtml(comment.email)}</a>` : ""}
+      </header>
+      <div class="comment-body">${Markdown.renderLite(comment.body)}</div>
+      <div class="comment-actions">
+        ${canReply ? `<button type="button" class="btn-link" data-action="reply" data-comment-id="${comment.id}">${escapeHtml(t("comments.reply"))}</button>` : ""}
+        ${admin && pending ? `<button type="button" class="btn-link" data-action="approve-comment" data-comment-id="${comment.id}">Approve</button>` : ""}
+        ${admin ? `<button type="button" class="btn-link comment-delete" data-action="delete-comment" data-comment-id="${comment.id}">Delete</button>` : ""}
+      </div>
+    </article>
+  `
+}
+
+function handleCommentAction(action, id) {
+  if (action === "reply") startCommentReply(id)
+  else if (action === "cancel-reply") startCommentReply(null)
+  else if (action === "approve-comment") moderateComment(id, "approve")
+  else if (action === "delete-comment") moderateComment(id, "delete")
+}
+
+// Moves the single comment form under the comment being answered (null puts it back)
+function startCommentReply(id) {
+  const body = document.getElementById("blog-modal-body")
+  const form = body && body.querySelector(".comment-form")
+  if (!form) return
+  const target = id === null ? null : commentThread.comments.find((c) => c.id === id)
+  commentThread.replyTo = target ? target.id : null
+
+  const replying = form.querySelector(".comment-replying")
+  if (replying) {
+    replying.hidden = !target
+    replying.querySelector("strong").textContent = target ? target.name : ""
+  }
+  const card = target && body.querySelector(`#comment-${target.id} > .comment-card`)
+  if (card) card.after(form)
+  else body.querySelector(".blog-comments").appendChild(form)
+  const field = form.querySelector(target ? "textarea" : "input")
+  if (field) field.focus()
+}
+
+async function handleCommentSubmit(e) {
+  const form = e.target.closest(".comment-form")
+  if (!form) return
+  e.preventDefault()
+  const postId = commentThread.postId
+  if (postId === null) return
+
+  let ok = true
+  form.querySelectorAll("input[required], textarea[required]").forEach((input) => {
+    if (!validateField(input)) ok = false
+  })
+  if (!ok) return
+
+  const fields = {
+    parentId: commentThread.replyTo,
+    name: form.elements.name.value.trim(),
+    email: form.elements.email.value.trim(),
+    body: form.elements.comment.value.trim(),
+  }
+  const done = () => {
+    form.elements.comment.value = ""
+    startCommentReply(null)
+    setCommentFormStatus(form, t("comments.thanks"))
+  }
+
+  // Bots that fill the hidden field get the normal confirmation and nothing is stored
+  const gotcha = form.querySelector('input[name="_gotcha"]')
+  if (gotcha && gotcha.value) {
+    done()
+    return
+  }
+
+  const wait = commentRateLimitWait()
+  if (wait > 0) {
+    setCommentFormStatus(form, t("comments.tooFast", { wait: formatWait(wait) }), true)
+    return
+  }
+
+  const submitBtn = form.querySelector('button[type="submit"]')
+  if (submitBtn) submitBtn.disabled = true
+  setCommentFormStatus(form, t("comments.posting"))
+  try {
+    await commentsAdapter.submit(postId, fields)
+    logCommentPosted()
+    localStorage.setItem(COMMENT_AUTHOR_KEY, JSON.stringify({ name: fields.name, email: fields.email }))
+    done()
+    if (isAdmin()) {
+      loadComments(postId)
+      refreshCommentQueue()
+    }
+  } catch (err) {
+    console.warn("Could not post comment:", err)
+    setCommentFormStatus(
+      form,
+      err.status === 429 ? t("comments.rateLimited") : t("comments.postError"),
+      true,
+    )
+  } finally {
+    if (submitBtn) submitBtn.disabled = false
+  }
+}
+
+function setCommentFormStatus(form, message, isError) {
+  const el = form.querySelector(".comment-form-status")
+  if (!el) return
+  el.textContent = message
+  el.classList.toggle("error", !!isError)
+}
+
+function fillCommentAuthor() {
+  let author = null
+  try {
+    author = JSON.parse(localStorage.getItem(COMMENT_AUTHOR_KEY))
+  } catch {}
+  const form = document.querySelector("#blog-modal-body .comment-form")
+  if (!form || !author) return
+  form.elements.name.value = author.name || ""
+  form.elements.email.value = author.email || ""
+}
+
+/* ---------- Rate limit (per browser) ---------- */
+function readCommentLog() {
+  try {
+    const log = JSON.parse(localStorage.getItem(COMMENT_LOG_KEY))
+    return Array.isArray(log) ? log.filter((t) => Date.now() - t < 60 * 60 * 1000) : []
+  } catch {
+    return []
+  }
+}
+
+// Milliseconds until another comment is allowed (0 = now)
+function commentRateLimitWait() {
+  const now = Date.now()
+  const log = readCommentLog()
+  const last = log[log.length - 1]
+  const waits = [0]
+  if (last) waits.push(last + COMMENT_MIN_INTERVAL_MS - now)
+  if (log.length >= COMMENT_MAX_PER_HOUR) waits.push(log[log.length - COMMENT_MAX_PER_HOUR] + 60 * 60 * 1000 - now)
+  return Math.max(...waits)
+}
+
+function logCommentPosted() {
+  localStorage.setItem(COMMENT_LOG_KEY, JSON.stringify([...readCommentLog(), Date.now()]))
+}
+
+function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000)
+  return seconds < 60 ? t("common.seconds", { count: seconds }) : t("common.minutes", { count: Math.ceil(seconds / 60) })
+}
+
+/* ---------- Moderation (admin) ---------- */
+function initCommentQueue() {
+  const toggle = document.getElementById("moderate-comments")
+  const queue = document.getElementById("comment-queue")
+  if (!toggle || !queue) return
+  toggle.addEventListener("click", () => {
+    const open = queue.hidden
+    queue.hidden = !open
+    toggle.setAttribute("aria-expanded", open)
+    if (open) refreshCommentQueue()
+  })
+  queue.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-queue-action]")
+    if (btn) moderateComment(Number(btn.dataset.commentId), btn.dataset.queueAction)
+  })
+}
+
+async function refreshCommentQueue() {
+  const toggle = document.getElementById("moderate-comments")
+  const queue = document.getElementById("comment-queue")
+  if (!toggle || !queue) return
+  if (!isAdmin()) {
+    queue.hidden = true
+    queue.innerHTML = ""
+    toggle.setAttribute("aria-expanded", "false")
+    return
+  }
+
+  let pending
+  try {
+    pending = await commentsAdapter.pending()
+  } catch (err) {
+    console.warn("Could not load the moderation queue:", err)
+    queue.innerHTML = '<p class="muted">The moderation queue couldn\'t be loaded.</p>'
+    return
+  }
+  if (!isAdmin()) return
+  const count = toggle.querySelector(".comment-queue-count")
+  if (count) count.textContent = pending.length ? ` (${pending.length})` : ""
+  if (queue.hidden) return
+
+  const localNote =
+    commentsAdapter.name === "local"
+      ? '<p class="muted">Comments are only stored in the browser they were posted from, so this queue lists just the ones posted here. Set COMMENTS_ENDPOINT in script.js to moderate comments from every visitor.</p>'
+      : ""
+  if (!pending.length) {
+    queue.innerHTML = `${localNote}<p class="muted">No comments waiting for moderation.</p>`
+    return
+  }
+  const titleOf = (postId) => {
+    const blog = state.blogs.find((b) => b.id === postId)
+    return blog ? blog.title : `Post ${postId}`
+  }
+  queue.innerHTML = `
+    ${localNote}
+    <ul class="comment-queue-list">
+      ${pending
+        .map(
+          (c) => `
+        <li class="comment-card pending">
+          <header class="comment-meta">
+            <strong>${escapeHtml(c.name)}</strong>
+            ${c.email ? `<a class="muted" href="mailto:${escapeHtml(c.email)}">${escapeHtml(c.email)}</a>` : ""}
+            on <a href="#/blog/${c.postId}">${escapeHtml(titleOf(c.postId))}</a>
+            ${c.parentId ? '<span class="muted">(reply)</span>' : ""}
+          </header>
+          <div class="comment-body">${Markdown.renderLite(c.body)}</div>
+          <div class="comment-actions">
+            <button type="button" class="btn btn-small btn-primary" data-queue-action="approve" data-comment-id="${c.id}"><i class="fas fa-check"></i> Approve</button>
+            <button type="button" class="btn btn-small btn-danger" data-queue-action="delete" data-comment-id="${c.id}"><i class="fas fa-trash"></i> Delete</button>
+          </div>
+        </li>
+      `,
+        )
+        .join("")}
+    </ul>
+  `
+}
+
+async function moderateComment(id, action) {
+  if (!isAdmin()) return
+  if (action === "delete" && !confirm("Delete this comment and any replies to it?")) return
+  try {
+    if (action === "approve") await commentsAdapter.approve(id)
+    else await commentsAdapter.remove(id)
+  } catch (err) {
+    console.warn(`Could not ${action} comment:`, err)
+    alert(t(action === "approve" ? "comments.approveError" : "comments.deleteError"))
+    return
+  }
+  if (commentThread.postId !== null) loadComments(commentThread.postId)
+  refreshCommentQueue()
+}
+
+/* ===========================
+   Site search (command palette)
+   - Index of projects and blog posts, rebuilt each time the palette opens
+   - Ranking: per-field weights x match quality (exact > prefix > typo)
+   - Every query word must match somewhere for a result to count
+   =========================== */
+const SEARCH_FIELD_WEIGHTS = {
+  project: { title: 5, tags: 3, description: 2, fullDescription: 1 },
+  blog: { title: 5, content: 1 },
+}
+const SEARCH_MAX_RESULTS = 10
+let searchIndex = []
+let searchResults = []
+let searchActive = 0
+
+function initSearch() {
+  const palette = document.getElementById("search-palette")
+  const input = document.getElementById("search-palette-input")
+  const list = document.getElementById("search-palette-results")
+  if (!palette || !input || !list) return
+
+  const trigger = document.getElementById("search-toggle")
+  if (trigger) trigger.addEventListener("click", openSearch)
+
+  document.addEventListener("keydown", (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+      e.preventDefault()
+      isSearchOpen() ? closeSearch() : openSearch()
+    } else if (e.key === "/" && !isSearchOpen() && !isTypingTarget(e.target)) {
+      e.preventDefault()
+      openSearch()
+    }
+  })
 
-  state.currentBlogId = id
-  lastFocused = document.activeElement
+  input.addEventListener("input", debounce(() => runSearch(input.value), 80))
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault()
+      if (!searchResults.length) return
+      const step = e.key === "ArrowDown" ? 1 : -1
+      searchActive = (searchActive + step + searchResults.length) % searchResults.length
+      renderSearchResults()
+    } else if (e.key === "Enter") {
+      e.preventDefault()
+      if (searchResults[searchActive]) pickSearchResult(searchResults[searchActive])
+    }
+  })
 
-  const formattedDate = new Date(blog.date).toLocaleDateString("en-US", {
-    year: "numeric",
-    month: "long",
-    day: "numeric",
+  list.addEventListener("click", (e) => {
+    const item = e.target.closest("[data-result-index]")
+    if (item) pickSearchResult(searchResults[Number(item.dataset.resultIndex)])
   })
+}
 
-  // Convert newlines to paragraphs
-  const contentHtml = blog.content
-    .split("\n\n")
-    .map((p) => `<p>${escapeHtml(p)}</p>`)
-    .join("")
+function isTypingTarget(el) {
+  return !!el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName))
+}
 
-  const adminControls = isAdmin()
-    ? `
-    <div class="blog-modal-admin">
-      <button data-action="edit" data-blog-id="${blog.id}"><i class="fas fa-edit"></i> Edit</button>
-      <button class="delete" data-action="delete" data-blog-id="${blog.id}"><i class="fas fa-trash"></i> Delete</button>
-    </div>
-  `
-    : ""
+function isSearchOpen() {
+  const palette = document.getElementById("search-palette")
+  return !!palette && isDialogOpen(palette)
+}
 
-  body.innerHTML = `
-    <div class="blog-modal-header">
-      <h2 id="blog-modal-title" class="blog-modal-title">${escapeHtml(blog.title)}</h2>
-      <div class="blog-modal-meta">
-        <span><i class="fas fa-calendar-alt"></i> ${formattedDate}</span>
-        <span><i class="fas fa-heart"></i> ${blog.likes || 0} likes</span>
-      </div>
-    </div>
-    <div class="blog-modal-content">
-      ${contentHtml}
-    </div>
-    <div class="blog-modal-footer">
-      <div class="blog-modal-like">
-        <button data-action="like" data-blog-id="${blog.id}" class="${blog.liked ? "liked" : ""}">
-          <i class="fas fa-heart"></i> ${blog.liked ? "Liked" : "Like"} (${blog.likes || 0})
-        </button>
-      </div>
-      ${adminControls}
-    </div>
-  `
+function openSearch() {
+  const palette = document.getElementById("search-palette")
+  const input = document.getElementById("search-palette-input")
+  if (!palette || !input || isSearchOpen()) return
+  searchIndex = buildSearchIndex()
+  input.value = ""
+  runSearch("")
+  openDialog(palette, { initialFocus: input, onDismiss: closeSearch })
+}
 
-  body.addEventListener("click", handleBlogModalClick)
+function closeSearch() {
+  const palette = document.getElementById("search-palette")
+  if (!palette || !isSearchOpen()) return
+  closeDialog(palette)
+}
 
-  modal.setAttribute("aria-hidden", "false")
-  modal.style.display = "flex"
-  setTimeout(() => modal.setAttribute("open", ""), 20)
-  document.body.style.overflow = "hidden"
+function pickSearchResult(result) {
+  if (!result) return
+  closeSearch()
+  navigate(result.type === "project" ? `/projects/${result.id}` : `/blog/${result.id}`)
+}
 
-  const closeBtn = modal.querySelector(".modal-close")
-  closeBtn && closeBtn.focus()
-  trapFocus(modal)
+function buildSearchIndex() {
+  const docs = []
+  state.projects.map(state.i18n.localize).forEach((p) => {
+    docs.push({
+      type: "project",
+      id: p.id,
+      title: p.title,
+      snippetSource: p.fullDescription || p.description || "",
+      fields: {
+        title: p.title || "",
+        tags: (p.tags || []).join(" "),
+        description: p.description || "",
+        fullDescription: p.fullDescription || "",
+      },
+    })
+  })
+  visibleBlogs().map(state.i18n.localize).forEach((b) => {
+    docs.push({
+      type: "blog",
+      id: b.id,
+      title: b.title,
+      snippetSource: Markdown.toPlainText(b.content),
+      fields: { title: b.title || "", content: Markdown.toPlainText(b.content) },
+    })
+  })
+  docs.forEach((doc) => {
+    doc.tokens = {}
+    Object.keys(doc.fields).forEach((f) => (doc.tokens[f] = [...new Set(tokenize(doc.fields[f]))]))
+  })
+  return docs
 }
 
-function handleBlogModalClick(e) {
-  const button = e.target.closest("button[data-action]")
-  if (!button) return
+function tokenize(text) {
+  return (text || "").toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+}
 
-  const action = button.dataset.action
-  const blogId = Number.parseInt(button.dataset.blogId, 10)
+// 1 = exact, 0.8 = prefix, lower = within the typo budget, 0 = no match
+function matchQuality(queryToken, token) {
+  if (token === queryToken) return 1
+  if (queryToken.length >= 2 && token.startsWith(queryToken)) return 0.8
+  if (queryToken.length < 4) return 0
+  const budget = queryToken.length >= 7 ? 2 : 1
+  const candidate = token.length > queryToken.length ? token.slice(0, queryToken.length + budget) : token
+  const dist = editDistance(queryToken, candidate, budget)
+  if (dist > budget) return 0
+  return token.length > queryToken.length + budget ? 0.4 : 0.6 - (dist - 1) * 0.2
+}
 
-  if (action === "like") {
-    likeBlog(blogId)
-  } else if (action === "edit") {
-    editBlog(blogId)
-  } else if (action === "delete") {
-    deleteBlog(blogId)
+// Damerau-Levenshtein (optimal string alignment), bailing out once `max` is exceeded
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+  let prev2 = null
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost)
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        cur[j] = Math.min(cur[j], prev2[j - 2] + 1)
+      }
+      rowMin = Math.min(rowMin, cur[j])
+    }
+    if (rowMin > max) return max + 1
+    prev2 = prev
+    prev = cur
   }
+  return prev[b.length]
 }
 
-function closeBlogModal() {
-  const modal = document.getElementById("blog-modal")
-  if (!modal) return
+function searchDocs(docs, query) {
+  const queryTokens = [...new Set(tokenize(query))]
+  if (!queryTokens.length) return []
+  const results = []
+  docs.forEach((doc) => {
+    const weights = SEARCH_FIELD_WEIGHTS[doc.type]
+    let score = 0
+    for (const qt of queryTokens) {
+      let best = 0
+      Object.keys(weights).forEach((field) => {
+        for (const token of doc.tokens[field] || []) {
+          const q = matchQuality(qt, token)
+          if (q) best = Math.max(best, q * weights[field])
+        }
+      })
+      if (!best) return
+      score += best
+    }
+    results.push({ ...doc, score, queryTokens })
+  })
+  return results.sort((a, b) => b.score - a.score || a.title.localeCompare(b.title)).slice(0, SEARCH_MAX_RESULTS)
+}
 
-  const body = document.getElementById("blog-modal-body")
-  if (body) {
-    body.removeEventListener("click", handleBlogModalClick)
+function runSearch(query) {
+  searchResults = searchDocs(searchIndex, query)
+  searchActive = 0
+  renderSearchResults(query)
+}
+
+function renderSearchResults(query) {
+  const list = document.getElementById("search-palette-results")
+  const input = document.getElementById("search-palette-input")
+  if (!list) return
+  const q = query === undefined ? (input ? input.value : "") : query
+
+  if (!searchResults.length) {
+    list.innerHTML = `<li class="search-empty">${
+      escapeHtml(q.trim() ? t("search.noMatches", { query: q.trim() }) : t("search.prompt"))
+    }</li>`
+    if (input) input.removeAttribute("aria-activedescendant")
+    return
   }
 
-  state.currentBlogId = null
-  modal.removeAttribute("open")
-  modal.setAttribute("aria-hidden", "true")
-  modal.style.display = "none"
-  document.body.style.overflow = ""
-  if (lastFocused) lastFocused.focus()
+  list.innerHTML = searchResults
+    .map(
+      (r, i) => `
+      <li id="search-result-${i}" role="option" data-result-index="${i}" aria-selected="${i === searchActive}"
+          class="search-result${i === searchActive ? " active" : ""}">
+        <span class="search-result-type">${escapeHtml(t(r.type === "project" ? "search.project" : "search.post"))}</span>
+        <span class="search-result-title">${highlightMatches(r.title, r.queryTokens)}</span>
+        <span class="search-result-snippet">${buildSnippet(r.snippetSource, r.queryTokens)}</span>
+      </li>`,
+    )
+    .join("")
+  if (input) input.setAttribute("aria-activedescendant", `search-result-${searchActive}`)
+  const active = list.querySelector(".search-result.active")
+  if (active) active.scrollIntoView({ block: "nearest" })
 }
 
-document.addEventListener("click", (e) => {
-  const blogModal = document.getElementById("blog-modal")
-  if (blogModal && e.target === blogModal) closeBlogModal()
-})
+function tokenMatchesQuery(token, queryTokens) {
+  const t = token.toLowerCase()
+  return queryTokens.some((qt) => matchQuality(qt, t) > 0)
+}
+
+// Escapes the text and wraps words that matched the query in <mark>
+function highlightMatches(text, queryTokens) {
+  return (text || "")
+    .split(/([\p{L}\p{N}]+)/u)
+    .map((part, i) => (i % 2 && tokenMatchesQuery(part, queryTokens) ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join("")
+}
+
+function buildSnippet(text, queryTokens, radius = 60) {
+  const flat = (text || "").replace(/\s+/g, " ").trim()
+  const re = /[\p{L}\p{N}]+/gu
+  let m
+  let at = 0
+  while ((m = re.exec(flat))) {
+    if (tokenMatchesQuery(m[0], queryTokens)) {
+      at = m.index
+      break
+    }
+  }
+  let start = Math.max(0, at - radius)
+  let end = Math.min(flat.length, at + radius * 2)
+  // Snap to word boundaries so the snippet doesn't open or close mid-word
+  if (start > 0) {
+    const space = flat.indexOf(" ", start)
+    if (space !== -1 && space < at) start = space + 1
+  }
+  if (end < flat.length) {
+    const space = flat.lastIndexOf(" ", end)
+    if (space > at) end = space
+  }
+  return `${start > 0 ? "…" : ""}${highlightMatches(flat.slice(start, end), queryTokens)}${end < flat.length ? "…" : ""}`
+}
 
 /* ===========================
-   Contact (Formspree integration)
+   Contact form
+   - The topic select shows the fields in [data-topics] for that topic; hidden
+     fields are disabled, so they are neither validated nor sent
+   - Every message goes into the outbox first (IndexedDB, or memory when that is
+     unavailable), then is posted to its topic's endpoint: JSON, or multipart
+     form data when it has attachments
+   - Network errors, 5xx, 408 and 429 keep it queued with exponential backoff;
+     it is retried on the next due time, when the browser comes back online and
+     on the next visit
+   - Other 4xx answers are final: the message leaves the outbox and goes back
+     into the form so it can be fixed
+   - Spam heuristics (honeypot, time to submit, link density, repeated message)
+     never block a real visitor; their results travel with the message as _spam
    =========================== */
+const CONTACT_FIELDS = ["topic", "name", "email", "organization", "availability", "project_url", "budget", "deadline", "subject", "message"]
+const CONTACT_SENT_KEY = "portfolio-contact-sent"
+const CONTACT_MIN_FILL_MS = 3000
+const CONTACT_MAX_LINKS = 3
+const CONTACT_MAX_LINK_DENSITY = 0.2 // links per word
+let contactRetryTimer = null
+let contactFlushing = null
+let contactStartedAt = null
+
 function initContact() {
   const form = document.getElementById("contact-form")
   if (!form) return
 
-  form.action = FORMSPREE_ENDPOINT
+  // Without JavaScript the browser posts the form straight to the endpoint
+  form.action = CONTACT_ENDPOINT
   form.method = "POST"
 
+  const topic = form.elements.topic
+  if (topic) topic.addEventListener("change", applyContactTopic)
+  applyContactTopic()
+
+  const files = form.elements.attachments
+  renderAttachmentHint()
+  if (files) {
+    files.addEventListener("change", () => {
+      renderAttachmentList(files)
+      validateField(files)
+    })
+  }
+
+  form.querySelectorAll("[data-counter]").forEach(initCharCounter)
+  // Time to submit counts from the first interaction, not from page load
+  form.addEventListener("focusin", () => (contactStartedAt = contactStartedAt || Date.now()))
+
   form.addEventListener("submit", async (e) => {
     e.preventDefault()
 
-    const submitBtn = form.querySelector('button[type="submit"]')
-
-    const inputs = form.querySelectorAll("input, textarea")
+    const inputs = form.querySelectorAll("input, textarea, select")
     let ok = true
     inputs.forEach((input) => {
       if (!validateField(input)) ok = false
     })
     if (!ok) return
 
-    const payload = {
-      name: form.name.value || "",
-      email: form.email.value || "",
-      subject: form.subject.value || "",
-      message: form.message.value || "",
-    }
-
     const gotcha = form.querySelector('input[name="_gotcha"]')
     if (gotcha && gotcha.value) return
 
-    if (submitBtn) {
-      submitBtn.disabled = true
-      submitBtn.dataset.origText = submitBtn.textContent
-      submitBtn.textContent = "Sending..."
-    }
+    const payload = {}
+    CONTACT_FIELDS.forEach((field) => {
+      const input = form.elements[field]
+      if (input && !input.disabled && input.value.trim()) payload[field] = input.value.trim()
+    })
+    const topicLabel = topic ? topic.options[topic.selectedIndex].text : ""
+    payload._subject = topicLabel ? `[${topicLabel}] ${payload.subject}` : payload.subject
+    payload._spam = contactSpamChecks(payload)
+    const attachments = files ? [...files.files] : []
 
+    const submitBtn = form.querySelector('button[type="submit"]')
+    if (submitBtn) submitBtn.disabled = true
     try {
-      const res = await fetch(FORMSPREE_ENDPOINT, {
-        method: "POST",
-        headers: { "Content-Type": "application/json", Accept: "application/json" },
-        body: JSON.stringify(payload),
+      await contactOutbox.add({
+        payload,
+        files: attachments,
+        endpoint: CONTACT_TOPIC_ENDPOINTS[payload.topic] || CONTACT_ENDPOINT,
+        createdAt: Date.now(),
+        attempts: 0,
+        nextAttemptAt: 0,
       })
-
-      const data = await res.json()
-
-      if (res.ok) {
-        alert("Message sent — thank you!")
-        form.reset()
-      } else {
-        if (data && data.errors && Array.isArray(data.errors)) {
-          alert("Submission error: " + data.errors.map((e) => e.message).join(", "))
-        } else {
-          alert("Something went wrong. Please try again.")
-        }
-      }
+      rememberContactMessage(payload)
     } catch (err) {
-      console.error("Form submission error:", err)
-      alert("Network error. Please check your connection and try again.")
-    } finally {
-      if (submitBtn) {
-        submitBtn.disabled = false
-        submitBtn.textContent = submitBtn.dataset.origText || "Send Message"
-      }
+      console.error("Could not queue the message:", err)
+      setContactStatus(t("contact.status.saveFailed"), "error")
+      if (submitBtn) submitBtn.disabled = false
+      return
     }
+    form.reset()
+    contactStartedAt = null
+    applyContactTopic()
+    if (files) renderAttachmentList(files)
+    form.querySelectorAll("[data-counter]").forEach((input) => input.dispatchEvent(new Event("input")))
+    if (submitBtn) submitBtn.disabled = false
+    setContactStatus(t("contact.status.sending"))
+    flushContactOutbox()
   })
 
-  const inputs = form.querySelectorAll("input, textarea")
+  const inputs = form.querySelectorAll("input, textarea, select")
   inputs.forEach((input) => {
     input.addEventListener("blur", () => validateField(input))
     input.addEventListener("input", () => {
@@ -840,22 +4191,319 @@ function initContact() {
       if (err) err.textContent = ""
     })
   })
+
+  const retryBtn = document.getElementById("contact-retry")
+  if (retryBtn) retryBtn.addEventListener("click", () => flushContactOutbox({ force: true }))
+  window.addEventListener("online", () => flushContactOutbox({ force: true }))
+  flushContactOutbox()
+}
+
+function applyContactTopic() {
+  const form = document.getElementById("contact-form")
+  if (!form || !form.elements.topic) return
+  const topic = form.elements.topic.value
+  form.querySelectorAll("[data-topics]").forEach((group) => {
+    const shown = group.dataset.topics.split(/\s+/).includes(topic)
+    group.hidden = !shown
+    group.querySelectorAll("input, select, textarea").forEach((input) => {
+      input.disabled = !shown
+      if (!shown) {
+        const err = input.parentElement.querySelector(".error-message")
+        if (err) err.textContent = ""
+      }
+    })
+  })
+}
+
+function initCharCounter(input) {
+  const max = Number(input.getAttribute("maxlength"))
+  if (!max) return
+  const counter = document.createElement("span")
+  counter.className = "char-counter"
+  counter.setAttribute("aria-live", "polite")
+  input.insertAdjacentElement("afterend", counter)
+  const update = () => {
+    counter.textContent = `${input.value.length} / ${max}`
+    counter.classList.toggle("warning", input.value.length >= max * 0.9)
+  }
+  input.addEventListener("input", update)
+  update()
+}
+
+function renderAttachmentHint() {
+  const hint = document.getElementById("attachments-hint")
+  if (!hint) return
+  hint.textContent = t("contact.attachmentsHint", {
+    count: CONTACT_MAX_FILES,
+    size: formatBytes(CONTACT_MAX_FILE_BYTES),
+    types: Object.keys(CONTACT_FILE_TYPES).join(", "),
+  })
+}
+
+function renderAttachmentList(input) {
+  const list = document.getElementById("attachment-list")
+  if (!list) return
+  list.innerHTML = [...input.files]
+    .map((f) => `<li><i class="fas fa-paperclip"></i> ${escapeHtml(f.name)} <span class="muted">(${formatBytes(f.size)})</span></li>`)
+    .join("")
+}
+
+// First problem with the selected files, or ""
+function attachmentError(files) {
+  if (files.length > CONTACT_MAX_FILES) return t("contact.errors.tooManyFiles", { count: CONTACT_MAX_FILES })
+  for (const file of files) {
+    const ext = file.name.includes(".") ? file.name.split(".").pop().toLowerCase() : ""
+    const type = CONTACT_FILE_TYPES[ext]
+    if (!type || (file.type && file.type !== type)) return t("contact.errors.fileType", { name: file.name })
+    if (file.size > CONTACT_MAX_FILE_BYTES) return t("contact.errors.fileSize", { name: file.name, size: formatBytes(CONTACT_MAX_FILE_BYTES) })
+  }
+  return ""
+}
+
+/* ---------- Spam heuristics ---------- */
+// Each check is { value, flagged }; score is the number of flagged checks
+function contactSpamChecks(payload) {
+  const startedAt = contactStartedAt || Date.now()
+  const text = `${payload.subject || ""} ${payload.message || ""}`
+  const links = (text.match(/https?:\/\/|www\./gi) || []).length
+  const words = text.split(/\s+/).filter(Boolean).length || 1
+  const density = Math.round((links / words) * 100) / 100
+  const seen = contactSentHashes()[contactMessageHash(payload)]
+
+  const checks = {
+    timeToSubmit: { value: Date.now() - startedAt, flagged: Date.now() - startedAt < CONTACT_MIN_FILL_MS },
+    linkDensity: { value: density, links, flagged: links > CONTACT_MAX_LINKS || (links > 0 && density > CONTACT_MAX_LINK_DENSITY) },
+    duplicate: { value: !!seen, flagged: !!seen },
+  }
+  return { score: Object.values(checks).filter((c) => c.flagged).length, checks }
+}
+
+// 32-bit FNV-1a over the sender and message, so the text itself is not kept
+function contactMessageHash(payload) {
+  const text = `${(payload.email || "").toLowerCase()}\n${(payload.message || "").replace(/\s+/g, " ").trim().toLowerCase()}`
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(16)
+}
+
+// { hash: sentAt } for the last day
+function contactSentHashes() {
+  let sent = {}
+  try {
+    sent = JSON.parse(localStorage.getItem(CONTACT_SENT_KEY)) || {}
+  } catch {
+    sent = {}
+  }
+  const cutoff = Date.now() - 24 * 60 * 60 * 1000
+  return Object.fromEntries(Object.entries(sent).filter(([, at]) => at > cutoff))
+}
+
+function rememberContactMessage(payload) {
+  const sent = contactSentHashes()
+  sent[contactMessageHash(payload)] = Date.now()
+  try {
+    localStorage.setItem(CONTACT_SENT_KEY, JSON.stringify(sent))
+  } catch {
+    // Storage full or disabled: the duplicate check just sees less history
+  }
+}
+
+const contactOutbox = createContactOutbox()
+
+// Same interface over IndexedDB or, in private modes without it, a Map
+function createContactOutbox() {
+  const memory = new Map()
+  let nextId = 1
+  const fallback = {
+    async all() {
+      return [...memory.values()]
+    },
+    async add(entry) {
+      const id = nextId++
+      memory.set(id, { ...entry, id })
+      return id
+    },
+    async put(entry) {
+      memory.set(entry.id, entry)
+    },
+    async remove(id) {
+      memory.delete(id)
+    },
+  }
+  const idb = {
+    all: () => idbRequest("outbox", "readonly", (store) => store.getAll()),
+    add: (entry) => idbRequest("outbox", "readwrite", (store) => store.add(entry)),
+    put: (entry) => idbRequest("outbox", "readwrite", (store) => store.put(entry)),
+    remove: (id) => idbRequest("outbox", "readwrite", (store) => store.delete(id)),
+  }
+
+  let backend = null
+  async function pick() {
+    if (!backend) {
+      try {
+        await openIdb()
+        backend = idb
+      } catch (err) {
+        console.warn("IndexedDB unavailable, unsent messages only last until the page closes:", err)
+        backend = fallback
+      }
+    }
+    return backend
+  }
+  return {
+    all: async () => (await pick()).all(),
+    add: async (entry) => (await pick()).add(entry),
+    put: async (entry) => (await pick()).put(entry),
+    remove: async (id) => (await pick()).remove(id),
+  }
+}
+
+function contactRetryDelay(attempts) {
+  const base = Math.min(CONTACT_RETRY_MAX_MS, CONTACT_RETRY_BASE_MS * 2 ** (attempts - 1))
+  return Math.round(base * (0.8 + Math.random() * 0.4))
+}
+
+// One flush at a time; `force` ignores the backoff schedule (online event, Retry button)
+function flushContactOutbox({ force = false } = {}) {
+  if (!contactFlushing) {
+    contactFlushing = sendDueContactMessages(force).finally(() => (contactFlushing = null))
+  }
+  return contactFlushing
+}
+
+async function sendDueContactMessages(force) {
+  clearTimeout(contactRetryTimer)
+  let entries
+  try {
+    entries = await contactOutbox.all()
+  } catch (err) {
+    console.warn("Could not read the contact outbox:", err)
+    return
+  }
+
+  for (const entry of entries) {
+    if (navigator.onLine === false) break
+    if (!force && entry.nextAttemptAt > Date.now()) continue
+    const result = await postContactMessage(entry)
+    if (result.ok) {
+      await contactOutbox.remove(entry.id)
+      setContactStatus(t("contact.status.sent"), "success")
+    } else if (result.final) {
+      await contactOutbox.remove(entry.id)
+      restoreContactMessage(entry)
+      setContactStatus(t("contact.status.rejected", { error: result.error }), "error")
+    } else {
+      entry.attempts++
+      entry.nextAttemptAt = Date.now() + contactRetryDelay(entry.attempts)
+      entry.lastError = result.error
+      await contactOutbox.put(entry)
+    }
+  }
+  await renderContactOutbox()
+}
+
+// JSON, or multipart form data when there are attachments (the browser sets its boundary)
+// { ok } | { final, error } (rejected, do not retry) | { error } (retry later)
+async function postContactMessage({ payload, files = [], endpoint = CONTACT_ENDPOINT }) {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), API_TIMEOUT_MS)
+  let body = JSON.stringify(payload)
+  const headers = { Accept: "application/json" }
+  if (files.length) {
+    body = new FormData()
+    Object.entries(payload).forEach(([field, value]) => body.append(field, typeof value === "string" ? value : JSON.stringify(value)))
+    files.forEach((file) => body.append("attachments", file, file.name))
+  } else {
+    headers["Content-Type"] = "application/json"
+  }
+  try {
+    const res = await fetch(endpoint, { method: "POST", headers, body, signal: controller.signal })
+    if (res.ok) return { ok: true }
+    const data = await res.json().catch(() => null)
+    const error =
+      data && Array.isArray(data.errors) && data.errors.length
+        ? data.errors.map((e) => e.message).join(", ")
+        : t("contact.errors.http", { status: String(res.status) })
+    const final = res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429
+    return { final, error }
+  } catch (err) {
+    return { error: t(err.name === "AbortError" ? "contact.errors.timeout" : "contact.errors.network") }
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+// Puts a rejected message back, unless the visitor has started a new one.
+// Attachments cannot be put back into a file input, so they are only named.
+function restoreContactMessage({ payload, files = [] }) {
+  const form = document.getElementById("contact-form")
+  if (!form || ["name", "email", "subject", "message"].some((f) => form.elements[f].value)) return
+  CONTACT_FIELDS.forEach((field) => {
+    if (form.elements[field] && payload[field] !== undefined) form.elements[field].value = payload[field]
+  })
+  applyContactTopic()
+  form.querySelectorAll("[data-counter]").forEach((input) => input.dispatchEvent(new Event("input")))
+  const list = document.getElementById("attachment-list")
+  if (list && files.length) {
+    list.innerHTML = `<li class="muted">${escapeHtml(t("contact.attachAgain", { names: files.map((f) => f.name).join(", ") }))}</li>`
+  }
+}
+
+// Shows what is still waiting and schedules the next due retry
+async function renderContactOutbox() {
+  const entries = await contactOutbox.all().catch(() => [])
+  const retryBtn = document.getElementById("contact-retry")
+  if (retryBtn) retryBtn.hidden = !entries.length
+  if (!entries.length) return
+
+  const count = entries.length
+  if (navigator.onLine === false) {
+    // The online event flushes the outbox, so no timer is needed
+    setContactStatus(t("contact.status.offline", { count }), "pending")
+    return
+  }
+  const next = Math.min(...entries.map((e) => e.nextAttemptAt))
+  const wait = Math.max(1000, next - Date.now())
+  const error = entries[0].lastError || t("contact.errors.unreachable")
+  setContactStatus(t("contact.status.retrying", { count, error, wait: formatWait(wait) }), "pending")
+  contactRetryTimer = setTimeout(() => flushContactOutbox(), wait)
+}
+
+function setContactStatus(message, kind = "") {
+  const el = document.getElementById("contact-status")
+  if (!el) return
+  el.textContent = message
+  el.className = `form-status${kind ? ` ${kind}` : ""}`
 }
 
 function validateField(input) {
   const err = input.parentElement.querySelector(".error-message")
   if (!err) return true
   err.textContent = ""
+  if (input.disabled) return true
+
+  if (input.type === "file") {
+    err.textContent = attachmentError([...input.files])
+    return !err.textContent
+  }
 
   if (input.hasAttribute("required") && !input.value.trim()) {
-    err.textContent = "This field is required."
+    err.textContent = t("form.required")
+    return false
+  }
+
+  if (input.type === "url" && input.value.trim() && !/^https?:\/\/[^\s/]+\.[^\s]+$/i.test(input.value.trim())) {
+    err.textContent = t("form.url")
     return false
   }
 
   if (input.type === "email" && input.value) {
     const emailRe = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
     if (!emailRe.test(input.value)) {
-      err.textContent = "Please enter a valid email."
+      err.textContent = t("form.email")
       return false
     }
   }
@@ -865,26 +4513,115 @@ function validateField(input) {
 
 /* ===========================
    CV
+   - resume.json (JSON Resume schema) is the single source: lib/resume.js
+     renders it into #cv-preview, the print stylesheet prints that preview,
+     and the download builds a PDF from the same data
    =========================== */
-function initCV() {
-  const dlBtn = document.getElementById("download-cv")
+async function initCV() {
+  document.querySelectorAll("[data-cv-download]").forEach((el) => el.addEventListener("click", downloadCV))
   const printBtn = document.getElementById("print-cv")
+  if (printBtn) printBtn.addEventListener("click", printCV)
 
-  if (dlBtn) {
-    dlBtn.addEventListener("click", () => {
-      alert("CV download simulated. In production, link to a real PDF.")
-    })
+  const preview = document.getElementById("cv-preview")
+  try {
+    const res = await fetch("resume.json")
+    if (!res.ok) throw new Error(`server responded with HTTP ${res.status}`)
+    state.resume = await res.json()
+  } catch (err) {
+    console.warn("Could not load resume.json:", err)
+    if (preview) preview.innerHTML = `<p class="muted">${escapeHtml(t("cv.loadError"))}</p>`
+    document.querySelectorAll("button[data-cv-download], #print-cv").forEach((btn) => (btn.disabled = true))
+    return
   }
+  if (preview) preview.innerHTML = Resume.html(state.resume)
+}
 
-  if (printBtn) {
-    printBtn.addEventListener("click", () => {
-      const printable = document.getElementById("printable-cv")
-      if (printable) {
-        printable.style.display = "block"
-        window.print()
-        printable.style.display = "none"
-      }
+// Until resume.json has loaded, links like the hero's fall back to scrolling to #cv
+function downloadCV(e) {
+  if (!state.resume) return
+  e.preventDefault()
+  try {
+    downloadFile(Resume.fileName(state.resume), Resume.pdf(state.resume), "application/pdf")
+  } catch (err) {
+    console.error("Could not build the CV PDF:", err)
+    alert(t("cv.pdfError"))
+  }
+}
+
+// The print stylesheet only shows the CV while <html> has .print-cv
+function printCV() {
+  if (!state.resume) return
+  const root = document.documentElement
+  root.classList.add("print-cv")
+  window.addEventListener("afterprint", () => root.classList.remove("print-cv"), { once: true })
+  window.print()
+}
+
+/* ===========================
+   Offline support
+   - Registers sw.js (its header describes what is cached and how) once the
+     page has loaded, so it doesn't compete with the first render
+   - Shows the "update available" toast when the worker sees a new deploy of
+     the scripts or styles, or a new sw.js is installed and waiting; Reload
+     lets the waiting worker take over first
+   =========================== */
+const updatePrompt = { registration: null, reloading: false }
+
+function initServiceWorker() {
+  if (!SERVICE_WORKER_URL || !("serviceWorker" in navigator)) return
+  navigator.serviceWorker.addEventListener("message", (e) => {
+    if (e.data && e.data.type === "update-available") showUpdateToast()
+  })
+  // Only reload when asked to: the very first install also changes the controller
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (updatePrompt.reloading) window.location.reload()
+  })
+
+  const reloadBtn = document.getElementById("update-reload")
+  if (reloadBtn) reloadBtn.addEventListener("click", applyUpdate)
+  const dismissBtn = document.getElementById("update-dismiss")
+  if (dismissBtn) dismissBtn.addEventListener("click", () => (document.getElementById("update-toast").hidden = true))
+
+  window.addEventListener("load", registerServiceWorker)
+}
+
+async function registerServiceWorker() {
+  let reg
+  try {
+    reg = await navigator.serviceWorker.register(SERVICE_WORKER_URL)
+  } catch (err) {
+    console.warn("Service worker registration failed:", err)
+    return
+  }
+  updatePrompt.registration = reg
+  if (reg.waiting && navigator.serviceWorker.controller) showUpdateToast()
+  reg.addEventListener("updatefound", () => {
+    const worker = reg.installing
+    if (!worker) return
+    worker.addEventListener("statechange", () => {
+      // Without a controller this is the first install, not an update
+      if (worker.state === "installed" && navigator.serviceWorker.controller) showUpdateToast()
     })
+  })
+  // Tabs left open for days: look for a new sw.js when the visitor comes back
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") reg.update().catch(() => {})
+  })
+}
+
+function showUpdateToast() {
+  const toast = document.getElementById("update-toast")
+  if (toast) toast.hidden = false
+}
+
+function applyUpdate() {
+  const waiting = updatePrompt.registration && updatePrompt.registration.waiting
+  if (waiting) {
+    updatePrompt.reloading = true
+    waiting.postMessage({ type: "skip-waiting" })
+  } else {
+    // New scripts and styles are already in the worker's cache
+    window.location.reload()
   }
 }
 
@@ -942,11 +4679,115 @@ function initScrollEffects() {
 /* ===========================
    Utilities
    =========================== */
+// Also escapes quotes, since the result often lands inside attribute values
 function escapeHtml(str) {
   if (!str) return ""
-  const div = document.createElement("div")
-  div.textContent = str
-  return div.innerHTML
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`
+  return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`
+}
+
+// JSON request with a timeout; failures carry the HTTP status when there is one
+async function fetchJson(url, { method = "GET", headers = {}, body } = {}) {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), API_TIMEOUT_MS)
+  try {
+    const res = await fetch(url, {
+      method,
+      headers: {
+        Accept: "application/json",
+        "X-Visitor-Id": visitorId(),
+        ...(body === undefined ? {} : { "Content-Type": "application/json" }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller.signal,
+    })
+    if (!res.ok) {
+      const err = new Error(`server responded with HTTP ${res.status}`)
+      err.status = res.status
+      throw err
+    }
+    return res.status === 204 ? null : await res.json()
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+// tools/prerender.js writes the first render into index.html and tags the container with
+// data-prerendered="<key>"; keep that markup when the first live render has the same key
+// (and is in English, the language the page is pre-rendered in)
+function hydrateOrRender(container, key, html) {
+  const prerendered = container.dataset.prerendered
+  delete container.dataset.prerendered
+  if (key && prerendered === key && state.i18n.lang === I18n.DEFAULT_LANGUAGE) return
+  container.innerHTML = html
+}
+
+// One IndexedDB database for the site; add stores here and bump IDB_VERSION
+const IDB_NAME = "portfolio"
+const IDB_VERSION = 2
+const IDB_STORES = {
+  outbox: { keyPath: "id", autoIncrement: true },
+  github: { keyPath: "repo" },
+}
+let idbOpening = null
+
+function openIdb() {
+  if (!idbOpening) {
+    idbOpening = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") throw new Error("IndexedDB is not supported")
+      const req = indexedDB.open(IDB_NAME, IDB_VERSION)
+      req.onupgradeneeded = () => {
+        Object.entries(IDB_STORES).forEach(([name, options]) => {
+          if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name, options)
+        })
+      }
+      req.onsuccess = () => {
+        // Step aside when a newer version of the site (in another tab) needs to upgrade
+        req.result.onversionchange = () => {
+          req.result.close()
+          idbOpening = null
+        }
+        resolve(req.result)
+      }
+      req.onerror = () => reject(req.error)
+      req.onblocked = () => reject(new Error("IndexedDB upgrade blocked by another tab"))
+    })
+    idbOpening.catch(() => (idbOpening = null))
+  }
+  return idbOpening
+}
+
+// Runs one request in its own transaction and resolves with its result once committed
+async function idbRequest(storeName, mode, makeRequest) {
+  const db = await openIdb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const req = makeRequest(tx.objectStore(storeName))
+    tx.oncomplete = () => resolve(req.result)
+    tx.onerror = tx.onabort = () => reject(tx.error || req.error)
+  })
+}
+
+function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const a = document.createElement("a")
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
 }
 
 function debounce(fn, delay) {
@@ -0,0 +1,178 @@
+/**
+ * sw.js - Service worker: offline support for the site
+ * - Install precaches the app shell (SHELL) and the data files (DATA)
+ * - Pages: network first, falling back to the cached copy after
+ *   NAVIGATION_TIMEOUT_MS, then to offline.html
+ * - App shell, data files (projects.json, ...) and images: stale-while-
+ *   revalidate, so a flaky connection still gets the last good copy at once
+ * - Google Fonts and the Font Awesome CDN: the stylesheets are revalidated
+ *   like the shell; font files have versioned URLs and are cache first
+ * - When revalidating finds a changed script or stylesheet (a new deploy),
+ *   every open page gets { type: "update-available" } and script.js offers a
+ *   reload; a new sw.js waits until the visitor accepts that reload too
+ * - Anything else (POSTs, the GitHub API, other hosts) goes straight to the network
+ *
+ * Bump VERSION when SHELL changes, so the old caches are dropped.
+ */
+const VERSION = "v1"
+const SHELL_CACHE = `portfolio-shell-${VERSION}`
+const RUNTIME_CACHE = `portfolio-runtime-${VERSION}`
+const IMAGE_CACHE = `portfolio-images-${VERSION}`
+const MAX_IMAGES = 60
+const NAVIGATION_TIMEOUT_MS = 4000
+
+// Keep in sync with the stylesheets and <script> tags in index.html
+const SHELL = [
+  "./",
+  "index.html",
+  "offline.html",
+  "styles.css",
+  "script.js",
+  "lib/i18n.js",
+  "lib/themes.js",
+  "lib/markdown.js",
+  "lib/catalog.js",
+  "lib/github.js",
+  "lib/templates.js",
+  "lib/notebook.js",
+  "lib/pdf.js",
+  "lib/resume.js",
+  "lib/feeds.js",
+  "locales/en.json",
+  "locales/ne.json",
+  "manifest.webmanifest",
+  "resources/icon.svg",
+]
+const DATA = ["projects.json", "skills.json", "blogs.json", "resume.json", "site.json"]
+const FONT_HOSTS = ["fonts.gstatic.com"]
+const STYLE_HOSTS = ["fonts.googleapis.com", "cdnjs.cloudflare.com"]
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    Promise.all([
+      caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL)),
+      // The data files are nice to have offline, but must not fail the install
+      caches.open(RUNTIME_CACHE).then((cache) => Promise.all(DATA.map((url) => cache.add(url).catch(() => {})))),
+    ]),
+  )
+  // The first install has no old worker to replace; updates wait (see "message")
+})
+
+self.addEventListener("activate", (event) => {
+  const current = new Set([SHELL_CACHE, RUNTIME_CACHE, IMAGE_CACHE])
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key.startsWith("portfolio-") && !current.has(key)).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  )
+})
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "skip-waiting") self.skipWaiting()
+})
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event
+  if (request.method !== "GET") return
+  const url = new URL(request.url)
+
+  if (url.origin === self.location.origin) {
+    if (request.mode === "navigate") {
+      event.respondWith(networkFirstPage(request))
+    } else if (request.destination === "image") {
+      event.respondWith(staleWhileRevalidate(request, IMAGE_CACHE, { maxEntries: MAX_IMAGES }))
+    } else if (isShell(url)) {
+      event.respondWith(staleWhileRevalidate(request, SHELL_CACHE, { watchForUpdates: /\.(js|css)$/.test(url.pathname) }))
+    } else if (url.pathname.endsWith(".json")) {
+      event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE))
+    }
+  } else if (FONT_HOSTS.includes(url.hostname) || (STYLE_HOSTS.includes(url.hostname) && /\/webfonts\//.test(url.pathname))) {
+    event.respondWith(cacheFirst(request, RUNTIME_CACHE))
+  } else if (STYLE_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE))
+  }
+})
+
+function isShell(url) {
+  const path = url.pathname.slice(new URL(self.registration.scope).pathname.length)
+  return SHELL.includes(path)
+}
+
+// Cross-origin stylesheets and fonts loaded without CORS come back opaque
+// (status 0); they are still worth keeping
+function isCacheable(response) {
+  return response.ok || response.type === "opaque"
+}
+
+async function networkFirstPage(request) {
+  const cache = await caches.open(RUNTIME_CACHE)
+  try {
+    const response = await withTimeout(fetch(request), NAVIGATION_TIMEOUT_MS)
+    if (response.ok) cache.put(request, response.clone())
+    return response
+  } catch {
+    return (
+      (await cache.match(request, { ignoreSearch: true })) ||
+      (await caches.match(request, { ignoreSearch: true })) ||
+      (await caches.match("offline.html"))
+    )
+  }
+}
+
+// Cached copy at once (if any) while the network refreshes it for next time
+async function staleWhileRevalidate(request, cacheName, { maxEntries = 0, watchForUpdates = false } = {}) {
+  const cache = await caches.open(cacheName)
+  const cached = await cache.match(request, { ignoreSearch: true })
+  // Taken now: the page will have read the cached body by the time the network answers
+  const previous = watchForUpdates && cached ? cached.clone() : null
+  // Watched files skip the HTTP cache (a conditional request), or a deploy could go unseen for its max-age
+  const refresh = fetch(watchForUpdates ? new Request(request, { cache: "no-cache" }) : request).then(async (response) => {
+    if (!isCacheable(response)) return response
+    const changed = previous && response.ok && (await response.clone().text()) !== (await previous.text())
+    await cache.put(request, response.clone())
+    // Cached first, so the reload the page offers already gets the new file
+    if (changed) notifyUpdate()
+    if (maxEntries) trimCache(cache, maxEntries)
+    return response
+  })
+  if (!cached) return refresh
+  refresh.catch(() => {})
+  return cached
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName)
+  const cached = await cache.match(request)
+  if (cached) return cached
+  const response = await fetch(request)
+  if (isCacheable(response)) cache.put(request, response.clone())
+  return response
+}
+
+// Oldest entries first, as Cache keeps insertion order
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys()
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)))
+}
+
+async function notifyUpdate() {
+  const clients = await self.clients.matchAll({ type: "window" })
+  clients.forEach((client) => client.postMessage({ type: "update-available" }))
+}
+
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("timed out")), ms)
+    promise.then(
+      (value) => {
+        clearTimeout(timer)
+        resolve(value)
+      },
+      (err) => {
+        clearTimeout(timer)
+        reject(err)
+      },
+    )
+  })
+}
@@ -0,0 +1,61 @@
+/**
+ * test/catalog.test.js - lib/catalog.js URL checks and project detail fields
+ *
+ * Usage:
+ *   node --test test/
+ */
+const test = require("node:test")
+const assert = require("node:assert")
+const Catalog = require("../lib/catalog.js")
+
+test("isSafeUrl accepts site paths, http(s) links and data images", () => {
+  assert.ok(Catalog.isSafeUrl("resources/ProjectJupyterNotebook.png", true))
+  assert.ok(Catalog.isSafeUrl("https://github.com/ROJIT270/DAML_Indv_Assignment"))
+  assert.ok(Catalog.isSafeUrl("data:image/png;base64,iVBORw0KGgo=", true))
+})
+
+test("isSafeUrl rejects a scheme hidden by control characters or whitespace", () => {
+  assert.strictEqual(Catalog.isSafeUrl("java\tscript:alert(1)"), false)
+  assert.strictEqual(Catalog.isSafeUrl(" java\nscript:alert(1)"), false)
+  assert.strictEqual(Catalog.isSafeUrl("javascript\u0000:alert(1)"), false)
+})
+
+test("isSafeUrl rejects characters that could end an HTML attribute", () => {
+  assert.strictEqual(Catalog.isSafeUrl('x.png" onerror="alert(1)', true), false)
+  assert.strictEqual(Catalog.isSafeUrl("x.png<script>", true), false)
+  assert.strictEqual(Catalog.isSafeUrl("x.png>", true), false)
+  assert.strictEqual(Catalog.isSafeUrl("resources\\x.png", true), false)
+  assert.strictEqual(Catalog.isSafeUrl('data:image/png" onerror="alert(1)', true), false)
+  assert.strictEqual(Catalog.isSafeUrl("data:image/svg+xml,<svg onload=alert(1)>", true), false)
+})
+
+test("validateProject drops and reports an unsafe image URL", () => {
+  const issues = []
+  const project = Catalog.validateProject(
+    { id: 1, title: "T", description: "D", tags: [], image: 'x.png" onerror="alert(1)' },
+    (level, message) => issues.push({ level, message }),
+  )
+  assert.strictEqual(project.image, undefined)
+  assert.strictEqual(issues.length, 1)
+  assert.match(issues[0].message, /not a usable URL/)
+})
+
+test("validateProject keeps usable gallery, case study and metrics entries", () => {
+  const issues = []
+  const project = Catalog.validateProject(
+    {
+      id: 2,
+      title: "T",
+      description: "D",
+      tags: [],
+      gallery: ["a.png", { src: "javascript:alert(1)" }, { src: " b.png ", alt: " B ", caption: "" }],
+      caseStudy: { problem: " P ", results: "", stack: "JS, Node, JS", extra: "x" },
+      metrics: [{ value: 95, label: "Accuracy", detail: "%" }, { value: "", label: "Empty" }],
+    },
+    (level, message) => issues.push(message),
+  )
+  assert.deepStrictEqual(project.gallery, [{ src: "a.png" }, { src: "b.png", alt: "B" }])
+  assert.deepStrictEqual(project.caseStudy, { problem: "P", stack: ["JS", "Node"] })
+  assert.deepStrictEqual(project.metrics, [{ value: "95", label: "Accuracy", detail: "%" }])
+  assert.strictEqual(issues.length, 4)
+})
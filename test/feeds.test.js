@@ -0,0 +1,38 @@
+/**
+ * test/feeds.test.js - lib/feeds.js post selection and escaping
+ *
+ * Usage:
+ *   node --test test/
+ */
+const test = require("node:test")
+const assert = require("node:assert")
+const Feeds = require("../lib/feeds.js")
+
+const site = { url: "https://example.com", title: "Site", author: "Author", language: "en" }
+const posts = [
+  { id: 1, title: "Old", date: "2025-01-01", content: "![x](resources/a.png) [l](/p)" },
+  { id: 2, title: "Secret draft", date: "2025-06-01", status: "draft", content: "not yet" },
+  { id: 3, title: "New & <b>", date: "2025-03-01", content: "hi" },
+]
+
+test("drafts are left out of every feed", () => {
+  Object.values(Feeds.all(posts, site)).forEach((doc) => {
+    assert.doesNotMatch(doc, /Secret draft|blog\/2\//)
+  })
+  const items = JSON.parse(Feeds.jsonFeed(posts, site)).items
+  assert.deepStrictEqual(
+    items.map((i) => i.id),
+    ["https://example.com/blog/3/", "https://example.com/blog/1/"],
+  )
+})
+
+test("relative links and images are made absolute", () => {
+  const item = JSON.parse(Feeds.jsonFeed(posts, site)).items[1]
+  assert.match(item.content_html, /src="https:\/\/example\.com\/resources\/a\.png"/)
+  assert.match(item.content_html, /href="https:\/\/example\.com\/p"/)
+})
+
+test("titles are escaped in the XML feeds", () => {
+  assert.match(Feeds.rss(posts, site), /<title>New &amp; &lt;b&gt;<\/title>/)
+  assert.match(Feeds.atom(posts, site), /New &amp; &lt;b&gt;/)
+})
@@ -0,0 +1,37 @@
+/**
+ * test/github.test.js - lib/github.js URL parsing, summaries and rate limits
+ *
+ * Usage:
+ *   node --test test/
+ */
+const test = require("node:test")
+const assert = require("node:assert")
+const GitHub = require("../lib/github.js")
+
+test("parseRepoUrl accepts repository links only", () => {
+  assert.strictEqual(GitHub.parseRepoUrl("https://github.com/ROJIT270/DAML_Indv_Assignment"), "rojit270/daml_indv_assignment")
+  assert.strictEqual(GitHub.parseRepoUrl("https://www.github.com/a/b.git/tree/main"), "a/b")
+  assert.strictEqual(GitHub.parseRepoUrl("https://github.com/ROJIT270"), null)
+  assert.strictEqual(GitHub.parseRepoUrl("https://gitlab.com/a/b"), null)
+  assert.strictEqual(GitHub.parseRepoUrl("not a url"), null)
+})
+
+test("summarize keeps the card fields and ignores bad types", () => {
+  const topics = ["a", 1, "b", "c", "d", "e", "f"]
+  assert.deepStrictEqual(GitHub.summarize({ stargazers_count: 4, language: "Python", pushed_at: "2026-01-02T00:00:00Z", topics }), {
+    stars: 4,
+    language: "Python",
+    pushedAt: "2026-01-02T00:00:00Z",
+    topics: ["a", "b", "c", "d", "e"],
+  })
+  assert.deepStrictEqual(GitHub.summarize({ stargazers_count: "4", language: null }), { stars: 0, language: "", pushedAt: "", topics: [] })
+})
+
+test("rateLimitedUntil reads Retry-After and the rate-limit reset", () => {
+  const headers = (values) => ({ get: (name) => (name in values ? values[name] : null) })
+  const now = 1000
+  assert.strictEqual(GitHub.rateLimitedUntil(200, headers({}), now), 0)
+  assert.strictEqual(GitHub.rateLimitedUntil(429, headers({ "retry-after": "30" }), now), 31000)
+  assert.strictEqual(GitHub.rateLimitedUntil(403, headers({ "x-ratelimit-remaining": "0", "x-ratelimit-reset": "5" }), now), 5000)
+  assert.strictEqual(GitHub.rateLimitedUntil(403, headers({}), now), 0)
+})
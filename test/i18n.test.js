@@ -0,0 +1,45 @@
+/**
+ * test/i18n.test.js - lib/i18n.js lookups, plurals and fallbacks
+ *
+ * Usage:
+ *   node --test test/
+ */
+const test = require("node:test")
+const assert = require("node:assert")
+const I18n = require("../lib/i18n.js")
+
+const en = require("../locales/en.json")
+const ne = require("../locales/ne.json")
+
+test("plural messages pick the form for the count", () => {
+  const i18n = I18n.create("en", en)
+  assert.strictEqual(i18n.t("blog.likes", { count: 1 }), "1 like")
+  assert.strictEqual(i18n.t("blog.likes", { count: 3 }), "3 likes")
+})
+
+test("Nepali formats numbers in params with Devanagari digits", () => {
+  const i18n = I18n.create("ne", ne, en)
+  assert.strictEqual(i18n.t("blog.likes", { count: 3 }), "३ लाइक")
+  assert.strictEqual(i18n.number(1234), "१,२३४")
+})
+
+test("missing keys fall back to English, then to the key", () => {
+  const i18n = I18n.create("ne", { blog: {} }, en)
+  assert.strictEqual(i18n.t("blog.readMore"), "Click to read more")
+  assert.strictEqual(i18n.t("no.such.key"), "no.such.key")
+})
+
+test("match and localize", () => {
+  assert.strictEqual(I18n.match(["ne-NP", "en"]), "ne")
+  assert.strictEqual(I18n.match(["fr"]), "en")
+  const item = { title: "A", description: "D", translations: { ne: { title: "ख", description: " " } } }
+  const localized = I18n.localize(item, "ne")
+  assert.strictEqual(localized.title, "ख")
+  assert.strictEqual(localized.description, "D")
+  assert.strictEqual(I18n.localize(item, "en"), item)
+})
+
+test("the English and Nepali catalogs have the same keys", () => {
+  const keys = (o, p = "") => Object.entries(o).flatMap(([k, v]) => (v && typeof v === "object" ? keys(v, `${p}${k}.`) : [p + k]))
+  assert.deepStrictEqual(keys(ne).sort(), keys(en).sort())
+})
@@ -0,0 +1,40 @@
+/**
+ * test/markdown.test.js - lib/markdown.js sanitizing
+ *
+ * Usage:
+ *   node --test test/
+ */
+const test = require("node:test")
+const assert = require("node:assert")
+const Markdown = require("../lib/markdown.js")
+
+test("raw HTML is escaped, never passed through", () => {
+  assert.strictEqual(Markdown.render("<script>alert(1)</script>").trim(), "<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>")
+  assert.doesNotMatch(Markdown.render("<img src=x onerror=alert(1)>"), /<img/)
+})
+
+test("links and images with unsafe schemes keep only their text", () => {
+  assert.strictEqual(Markdown.render("[x](javascript:alert(1))").trim(), "<p>x</p>")
+  assert.strictEqual(Markdown.render("![a](javascript:alert(1))").trim(), "<p>a</p>")
+  assert.strictEqual(Markdown.safeUrl("java\tscript:alert(1)"), null)
+  assert.strictEqual(Markdown.safeUrl("mailto:me@example.com", true), null)
+  assert.strictEqual(Markdown.safeUrl("data:text/html,<b>", true), null)
+})
+
+test("safe links and data images are kept, with attributes escaped", () => {
+  assert.match(Markdown.render("[x](https://example.com)"), /<a href="https:\/\/example\.com" target="_blank" rel="noopener noreferrer">x<\/a>/)
+  assert.match(Markdown.render("![a](data:image/png;base64,AAA)"), /<img src="data:image\/png;base64,AAA"/)
+  assert.match(Markdown.render('![a" onerror="x](a.png)'), /alt="a&quot; onerror=&quot;x"/)
+})
+
+test("fenced code is escaped inside the highlighting", () => {
+  const html = Markdown.render('```js\nconst a = "<b>"\n```')
+  assert.match(html, /<span class="tok-keyword">const<\/span>/)
+  assert.match(html, /&quot;&lt;b&gt;&quot;/)
+})
+
+test("renderLite drops images and headings and marks links nofollow", () => {
+  const html = Markdown.renderLite("![a](a.png) [l](https://example.com)\n\n# h")
+  assert.doesNotMatch(html, /<img|<h1/)
+  assert.match(html, /rel="nofollow ugc noopener noreferrer"/)
+})
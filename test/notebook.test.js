@@ -0,0 +1,72 @@
+/**
+ * test/notebook.test.js - lib/notebook.js parsing and rendering
+ *
+ * Usage:
+ *   node --test test/
+ */
+const test = require("node:test")
+const assert = require("node:assert")
+const fs = require("fs")
+const path = require("path")
+const Notebook = require("../lib/notebook.js")
+
+const i18n = { t: (key, params) => (params ? `${key} ${JSON.stringify(params)}` : key) }
+const notebook = (cells, metadata = {}) => ({ nbformat: 4, metadata, cells })
+
+test("parse rejects files that aren't nbformat 4 notebooks", () => {
+  assert.throws(() => Notebook.parse({}), /not a Jupyter notebook/)
+  assert.throws(() => Notebook.parse({ nbformat: 3, cells: [] }), /nbformat 3/)
+  assert.strictEqual(Notebook.parse(notebook([], { language_info: { name: "R" } })).language, "r")
+})
+
+test("markdown and text outputs are escaped, ANSI colours stripped", () => {
+  const html = Notebook.render(
+    Notebook.parse(
+      notebook([
+        { cell_type: "markdown", source: ["<script>x</script>\n", "**b**"] },
+        {
+          cell_type: "code",
+          execution_count: 1,
+          source: "print(1)",
+          outputs: [
+            { output_type: "stream", name: "stdout", text: ["\x1b[31m<b>red</b>\x1b[0m\n"] },
+            { output_type: "error", ename: "E", evalue: "v", traceback: ["\x1b[0;31mTrace\x1b[0m"] },
+          ],
+        },
+      ]),
+    ),
+    i18n,
+  )
+  assert.doesNotMatch(html, /<script>|<b>|\x1b/)
+  assert.match(html, /&lt;b&gt;red&lt;\/b&gt;/)
+  assert.match(html, /<strong>b<\/strong>/)
+  assert.match(html, /nb-error">Trace</)
+})
+
+test("HTML outputs go in a sandbox without scripts, images become data URLs", () => {
+  const html = Notebook.render(
+    Notebook.parse(
+      notebook([
+        {
+          cell_type: "code",
+          source: "df",
+          outputs: [
+            { output_type: "execute_result", data: { "text/html": '<b onclick="x">t</b>' } },
+            { output_type: "display_data", data: { "image/png": "iVBOR\nw0K" } },
+          ],
+        },
+      ]),
+    ),
+    i18n,
+  )
+  assert.match(html, /<iframe class="nb-html" sandbox="allow-same-origin"/)
+  assert.match(html, /srcdoc="&lt;b onclick=&quot;x&quot;&gt;t&lt;\/b&gt;"/)
+  assert.match(html, /src="data:image\/png;base64,iVBORw0K"/)
+})
+
+test("the sample notebook in resources/ parses and renders", () => {
+  const file = path.join(__dirname, "..", "resources", "notebooks", "ml-project-01.ipynb")
+  const parsed = Notebook.parse(JSON.parse(fs.readFileSync(file, "utf8")))
+  assert.strictEqual(parsed.language, "python")
+  assert.match(Notebook.render(parsed, i18n), /nb-image/)
+})
@@ -0,0 +1,26 @@
+/**
+ * test/pdf.test.js - lib/pdf.js wrapping and string encoding
+ *
+ * Usage:
+ *   node --test test/
+ */
+const test = require("node:test")
+const assert = require("node:assert")
+const Pdf = require("../lib/pdf.js")
+
+test("wrap breaks lines at spaces to fit the width", () => {
+  assert.deepStrictEqual(Pdf.wrap("aaa bbb ccc ddd eee", "regular", 10, 40), ["aaa bbb", "ccc ddd", "eee"])
+})
+
+test("the document is a one-page PDF with escaped, WinAnsi-encoded text", () => {
+  const doc = Pdf.create({ title: "CV" })
+  doc.text("Hello (world) \\ é ✓", { size: 12 })
+  const bytes = doc.toBytes()
+  assert.ok(bytes instanceof Uint8Array)
+  const body = Buffer.from(bytes).toString("latin1")
+  assert.ok(body.startsWith("%PDF-1.4"))
+  assert.ok(body.trimEnd().endsWith("%%EOF"))
+  assert.match(body, /\/Count 1\b/)
+  // Parentheses and backslashes escaped, é as its WinAnsi byte, ✓ replaced
+  assert.ok(body.includes("(Hello \\(world\\) \\\\ \\351 ?) Tj"))
+})
@@ -0,0 +1,30 @@
+/**
+ * test/resume.test.js - lib/resume.js model and markup
+ *
+ * Usage:
+ *   node --test test/
+ */
+const test = require("node:test")
+const assert = require("node:assert")
+const Resume = require("../lib/resume.js")
+
+test("formatDate keeps the precision of a JSON Resume date", () => {
+  assert.strictEqual(Resume.formatDate("2024-03-05"), "Mar 2024")
+  assert.strictEqual(Resume.formatDate("2024"), "2024")
+})
+
+test("html escapes text, shows open-ended dates and drops unsafe links", () => {
+  const html = Resume.html({
+    basics: { name: "<A>", summary: "x" },
+    work: [{ name: "Co", position: "P", startDate: "2023-01", url: "javascript:alert(1)" }],
+  })
+  assert.match(html, /&lt;A&gt;/)
+  assert.match(html, /Jan 2023 – Present/)
+  assert.doesNotMatch(html, /javascript:/)
+})
+
+test("the committed resume.json renders to a PDF with a stable file name", () => {
+  const resume = require("../resume.json")
+  assert.strictEqual(Resume.fileName(resume), "rojit-khadgi-cv.pdf")
+  assert.ok(Buffer.from(Resume.pdf(resume)).toString("latin1").startsWith("%PDF-"))
+})
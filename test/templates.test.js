@@ -0,0 +1,36 @@
+/**
+ * test/templates.test.js - lib/templates.js card markup
+ *
+ * Usage:
+ *   node --test test/
+ */
+const test = require("node:test")
+const assert = require("node:assert")
+const Templates = require("../lib/templates.js")
+const I18n = require("../lib/i18n.js")
+
+const i18n = I18n.create("en", require("../locales/en.json"))
+
+test("blogCard escapes the post's text and tags", () => {
+  const html = Templates.blogCard(
+    { id: 7, title: "<x>", date: "2025-01-02", category: "c&d", tags: ['a"b'], content: "**hi** <script>" },
+    { likes: 2, views: 5, liked: false },
+    i18n,
+  )
+  assert.match(html, /&lt;x&gt;/)
+  assert.match(html, /c&amp;d/)
+  assert.match(html, /data-value="a&quot;b"/)
+  assert.doesNotMatch(html, /<script>/)
+})
+
+test("blogCard leaves event handling to script.js", () => {
+  const html = Templates.blogCard({ id: 7, title: "T", date: "2025-01-02", category: "c", content: "" }, { likes: 2, views: 0, liked: true }, i18n)
+  assert.doesNotMatch(html, /onclick/)
+  assert.match(html, /aria-pressed="true" data-like="7" class="liked"/)
+})
+
+test("projectCard escapes the title and image URL", () => {
+  const html = Templates.projectCard({ id: 1, title: '"><b>', description: "d", tags: ["t"], image: 'a.png"' })
+  assert.doesNotMatch(html, /"><b>/)
+  assert.match(html, /src="a\.png&quot;"/)
+})
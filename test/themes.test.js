@@ -0,0 +1,40 @@
+/**
+ * test/themes.test.js - lib/themes.js preset resolution and value checks
+ *
+ * Usage:
+ *   node --test test/
+ */
+const test = require("node:test")
+const assert = require("node:assert")
+const Themes = require("../lib/themes.js")
+
+test("resolve follows the system settings only for auto or unknown presets", () => {
+  assert.strictEqual(Themes.resolve("forest", { dark: true }), "forest")
+  assert.strictEqual(Themes.resolve("auto", { dark: true }), "dark")
+  assert.strictEqual(Themes.resolve("auto", { dark: false }), "light")
+  assert.strictEqual(Themes.resolve("auto", { moreContrast: true }), "high-contrast")
+  assert.strictEqual(Themes.resolve("no-such-theme", {}), "light")
+})
+
+test("cleanVars keeps known variables with values that can't break out of the declaration", () => {
+  const vars = Themes.cleanVars({
+    "--bg": " #101010 ",
+    "--text": "red; } body { display: none",
+    "--muted": "#999 /* x",
+    "--unknown": "#fff",
+  })
+  assert.deepStrictEqual(vars, { "--bg": "#101010" })
+})
+
+test("toCss writes a pasteable block and closes no comment early", () => {
+  assert.strictEqual(Themes.toCss({ "--bg": "#000" }, { comment: "a */ b" }), "/* a * / b */\n:root {\n  --bg: #000;\n}\n")
+})
+
+test("colour helpers and the high-contrast preset's contrast", () => {
+  assert.deepStrictEqual(Themes.parseColor("#abc"), [170, 187, 204])
+  assert.deepStrictEqual(Themes.parseColor("rgba(1, 2, 3, 0.5)"), [1, 2, 3])
+  assert.strictEqual(Themes.toHex("rgb(255, 0, 16)"), "#ff0010")
+  assert.strictEqual(Themes.contrastRatio("nope", "#fff"), null)
+  const { vars } = Themes.PRESETS["high-contrast"]
+  assert.ok(Themes.contrastRatio(vars["--text"], vars["--bg"]) >= 7)
+})
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * tools/build-feeds.js - Write feed.xml (RSS), atom.xml and feed.json from blogs.json
+ *
+ * Usage:
+ *   node tools/build-feeds.js [--out .] [--limit 20]
+ *
+ * Reads blogs.json and site.json from the repository root and writes the feed
+ * files next to index.html (or into --out), ready to publish with the site.
+ */
+const fs = require("fs")
+const path = require("path")
+const Feeds = require("../lib/feeds.js")
+
+const ROOT = path.join(__dirname, "..")
+
+function parseArgs(argv) {
+  const args = { out: ROOT, limit: undefined }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--out") args.out = path.resolve(argv[++i])
+    else if (argv[i] === "--limit") args.limit = Number(argv[++i])
+  }
+  if (args.limit !== undefined && !(Number.isInteger(args.limit) && args.limit > 0)) {
+    throw new Error("--limit must be a positive integer")
+  }
+  return args
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), "utf8"))
+  } catch (err) {
+    throw new Error(`could not read ${file}: ${err.message}`)
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2))
+  const site = readJson("site.json")
+  const posts = readJson("blogs.json")
+  if (!Array.isArray(posts)) throw new Error("blogs.json must be a JSON array")
+  if (!site.url) throw new Error("site.json needs a \"url\" for feed permalinks")
+
+  fs.mkdirSync(args.out, { recursive: true })
+  Object.entries(Feeds.all(posts, site, { limit: args.limit })).forEach(([name, text]) => {
+    fs.writeFileSync(path.join(args.out, name), text)
+    console.log(`wrote ${path.relative(process.cwd(), path.join(args.out, name)) || name}`)
+  })
+}
+
+try {
+  main()
+} catch (err) {
+  console.error(`build-feeds: ${err.message}`)
+  process.exit(1)
+}
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * tools/contact-server.js - Minimal self-hosted receiver for the contact form
+ *
+ * Usage:
+ *   node tools/contact-server.js [--port 8788] [--out messages.jsonl] [--origin *]
+ *                                [--redirect https://example.com/#contact]
+ *                                [--uploads contact-uploads] [--delay 0] [--fail-rate 0]
+ *
+ * Then set CONTACT_ENDPOINT to "http://localhost:8788/contact" in script.js.
+ *
+ *   POST /contact   JSON { topic, name, email, subject, message, ...topic fields, _spam }  -> 200 { ok: true }
+ *                   multipart/form-data with up to 3 "attachments" (pdf, doc, docx, txt, png, jpg; 5 MB each)
+ *                   or a regular form post (the no-JavaScript fallback) -> 303 to --redirect, if set
+ *                   invalid input -> 422 { errors: [{ field, message }] } (the Formspree shape)
+ *
+ * Each accepted message is appended to --out as one JSON line; attachments are
+ * saved under --uploads and listed with the message. _spam carries the
+ * client-side heuristics from script.js; flagged messages are stored like any
+ * other but logged with their score. The outbox in
+ * script.js retries after timeouts, so an identical message received again
+ * within ten minutes is acknowledged without being stored twice. Submissions
+ * with the _gotcha honeypot filled in are acknowledged and dropped.
+ * --delay and --fail-rate (0-1, answers 503) help test the retry behaviour.
+ */
+const http = require("http")
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+
+const MAX_BODY_BYTES = 32 * 1024
+const MAX_FILES = 3
+const MAX_FILE_BYTES = 5 * 1024 * 1024
+const MAX_MULTIPART_BYTES = MAX_BODY_BYTES + MAX_FILES * (MAX_FILE_BYTES + 1024)
+const DUPLICATE_WINDOW_MS = 10 * 60 * 1000
+const TOPICS = ["internship", "collaboration", "freelance", "other"]
+const LIMITS = { name: 100, email: 200, subject: 200, message: 5000, organization: 120, availability: 120, project_url: 300, budget: 40, deadline: 10 }
+const REQUIRED = ["name", "email", "subject", "message"]
+const FILE_TYPES = {
+  ".pdf": "application/pdf",
+  ".doc": "application/msword",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".txt": "text/plain",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+}
+
+function parseArgs(argv) {
+  const args = {
+    port: 8788,
+    out: path.join(process.cwd(), "messages.jsonl"),
+    uploads: path.join(process.cwd(), "contact-uploads"),
+    origin: "*",
+    redirect: null,
+    delay: 0,
+    failRate: 0,
+  }
+  for (let i = 0; i < argv.length; i++) {
+    const next = argv[i + 1]
+    if (argv[i] === "--port") args.port = Number(next)
+    else if (argv[i] === "--out") args.out = path.resolve(next)
+    else if (argv[i] === "--uploads") args.uploads = path.resolve(next)
+    else if (argv[i] === "--origin") args.origin = next
+    else if (argv[i] === "--redirect") args.redirect = next
+    else if (argv[i] === "--delay") args.delay = Number(next)
+    else if (argv[i] === "--fail-rate") args.failRate = Number(next)
+    else continue
+    i++
+  }
+  return args
+}
+
+const args = parseArgs(process.argv.slice(2))
+const recent = new Map() // content hash -> time received
+
+function text(input, field) {
+  return typeof input[field] === "string" ? input[field].trim() : ""
+}
+
+function validate(input, files) {
+  const errors = []
+  Object.keys(LIMITS).forEach((field) => {
+    if (REQUIRED.includes(field) && !text(input, field)) errors.push({ field, message: `${field} is required` })
+    else if (text(input, field).length > LIMITS[field]) errors.push({ field, message: `${field} must be at most ${LIMITS[field]} characters` })
+  })
+  if (text(input, "email") && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text(input, "email"))) {
+    errors.push({ field: "email", message: "email must be a valid address" })
+  }
+  if (text(input, "topic") && !TOPICS.includes(text(input, "topic"))) {
+    errors.push({ field: "topic", message: `topic must be one of ${TOPICS.join(", ")}` })
+  }
+  if (text(input, "project_url") && !/^https?:\/\//i.test(text(input, "project_url"))) {
+    errors.push({ field: "project_url", message: "project_url must be an http(s) link" })
+  }
+  if (files.length > MAX_FILES) errors.push({ field: "attachments", message: `at most ${MAX_FILES} attachments are allowed` })
+  files.forEach((file) => {
+    const type = FILE_TYPES[path.extname(file.filename).toLowerCase()]
+    if (!type || (file.type && file.type !== type && file.type !== "application/octet-stream")) {
+      errors.push({ field: "attachments", message: `${file.filename} is not an accepted file type` })
+    } else if (file.data.length > MAX_FILE_BYTES) {
+      errors.push({ field: "attachments", message: `${file.filename} is larger than ${MAX_FILE_BYTES / (1024 * 1024)} MB` })
+    }
+  })
+  return errors
+}
+
+// _spam arrives as an object (JSON posts) or a JSON string (multipart)
+function parseSpam(value) {
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value)
+    } catch {
+      return null
+    }
+  }
+  return value && typeof value === "object" && Number.isFinite(value.score) ? { score: value.score, checks: value.checks || {} } : null
+}
+
+function isDuplicate(key) {
+  const now = Date.now()
+  recent.forEach((at, k) => now - at > DUPLICATE_WINDOW_MS && recent.delete(k))
+  if (recent.has(key)) return true
+  recent.set(key, now)
+  return false
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": args.origin,
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Accept, Content-Type",
+    ...headers,
+  })
+  res.end(body === undefined ? "" : JSON.stringify(body))
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    let size = 0
+    const chunks = []
+    req.on("data", (chunk) => {
+      size += chunk.length
+      if (size > limit) {
+        reject(new Error("body too large"))
+        req.destroy()
+      } else {
+        chunks.push(chunk)
+      }
+    })
+    req.on("end", () => resolve(Buffer.concat(chunks)))
+    req.on("error", reject)
+  })
+}
+
+// { fields, files: [{ filename, type, data }] } from a multipart/form-data body
+function parseMultipart(buf, boundary) {
+  const fields = {}
+  const files = []
+  const delimiter = Buffer.from(`--${boundary}`)
+  let start = buf.indexOf(delimiter)
+  while (start !== -1) {
+    start += delimiter.length
+    if (buf.slice(start, start + 2).toString() === "--") break
+    const end = buf.indexOf(delimiter, start)
+    if (end === -1) break
+    // Each part is CRLF, headers, CRLF CRLF, content, CRLF
+    const part = buf.slice(start + 2, end - 2)
+    const split = part.indexOf("\r\n\r\n")
+    if (split !== -1) {
+      const headers = part.slice(0, split).toString("utf8")
+      const data = part.slice(split + 4)
+      const name = /name="([^"]*)"/i.exec(headers)
+      const filename = /filename="([^"]*)"/i.exec(headers)
+      const type = /content-type:\s*([^\r\n;]+)/i.exec(headers)
+      if (name && filename) {
+        if (filename[1]) files.push({ filename: path.basename(filename[1]), type: type ? type[1].trim() : "", data })
+      } else if (name) {
+        fields[name[1]] = data.toString("utf8")
+      }
+    }
+    start = end
+  }
+  return { fields, files }
+}
+
+async function parseBody(req) {
+  const type = String(req.headers["content-type"] || "")
+  const multipart = /multipart\/form-data;.*boundary="?([^";]+)"?/i.exec(type)
+  const raw = await readBody(req, multipart ? MAX_MULTIPART_BYTES : MAX_BODY_BYTES)
+  if (multipart) return parseMultipart(raw, multipart[1])
+  if (type.includes("application/json")) {
+    const fields = JSON.parse(raw.toString("utf8") || "{}")
+    if (!fields || typeof fields !== "object" || Array.isArray(fields)) throw new Error("the body must be a JSON object")
+    return { fields, files: [] }
+  }
+  if (type.includes("application/x-www-form-urlencoded")) {
+    return { fields: Object.fromEntries(new URLSearchParams(raw.toString("utf8"))), files: [] }
+  }
+  throw new Error("unsupported content type")
+}
+
+// Saved as <uploads>/<message hash>/<name>; returns what the message record lists.
+// Leading dots are dropped, so "." and ".." (or a hidden file) can't be the name.
+function saveAttachments(files, key) {
+  if (!files.length) return []
+  const dir = path.join(args.uploads, key.slice(0, 16))
+  fs.mkdirSync(dir, { recursive: true })
+  return files.map((file, i) => {
+    const name = file.filename.replace(/[^\w.-]+/g, "_").replace(/^\.+/, "") || `attachment-${i + 1}`
+    fs.writeFileSync(path.join(dir, name), file.data)
+    return { name, type: file.type, size: file.data.length, path: path.relative(process.cwd(), path.join(dir, name)) }
+  })
+}
+
+async function handle(req, res) {
+  if (req.method === "OPTIONS") return send(res, 204)
+  const url = new URL(req.url, "http://localhost")
+  if (url.pathname !== "/contact") return send(res, 404, { error: "not found" })
+  if (req.method !== "POST") return send(res, 405, { error: "method not allowed" })
+  if (Math.random() < args.failRate) return send(res, 503, { error: "simulated failure" })
+
+  let input
+  let files
+  try {
+    ;({ fields: input, files } = await parseBody(req))
+  } catch (err) {
+    return send(res, 400, { errors: [{ message: err.message }] })
+  }
+  const wantsJson = String(req.headers.accept || "").includes("application/json")
+  const done = () =>
+    wantsJson || !args.redirect ? send(res, 200, { ok: true }) : send(res, 303, undefined, { Location: args.redirect })
+
+  if (input._gotcha) return done()
+  const errors = validate(input, files)
+  if (errors.length) return send(res, 422, { errors })
+
+  const message = { topic: text(input, "topic") || "other" }
+  Object.keys(LIMITS).forEach((field) => {
+    if (text(input, field)) message[field] = text(input, field)
+  })
+  const attachments = files.map((f) => ({ name: f.filename, hash: crypto.createHash("sha256").update(f.data).digest("hex") }))
+  const key = crypto.createHash("sha256").update(JSON.stringify({ message, attachments })).digest("hex")
+  if (!isDuplicate(key)) {
+    const spam = parseSpam(input._spam)
+    const record = { ...message, attachments: saveAttachments(files, key), spam, receivedAt: new Date().toISOString() }
+    fs.appendFileSync(args.out, JSON.stringify(record) + "\n")
+    const flags = spam ? Object.keys(spam.checks).filter((c) => spam.checks[c] && spam.checks[c].flagged) : []
+    console.log(`${message.topic} message from ${message.email}: ${message.subject}${flags.length ? ` (spam score ${spam.score}: ${flags.join(", ")})` : ""}`)
+  }
+  return done()
+}
+
+http
+  .createServer((req, res) =>
+    setTimeout(
+      () =>
+        handle(req, res).catch((err) => {
+          console.error(err)
+          send(res, 500, { error: "internal error" })
+        }),
+      args.delay,
+    ),
+  )
+  .listen(args.port, () => console.log(`contact receiver listening on http://localhost:${args.port}/contact -> ${args.out}`))
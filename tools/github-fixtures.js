@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * tools/github-fixtures.js - Local stand-in for the GitHub REST API's repository endpoint
+ *
+ * Usage:
+ *   node tools/github-fixtures.js [--port 8789] [--fixtures github-fixtures.json]
+ *                                 [--delay 300] [--rate-limit 5]
+ *
+ * Then set GITHUB_API_BASE to "http://localhost:8789" in script.js.
+ *
+ *   GET /repos/:owner/:repo  -> the repository JSON (the fields lib/github.js reads)
+ *
+ * --fixtures is a JSON object of "owner/repo" -> repository JSON. Without it,
+ * every github URL in projects.json gets made-up but stable details (stars
+ * from a hash of the name, topics from the project's tags).
+ *
+ * Responses carry an ETag and answer If-None-Match with 304, like GitHub.
+ * --rate-limit N answers 403 with x-ratelimit-remaining: 0 once N requests
+ * (not counting 304s) have been served, until the window resets a minute later.
+ */
+const http = require("http")
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const GitHub = require("../lib/github.js")
+
+const RATE_WINDOW_MS = 60 * 1000
+
+function parseArgs(argv) {
+  const args = { port: 8789, fixtures: null, delay: 0, rateLimit: 0 }
+  for (let i = 0; i < argv.length; i++) {
+    const next = argv[i + 1]
+    if (argv[i] === "--port") args.port = Number(next)
+    else if (argv[i] === "--fixtures") args.fixtures = next
+    else if (argv[i] === "--delay") args.delay = Number(next)
+    else if (argv[i] === "--rate-limit") args.rateLimit = Number(next)
+    else continue
+    i++
+  }
+  return args
+}
+
+const args = parseArgs(process.argv.slice(2))
+
+function slug(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+}
+
+function fromProjects() {
+  const projects = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "projects.json"), "utf8"))
+  const repos = {}
+  projects.forEach((p) => {
+    const key = GitHub.parseRepoUrl(p.github)
+    if (!key) return
+    const hash = crypto.createHash("sha1").update(key).digest()
+    const name = new URL(p.github).pathname.split("/").filter(Boolean).slice(0, 2).join("/")
+    repos[key] = {
+      full_name: name,
+      html_url: `https://github.com/${name}`,
+      stargazers_count: hash[0] % 120,
+      language: hash[1] % 2 ? "Jupyter Notebook" : "Python",
+      pushed_at: new Date(Date.UTC(2026, 0, 1) + (hash[2] % 200) * 24 * 60 * 60 * 1000).toISOString(),
+      topics: (p.tags || []).map(slug).filter(Boolean),
+    }
+  })
+  return repos
+}
+
+function loadRepos() {
+  if (!args.fixtures) return fromProjects()
+  const raw = JSON.parse(fs.readFileSync(args.fixtures, "utf8"))
+  return Object.fromEntries(Object.entries(raw).map(([key, repo]) => [key.toLowerCase(), repo]))
+}
+
+const repos = loadRepos()
+const rate = { used: 0, resetAt: Date.now() + RATE_WINDOW_MS }
+
+function rateHeaders() {
+  if (!args.rateLimit) return {}
+  return {
+    "X-RateLimit-Limit": String(args.rateLimit),
+    "X-RateLimit-Remaining": String(Math.max(0, args.rateLimit - rate.used)),
+    "X-RateLimit-Reset": String(Math.ceil(rate.resetAt / 1000)),
+  }
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, OPTIONS",
+    "Access-Control-Allow-Headers": "Accept, If-None-Match",
+    "Access-Control-Expose-Headers": "ETag, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset",
+    ...rateHeaders(),
+    ...headers,
+  })
+  res.end(body === undefined ? "" : JSON.stringify(body))
+}
+
+function handle(req, res) {
+  if (req.method === "OPTIONS") return send(res, 204)
+  if (req.method !== "GET") return send(res, 405, { message: "Method Not Allowed" })
+
+  if (Date.now() >= rate.resetAt) {
+    rate.used = 0
+    rate.resetAt = Date.now() + RATE_WINDOW_MS
+  }
+
+  const url = new URL(req.url, "http://localhost")
+  const match = url.pathname.match(/^\/repos\/([\w.-]+)\/([\w.-]+)$/)
+  if (!match) return send(res, 404, { message: "Not Found" })
+  const repo = repos[`${match[1]}/${match[2]}`.toLowerCase()]
+
+  const body = repo ? JSON.stringify(repo) : ""
+  const etag = `"${crypto.createHash("sha1").update(body).digest("hex")}"`
+  if (repo && req.headers["if-none-match"] === etag) return send(res, 304, undefined, { ETag: etag })
+
+  if (args.rateLimit && rate.used >= args.rateLimit) {
+    return send(res, 403, { message: "API rate limit exceeded (fixture server)" })
+  }
+  rate.used++
+  if (!repo) return send(res, 404, { message: "Not Found" })
+  return send(res, 200, repo, { ETag: etag })
+}
+
+http
+  .createServer((req, res) => setTimeout(() => handle(req, res), args.delay))
+  .listen(args.port, () => console.log(`GitHub fixtures listening on http://localhost:${args.port} (${Object.keys(repos).length} repos)`))
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * tools/hash-password.js - Generate the ADMIN_CREDENTIAL block for script.js
+ *
+ * Usage:
+ *   node tools/hash-password.js            (prompts for the password)
+ *   node tools/hash-password.js --iterations 600000
+ *
+ * Prints a salt, the PBKDF2 iteration count and the SHA-256 of the derived key.
+ * Only that digest is published; the password itself is never stored.
+ */
+const crypto = require("crypto")
+const readline = require("readline")
+
+const DEFAULT_ITERATIONS = 310000
+
+function parseArgs(argv) {
+  const args = { iterations: DEFAULT_ITERATIONS }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--iterations") args.iterations = Number(argv[++i])
+  }
+  if (!Number.isInteger(args.iterations) || args.iterations < 100000) {
+    throw new Error("--iterations must be an integer of at least 100000")
+  }
+  return args
+}
+
+// Reads a line from the terminal without echoing it
+function askHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true })
+    rl._writeToOutput = (s) => {
+      if (s.includes(question)) rl.output.write(s)
+    }
+    rl.question(question, (answer) => {
+      rl.close()
+      process.stdout.write("\n")
+      resolve(answer)
+    })
+  })
+}
+
+function credentialFor(password, iterations) {
+  const salt = crypto.randomBytes(16)
+  const key = crypto.pbkdf2Sync(password, salt, iterations, 32, "sha256")
+  const hash = crypto.createHash("sha256").update(key).digest("base64")
+  return { salt: salt.toString("base64"), iterations, hash }
+}
+
+async function main() {
+  const { iterations } = parseArgs(process.argv.slice(2))
+  const password = await askHidden("Admin password: ")
+  if (password.length < 12) throw new Error("Use at least 12 characters.")
+  const again = await askHidden("Repeat password: ")
+  if (password !== again) throw new Error("Passwords did not match.")
+
+  const cred = credentialFor(password, iterations)
+  console.log("\nReplace ADMIN_CREDENTIAL in script.js with:\n")
+  console.log("const ADMIN_CREDENTIAL = {")
+  console.log(`  salt: "${cred.salt}",`)
+  console.log(`  iterations: ${cred.iterations},`)
+  console.log(`  hash: "${cred.hash}",`)
+  console.log("}")
+}
+
+main().catch((err) => {
+  console.error(`hash-password: ${err.message}`)
+  process.exit(1)
+})
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+/**
+ * tools/mock-api.js - Local mock of the likes/views and comments APIs
+ *
+ * Usage:
+ *   node tools/mock-api.js [--port 8787] [--data mock-data.json] [--delay 300]
+ *                          [--fail-rate 0.2] [--admin-hash <ADMIN_CREDENTIAL.hash>]
+ *
+ * Then set BLOG_STATS_ENDPOINT and/or COMMENTS_ENDPOINT to
+ * "http://localhost:8787/api" in script.js.
+ *
+ * Every request carries an X-Visitor-Id header (an anonymous per-browser id).
+ *
+ * Likes and views:
+ *   GET    /api/stats?ids=1,2       -> { "1": { likes, views, liked }, ... }
+ *   PUT    /api/posts/:id/like      -> { likes, liked: true }
+ *   DELETE /api/posts/:id/like      -> { likes, liked: false }
+ *   POST   /api/posts/:id/views     -> { views }
+ *
+ * Admin sessions (only with --admin-hash; without it every admin route answers 403):
+ *   POST   /api/admin/session  { key }  -> { token, expiresAt }  (key: the admin's derived key)
+ *   DELETE /api/admin/session            -> 204
+ *
+ * Comments (moderation routes need "Authorization: Bearer <token>"):
+ *   GET    /api/posts/:id/comments[?include=pending]  -> [comment, ...]
+ *   POST   /api/posts/:id/comments  { parentId, name, email, body } -> comment (pending)
+ *   GET    /api/comments?status=pending                -> [comment, ...]  (admin)
+ *   POST   /api/comments/:id/approve                   -> comment         (admin)
+ *   DELETE /api/comments/:id                           -> 204             (admin)
+ *
+ * Like counts start from the "likes" values in blogs.json. --delay and
+ * --fail-rate make it easy to watch the optimistic updates and rollbacks.
+ * Session tokens live in memory and expire after two hours.
+ */
+const http = require("http")
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+
+const MAX_BODY_BYTES = 16 * 1024
+const COMMENT_MAX_LENGTH = 2000
+const COMMENT_MIN_INTERVAL_MS = 30 * 1000
+const COMMENT_MAX_PER_HOUR = 5
+const ADMIN_SESSION_TTL_MS = 2 * 60 * 60 * 1000
+
+function parseArgs(argv) {
+  const args = { port: 8787, data: null, delay: 0, failRate: 0, adminHash: null }
+  for (let i = 0; i < argv.length; i++) {
+    const next = argv[i + 1]
+    if (argv[i] === "--port") args.port = Number(next)
+    else if (argv[i] === "--data") args.data = next
+    else if (argv[i] === "--delay") args.delay = Number(next)
+    else if (argv[i] === "--fail-rate") args.failRate = Number(next)
+    else if (argv[i] === "--admin-hash") args.adminHash = next
+    else continue
+    i++
+  }
+  return args
+}
+
+const args = parseArgs(process.argv.slice(2))
+
+// posts[id] = { base, likedBy: [visitorIds], views }; comments = [{ ..., visitor }]
+let db = { posts: {}, comments: [] }
+if (args.data && fs.existsSync(args.data)) {
+  const saved = JSON.parse(fs.readFileSync(args.data, "utf8"))
+  // tools/stats-server.js data files hold just the posts, keyed by id
+  db = "posts" in saved || "comments" in saved ? { posts: {}, comments: [], ...saved } : { posts: saved, comments: [] }
+}
+const commentLog = new Map() // visitor -> recent comment timestamps
+const adminSessions = new Map() // token -> expiresAt
+
+function seedLikes() {
+  try {
+    const blogs = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "blogs.json"), "utf8"))
+    return new Map(blogs.map((b) => [String(b.id), Number.isInteger(b.likes) ? b.likes : 0]))
+  } catch {
+    return new Map()
+  }
+}
+const seeds = seedLikes()
+
+function post(id) {
+  if (!db.posts[id]) db.posts[id] = { base: seeds.get(id) || 0, likedBy: [], views: 0 }
+  return db.posts[id]
+}
+
+function statsFor(id, visitor) {
+  const p = post(id)
+  return { likes: p.base + p.likedBy.length, views: p.views, liked: p.likedBy.includes(visitor) }
+}
+
+function persist() {
+  if (args.data) fs.writeFileSync(args.data, JSON.stringify(db, null, 2))
+}
+
+function bearerToken(req) {
+  const match = String(req.headers.authorization || "").match(/^Bearer (\S+)$/)
+  return match ? match[1] : ""
+}
+
+function isAdminRequest(req) {
+  if (!args.adminHash) return false
+  const expiresAt = adminSessions.get(bearerToken(req))
+  if (!expiresAt) return false
+  if (Date.now() < expiresAt) return true
+  adminSessions.delete(bearerToken(req))
+  return false
+}
+
+function keyMatchesHash(key) {
+  if (typeof key !== "string" || !key) return false
+  const digest = crypto.createHash("sha256").update(Buffer.from(key, "base64")).digest()
+  const expected = Buffer.from(args.adminHash, "base64")
+  return digest.length === expected.length && crypto.timingSafeEqual(digest, expected)
+}
+
+function publicComment({ email, visitor, ...rest }) {
+  return rest
+}
+
+function adminComment({ visitor, ...rest }) {
+  return rest
+}
+
+function removeThread(id) {
+  const doomed = new Set([id])
+  let grew = true
+  while (grew) {
+    grew = false
+    db.comments.forEach((c) => {
+      if (!doomed.has(c.id) && doomed.has(c.parentId)) {
+        doomed.add(c.id)
+        grew = true
+      }
+    })
+  }
+  const before = db.comments.length
+  db.comments = db.comments.filter((c) => !doomed.has(c.id))
+  return before !== db.comments.length
+}
+
+// Returns an error message, or null when the comment may be stored
+function checkComment(postId, input, visitor) {
+  const now = Date.now()
+  const log = (commentLog.get(visitor) || []).filter((t) => now - t < 60 * 60 * 1000)
+  commentLog.set(visitor, log)
+  if (log.length >= COMMENT_MAX_PER_HOUR || (log.length && now - log[log.length - 1] < COMMENT_MIN_INTERVAL_MS)) {
+    return "rate limited"
+  }
+  if (typeof input.name !== "string" || !input.name.trim() || input.name.length > 60) return "name is required"
+  if (typeof input.email !== "string" || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input.email)) return "a valid email is required"
+  if (typeof input.body !== "string" || !input.body.trim() || input.body.length > COMMENT_MAX_LENGTH) {
+    return `body must be 1-${COMMENT_MAX_LENGTH} characters`
+  }
+  if (input.parentId != null) {
+    const parent = db.comments.find((c) => c.id === input.parentId)
+    if (!parent || parent.postId !== postId || parent.status !== "approved") return "unknown parent comment"
+  }
+  return null
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, PUT, POST, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Accept, Authorization, Content-Type, X-Visitor-Id",
+  })
+  res.end(body === undefined ? "" : JSON.stringify(body))
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0
+    const chunks = []
+    req.on("data", (chunk) => {
+      size += chunk.length
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("body too large"))
+        req.destroy()
+      } else {
+        chunks.push(chunk)
+      }
+    })
+    req.on("end", () => {
+      try {
+        const body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {}
+        // null, numbers, strings and arrays would break the field reads in handle()
+        if (!body || typeof body !== "object" || Array.isArray(body)) throw new Error("not a JSON object")
+        resolve(body)
+      } catch (err) {
+        reject(err)
+      }
+    })
+    req.on("error", reject)
+  })
+}
+
+async function handle(req, res) {
+  if (req.method === "OPTIONS") return send(res, 204)
+  if (Math.random() < args.failRate) return send(res, 503, { error: "simulated failure" })
+
+  const url = new URL(req.url, "http://localhost")
+  const visitor = String(req.headers["x-visitor-id"] || "")
+
+  if (req.method === "GET" && url.pathname === "/api/stats") {
+    const ids = (url.searchParams.get("ids") || "").split(",").filter((id) => /^\d+$/.test(id))
+    const out = {}
+    ids.forEach((id) => (out[id] = statsFor(id, visitor)))
+    return send(res, 200, out)
+  }
+
+  if (url.pathname === "/api/admin/session") {
+    if (!args.adminHash) return send(res, 403, { error: "admin routes are disabled (start with --admin-hash)" })
+    if (req.method === "DELETE") {
+      adminSessions.delete(bearerToken(req))
+      return send(res, 204)
+    }
+    if (req.method !== "POST") return send(res, 405, { error: "method not allowed" })
+    let input
+    try {
+      input = await readBody(req)
+    } catch {
+      return send(res, 400, { error: "the body must be a JSON object" })
+    }
+    if (!keyMatchesHash(input.key)) return send(res, 403, { error: "wrong admin key" })
+    const token = crypto.randomBytes(24).toString("base64url")
+    const expiresAt = Date.now() + ADMIN_SESSION_TTL_MS
+    adminSessions.set(token, expiresAt)
+    return send(res, 201, { token, expiresAt })
+  }
+
+  if (req.method === "GET" && url.pathname === "/api/comments") {
+    if (!isAdminRequest(req)) return send(res, 403, { error: "admin only" })
+    const status = url.searchParams.get("status")
+    return send(res, 200, db.comments.filter((c) => !status || c.status === status).map(adminComment))
+  }
+
+  let match = url.pathname.match(/^\/api\/posts\/(\d+)\/(like|views|comments)$/)
+  if (match) {
+    const [, id, action] = match
+    if (action === "like" && (req.method === "PUT" || req.method === "DELETE")) {
+      if (!visitor) return send(res, 400, { error: "missing X-Visitor-Id" })
+      const p = post(id)
+      p.likedBy = p.likedBy.filter((v) => v !== visitor)
+      if (req.method === "PUT") p.likedBy.push(visitor)
+      persist()
+      const { likes, liked } = statsFor(id, visitor)
+      return send(res, 200, { likes, liked })
+    }
+    if (action === "views" && req.method === "POST") {
+      post(id).views++
+      persist()
+      return send(res, 200, { views: post(id).views })
+    }
+    if (action === "comments" && req.method === "GET") {
+      const admin = url.searchParams.get("include") === "pending" && isAdminRequest(req)
+      const list = db.comments.filter((c) => c.postId === Number(id) && (admin || c.status === "approved"))
+      return send(res, 200, list.map(admin ? adminComment : publicComment))
+    }
+    if (action === "comments" && req.method === "POST") {
+      let input
+      try {
+        input = await readBody(req)
+      } catch {
+        return send(res, 400, { error: "the body must be a JSON object" })
+      }
+      const postId = Number(id)
+      const problem = checkComment(postId, input, visitor)
+      if (problem) return send(res, problem === "rate limited" ? 429 : 400, { error: problem })
+      commentLog.get(visitor).push(Date.now())
+      const comment = {
+        id: Date.now() * 1000 + Math.floor(Math.random() * 1000),
+        postId,
+        parentId: input.parentId ?? null,
+        name: input.name.trim(),
+        email: input.email.trim(),
+        body: input.body.trim(),
+        createdAt: new Date().toISOString(),
+        status: "pending",
+        visitor,
+      }
+      db.comments.push(comment)
+      persist()
+      return send(res, 201, publicComment(comment))
+    }
+    return send(res, 405, { error: "method not allowed" })
+  }
+
+  match = url.pathname.match(/^\/api\/comments\/(\d+)(\/approve)?$/)
+  if (match) {
+    if (!isAdminRequest(req)) return send(res, 403, { error: "admin only" })
+    const id = Number(match[1])
+    if (match[2] && req.method === "POST") {
+      const comment = db.comments.find((c) => c.id === id)
+      if (!comment) return send(res, 404, { error: "not found" })
+      comment.status = "approved"
+      persist()
+      return send(res, 200, adminComment(comment))
+    }
+    if (!match[2] && req.method === "DELETE") {
+      if (!removeThread(id)) return send(res, 404, { error: "not found" })
+      persist()
+      return send(res, 204)
+    }
+    return send(res, 405, { error: "method not allowed" })
+  }
+
+  return send(res, 404, { error: "not found" })
+}
+
+http
+  .createServer((req, res) =>
+    setTimeout(
+      () =>
+        handle(req, res).catch((err) => {
+          console.error(err)
+          send(res, 500, { error: "internal error" })
+        }),
+      args.delay,
+    ),
+  )
+  .listen(args.port, () => {
+    console.log(`mock API listening on http://localhost:${args.port}/api`)
+    if (!args.adminHash) console.log("comment moderation is disabled: pass --admin-hash to enable the admin routes")
+  })
@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+/**
+ * tools/prerender.js - Pre-render projects and posts for search engines and link previews
+ *
+ * Usage:
+ *   node tools/prerender.js
+ *
+ * Reads projects.json, blogs.json, skills.json and site.json from the repository root and:
+ * - fills the <!-- prerender:NAME --> ... <!-- /prerender --> blocks in index.html
+ *   with the same markup script.js renders (lib/templates.js), plus canonical,
+ *   Open Graph / Twitter tags and a schema.org Person in the head
+ * - writes projects/<id>/index.html (CreativeWork) and blog/<id>/index.html
+ *   (BlogPosting) for every project and published post, and removes pages for
+ *   ids that no longer exist
+ *
+ * Pre-rendered containers get data-prerendered="<key>"; script.js keeps that
+ * markup when its first render produces the same key instead of rebuilding it.
+ * Everything is rendered in English (locales/en.json); other languages are
+ * rendered by script.js.
+ * Run it again (with build-feeds.js) whenever one of the data files changes.
+ */
+const fs = require("fs")
+const path = require("path")
+const Markdown = require("../lib/markdown.js")
+const Catalog = require("../lib/catalog.js")
+const Templates = require("../lib/templates.js")
+const I18n = require("../lib/i18n.js")
+
+const ROOT = path.join(__dirname, "..")
+const BLOG_PAGE_SIZE = 5 // keep in sync with script.js
+const DESCRIPTION_LENGTH = 160
+const esc = Markdown.escapeHtml
+const english = I18n.create("en", readJson("locales/en.json"))
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), "utf8"))
+  } catch (err) {
+    throw new Error(`could not read ${file}: ${err.message}`)
+  }
+}
+
+function reportIssues(file, issues) {
+  issues.forEach((i) => console.warn(`${file}: ${i.level}: ${i.where ? `${i.where}: ` : ""}${i.message}`))
+}
+
+function siteUrl(site) {
+  return String(site.url || "").replace(/\/?$/, "/")
+}
+
+function absoluteUrl(site, url) {
+  if (!url || /^data:/i.test(url)) return null
+  try {
+    return new URL(url, siteUrl(site)).href
+  } catch {
+    return null
+  }
+}
+
+function describe(text) {
+  const plain = String(text || "").replace(/\s+/g, " ").trim()
+  if (plain.length <= DESCRIPTION_LENGTH) return plain
+  const cut = plain.slice(0, DESCRIPTION_LENGTH)
+  return cut.slice(0, cut.lastIndexOf(" ") > 100 ? cut.lastIndexOf(" ") : DESCRIPTION_LENGTH).replace(/[\s.,;:]+$/, "") + "…"
+}
+
+// "<" is escaped so a string value can never close the <script> element
+function jsonLd(data) {
+  return `<script type="application/ld+json">${JSON.stringify(data, null, 2).replace(/</g, "\\u003c")}</script>`
+}
+
+function personLd(site) {
+  return {
+    "@type": "Person",
+    name: site.author || site.title,
+    url: siteUrl(site),
+  }
+}
+
+/* ---------- Head tags ---------- */
+
+function metaTags({ site, type, title, description, url, image }) {
+  return [
+    `<link rel="canonical" href="${esc(url)}">`,
+    `<meta property="og:type" content="${type}">`,
+    `<meta property="og:site_name" content="${esc(site.title)}">`,
+    `<meta property="og:title" content="${esc(title)}">`,
+    `<meta property="og:description" content="${esc(description)}">`,
+    `<meta property="og:url" content="${esc(url)}">`,
+    image ? `<meta property="og:image" content="${esc(image)}">` : "",
+    `<meta name="twitter:card" content="${image ? "summary_large_image" : "summary"}">`,
+    `<meta name="twitter:title" content="${esc(title)}">`,
+    `<meta name="twitter:description" content="${esc(description)}">`,
+    image ? `<meta name="twitter:image" content="${esc(image)}">` : "",
+  ].filter(Boolean)
+}
+
+function indexHead(site) {
+  const image = absoluteUrl(site, site.image)
+  const person = {
+    "@context": "https://schema.org",
+    ...personLd(site),
+    description: site.description || undefined,
+    image: image || undefined,
+    sameAs: site.sameAs && site.sameAs.length ? site.sameAs : undefined,
+  }
+  return [
+    ...metaTags({ site, type: "profile", title: site.title, description: site.description || "", url: siteUrl(site), image }),
+    jsonLd(person),
+  ]
+}
+
+/* ---------- index.html ---------- */
+
+function fillBlock(html, name, content) {
+  const re = new RegExp(`(<!-- prerender:${name} -->)[\\s\\S]*?(<!-- /prerender -->)`)
+  if (!re.test(html)) throw new Error(`index.html has no <!-- prerender:${name} --> block`)
+  return html.replace(re, (whole, open, close) => `${open}${content}${close}`)
+}
+
+function setPrerenderKey(html, id, key) {
+  const re = new RegExp(`<div id="${id}"[^>]*>`)
+  return html.replace(re, (tag) => {
+    const clean = tag.replace(/ data-prerendered="[^"]*"/, "")
+    return key ? clean.replace(/>$/, ` data-prerendered="${esc(key)}">`) : clean
+  })
+}
+
+function renderIndex(html, { site, projects, posts, skills }) {
+  const tags = [...new Set(projects.flatMap((p) => p.tags || []))]
+  const firstPage = posts.slice(0, BLOG_PAGE_SIZE)
+  const stats = (b) => ({ likes: b.likes || 0, views: 0, liked: false })
+
+  html = fillBlock(html, "head", `\n  ${indexHead(site).join("\n  ")}\n  `)
+  html = fillBlock(html, "filter-tags", tags.map((t) => Templates.filterTag(t)).join(""))
+  html = fillBlock(html, "projects-grid", projects.map((p) => Templates.projectCard(p)).join(""))
+  html = fillBlock(html, "blogs-container", firstPage.map((b) => Templates.blogCard(b, stats(b), english)).join(""))
+  const skillGroups = Templates.groupSkills(skills, "level")
+  html = fillBlock(html, "skills-view", Templates.skillGroups(skillGroups, { i18n: english }))
+
+  // An empty catalog falls back to demo content at runtime, so leave those unkeyed
+  html = setPrerenderKey(html, "filter-tags", tags.join(","))
+  html = setPrerenderKey(html, "projects-grid", projects.map((p) => p.id).join(","))
+  html = setPrerenderKey(html, "blogs-container", firstPage.map((b) => b.id).join(","))
+  html = setPrerenderKey(html, "skills-view", skillGroups.flatMap((g) => g.skills.map((s) => s.id)).join(","))
+  return html
+}
+
+/* ---------- Static pages ---------- */
+
+function staticPage({ site, head, body }) {
+  return `<!DOCTYPE html>
+<html lang="${esc(site.language || "en")}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <base href="../../">
+  <title>${esc(head.title)} — ${esc(site.title)}</title>
+  <meta name="description" content="${esc(head.description)}" />
+  ${metaTags({ site, ...head }).join("\n  ")}
+  ${jsonLd(head.jsonLd)}
+  <link rel="manifest" href="manifest.webmanifest">
+  <link rel="icon" href="resources/icon.svg" type="image/svg+xml">
+  <link rel="stylesheet" href="styles.css">
+  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+</head>
+<body class="static-page">
+  <main class="static-main container">
+${body}
+  </main>
+</body>
+</html>
+`
+}
+
+function projectPage(site, p) {
+  const url = `${siteUrl(site)}projects/${p.id}/`
+  const description = describe(p.description || p.fullDescription)
+  const image = absoluteUrl(site, p.image)
+  const links = [p.github, p.demo].filter(Boolean)
+  const body = `    <a class="static-back" href="#/projects/${p.id}"><i class="fas fa-arrow-left"></i> ${esc(site.title)}</a>
+    <article class="static-article modal-grid">
+      <img class="modal-image" src="${esc(p.image || Templates.defaultProjectImage(p.title))}" alt="${esc(p.title)}">
+      <div class="modal-content-inner">
+        <h1>${esc(p.title)}</h1>
+        <p>${esc(p.fullDescription || p.description || "")}</p>
+        ${Templates.projectMetrics(p)}
+        <div class="project-tags">${Templates.projectTags(p.tags)}</div>
+        <div class="modal-links">
+          ${p.github ? `<a class="btn btn-primary" href="${esc(p.github)}" target="_blank" rel="noopener noreferrer"><i class="fab fa-github"></i> View Code</a>` : ""}
+          ${p.demo ? `<a class="btn btn-ghost" href="${esc(p.demo)}" target="_blank" rel="noopener noreferrer"><i class="fas fa-external-link-alt"></i> Live Demo</a>` : ""}
+        </div>
+      </div>
+    </article>
+    ${Templates.projectGallery(p, english)}
+    ${Templates.projectCaseStudy(p, english, 2)}`
+  return staticPage({
+    site,
+    head: {
+      type: "article",
+      title: p.title,
+      description,
+      url,
+      image,
+      jsonLd: {
+        "@context": "https://schema.org",
+        "@type": "CreativeWork",
+        name: p.title,
+        description,
+        url,
+        image: image || undefined,
+        keywords: (p.tags || []).join(", ") || undefined,
+        creativeWorkStatus: p.status || undefined,
+        sameAs: links.length ? links : undefined,
+        creator: personLd(site),
+      },
+    },
+    body,
+  })
+}
+
+function blogPage(site, b) {
+  const url = `${siteUrl(site)}blog/${b.id}/`
+  const description = describe(Markdown.toPlainText(b.content))
+  const image = absoluteUrl(site, b.cover)
+  const published = new Date(b.date).toISOString()
+  const body = `    <a class="static-back" href="#/blog/${b.id}"><i class="fas fa-arrow-left"></i> ${esc((site.blog && site.blog.title) || site.title)}</a>
+    <article class="static-article">
+      <header class="blog-modal-header">
+        ${b.cover ? `<img class="blog-modal-cover" src="${esc(b.cover)}" alt="">` : ""}
+        <h1 class="blog-modal-title">${esc(b.title)}</h1>
+        <div class="blog-modal-meta">
+          <span><i class="fas fa-calendar-alt"></i> <time datetime="${published}">${esc(english.date(b.date, { year: "numeric", month: "long", day: "numeric" }))}</time></span>
+          <span><i class="fas fa-folder"></i> ${esc(b.category)}</span>
+        </div>
+      </header>
+      <div class="blog-modal-content markdown-body">
+        ${Markdown.render(b.content, { headingOffset: 1 })}
+      </div>
+      <p class="static-cta"><a class="btn btn-primary" href="#/blog/${b.id}"><i class="fas fa-comments"></i> Like or comment on this post</a></p>
+    </article>`
+  return staticPage({
+    site,
+    head: {
+      type: "article",
+      title: b.title,
+      description,
+      url,
+      image,
+      jsonLd: {
+        "@context": "https://schema.org",
+        "@type": "BlogPosting",
+        headline: b.title,
+        description,
+        url,
+        mainEntityOfPage: url,
+        image: image || undefined,
+        datePublished: published,
+        dateModified: b.updated ? new Date(b.updated).toISOString() : published,
+        articleSection: b.category || undefined,
+        keywords: b.tags.length ? b.tags.join(", ") : undefined,
+        author: personLd(site),
+      },
+    },
+    body,
+  })
+}
+
+// Writes <dir>/<id>/index.html for each item and drops numeric folders left by removed items
+function writePages(dir, items, render) {
+  const base = path.join(ROOT, dir)
+  const keep = new Set(items.map((item) => String(item.id)))
+  if (fs.existsSync(base)) {
+    fs.readdirSync(base, { withFileTypes: true })
+      .filter((d) => d.isDirectory() && /^\d+$/.test(d.name) && !keep.has(d.name))
+      .forEach((d) => {
+        fs.rmSync(path.join(base, d.name), { recursive: true })
+        console.log(`removed ${dir}/${d.name}/`)
+      })
+  }
+  items.forEach((item) => {
+    fs.mkdirSync(path.join(base, String(item.id)), { recursive: true })
+    fs.writeFileSync(path.join(base, String(item.id), "index.html"), render(item))
+  })
+  console.log(`wrote ${items.length} page(s) to ${dir}/`)
+}
+
+function main() {
+  const site = readJson("site.json")
+  if (!site.url) throw new Error("site.json needs a \"url\" for canonical links")
+
+  const catalog = Catalog.validateProjects(readJson("projects.json"))
+  reportIssues("projects.json", catalog.issues)
+  const blogs = Catalog.validateBlogs(readJson("blogs.json"))
+  reportIssues("blogs.json", blogs.issues)
+
+  const skillList = Catalog.validateSkills(readJson("skills.json"))
+  reportIssues("skills.json", skillList.issues)
+
+  const projects = catalog.projects
+  const posts = blogs.blogs.filter((b) => b.status !== "draft").sort((a, b) => new Date(b.date) - new Date(a.date))
+
+  const indexFile = path.join(ROOT, "index.html")
+  fs.writeFileSync(indexFile, renderIndex(fs.readFileSync(indexFile, "utf8"), { site, projects, posts, skills: skillList.skills }))
+  console.log("wrote index.html")
+
+  writePages("projects", projects, (p) => projectPage(site, p))
+  writePages("blog", posts, (b) => blogPage(site, b))
+}
+
+try {
+  main()
+} catch (err) {
+  console.error(`prerender: ${err.message}`)
+  process.exit(1)
+}
@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+/**
+ * tools/stats-server.js - Local mock of the likes/views API
+ *
+ * Usage:
+ *   node tools/stats-server.js [--port 8787] [--data stats.json] [--delay 300] [--fail-rate 0.2]
+ *
+ * Then set BLOG_STATS_ENDPOINT = "http://localhost:8787/api" in script.js.
+ *
+ * The likes/views routes now live in tools/mock-api.js, next to the comments
+ * API; this entry point starts that server with the same flags, and existing
+ * --data files keep working. See tools/mock-api.js for the routes.
+ */
+require("./mock-api.js")